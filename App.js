@@ -3,12 +3,16 @@
  * Main entry point
  */
 
-import React from 'react';
+import React, { useEffect } from 'react';
 import { StatusBar } from 'react-native';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import Navigator from './src/navigation/Navigator';
+import { startOutboxSync } from './src/services/offlineQueue';
 
 const App = () => {
+  // Replay offline punches whenever the network comes back
+  useEffect(() => startOutboxSync(), []);
+
   return (
     <SafeAreaProvider>
       <StatusBar barStyle="dark-content" backgroundColor="#f8f9fa" />
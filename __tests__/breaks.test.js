@@ -0,0 +1,85 @@
+/**
+ * @format
+ */
+
+import { calculateBreakMinutes, getBreakStatus, getBreakLabel } from '../src/utils/breaks';
+import { calculateTodayDuration } from '../src/utils/session';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const checkIn = new Date('2025-03-14T03:30:00Z');
+const checkOut = new Date('2025-03-14T12:30:00Z');
+
+describe('calculateBreakMinutes', () => {
+    it('adds up finished breaks', () => {
+        const breaks = [
+            { type: 'lunch', startTime: '2025-03-14T07:30:00Z', endTime: '2025-03-14T08:10:00Z' },
+            { type: 'tea', startTime: '2025-03-14T10:00:00Z', endTime: '2025-03-14T10:15:00Z' },
+        ];
+        expect(calculateBreakMinutes(breaks, checkIn, checkOut)).toBe(55);
+    });
+
+    it('ends a break still open at check-out at the check-out', () => {
+        const breaks = [{ type: 'tea', startTime: '2025-03-14T12:10:00Z' }];
+        const later = new Date('2025-03-14T15:00:00Z');
+        expect(calculateBreakMinutes(breaks, checkIn, checkOut, later)).toBe(20);
+    });
+
+    it('runs an open break until now during an active session', () => {
+        const breaks = [{ type: 'lunch', startTime: '2025-03-14T07:30:00Z' }];
+        const now = new Date('2025-03-14T07:55:00Z');
+        expect(calculateBreakMinutes(breaks, checkIn, now, now)).toBe(25);
+    });
+
+    it('ignores breaks outside the session', () => {
+        const breaks = [{ type: 'tea', startTime: '2025-03-14T02:00:00Z', endTime: '2025-03-14T03:00:00Z' }];
+        expect(calculateBreakMinutes(breaks, checkIn, checkOut)).toBe(0);
+    });
+});
+
+describe('calculateTodayDuration with breaks', () => {
+    it('does not count an open break past check-out', () => {
+        const record = {
+            date: '2025-03-14',
+            checkInTime: checkIn.toISOString(),
+            checkOutTime: checkOut.toISOString(),
+            breaks: [{ type: 'tea', startTime: '2025-03-14T12:10:00Z' }],
+        };
+        const now = new Date('2025-03-14T15:00:00Z');
+
+        const duration = calculateTodayDuration([record], { date: '2025-03-14', now });
+        expect(duration.breakMinutes).toBe(20);
+        expect(duration.totalMinutes).toBe(9 * 60 - 20);
+    });
+});
+
+describe('getBreakStatus', () => {
+    const start = new Date('2025-03-14T07:30:00Z');
+
+    it('counts down to the break limit', () => {
+        const status = getBreakStatus({ type: 'lunch', startTime: start.toISOString() }, new Date('2025-03-14T07:50:00Z'));
+        expect(status).toEqual({
+            elapsedMinutes: 20,
+            maxMinutes: 45,
+            remainingMinutes: 25,
+            exceeded: false,
+            overrunMinutes: 0,
+        });
+    });
+
+    it('reports an overrun', () => {
+        const status = getBreakStatus({ type: 'tea', startTime: start.toISOString() }, new Date('2025-03-14T07:52:00Z'));
+        expect(status.exceeded).toBe(true);
+        expect(status.overrunMinutes).toBe(7);
+    });
+
+    it('has no limit for unknown types', () => {
+        const status = getBreakStatus({ type: 'other', startTime: start.toISOString() }, new Date('2025-03-14T09:30:00Z'));
+        expect(status.maxMinutes).toBeNull();
+        expect(status.exceeded).toBe(false);
+        expect(getBreakLabel('other')).toBe('Break');
+        expect(getBreakLabel('lunch')).toBe('Lunch break');
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * @format
+ */
+
+import {
+    DEFAULT_TIMEZONE,
+    getBranchTimezone,
+    getTimezoneOffset,
+    toBusinessDateKey,
+    addDays,
+    zonedDateTime,
+    getBusinessDayBounds,
+} from '../src/utils/datetime';
+import { calculateTodayDuration, getRecordsForDay } from '../src/utils/session';
+import { getWeekRange, getMonthRange, summarizeWeek, summarizeMonth } from '../src/utils/summary';
+import { getShiftStatus, getShiftLengthMinutes } from '../src/utils/shift';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+describe('toBusinessDateKey', () => {
+    // 4:00 AM IST on 15 March = 22:30 UTC on 14 March
+    const bakerCheckIn = new Date('2025-03-14T22:30:00Z');
+
+    it('uses the branch day, not the UTC date, for early IST check-ins', () => {
+        expect(bakerCheckIn.toISOString().split('T')[0]).toBe('2025-03-14');
+        expect(toBusinessDateKey(bakerCheckIn)).toBe('2025-03-15');
+    });
+
+    it.each([
+        ['Asia/Kolkata', '2025-03-15'],
+        ['UTC', '2025-03-14'],
+        ['America/New_York', '2025-03-14'],
+        ['Pacific/Auckland', '2025-03-15'],
+        ['Pacific/Honolulu', '2025-03-14'],
+    ])('gives the calendar date in %s', (timeZone, expected) => {
+        expect(toBusinessDateKey(bakerCheckIn, timeZone)).toBe(expected);
+    });
+
+    it('defaults to Asia/Kolkata', () => {
+        expect(DEFAULT_TIMEZONE).toBe('Asia/Kolkata');
+        expect(getBranchTimezone(null)).toBe('Asia/Kolkata');
+        expect(getBranchTimezone({ timezone: 'Asia/Dubai' })).toBe('Asia/Dubai');
+        expect(getBranchTimezone({ branch: { timezone: 'Asia/Singapore' } })).toBe('Asia/Singapore');
+    });
+});
+
+describe('zonedDateTime', () => {
+    it('converts an IST wall time to the right instant', () => {
+        expect(zonedDateTime('2025-03-15', '04:00').toISOString()).toBe('2025-03-14T22:30:00.000Z');
+    });
+
+    it('follows daylight saving changes', () => {
+        // New York switched to EDT on 9 March 2025
+        expect(getTimezoneOffset(new Date('2025-03-08T12:00:00Z'), 'America/New_York')).toBe(-300);
+        expect(getTimezoneOffset(new Date('2025-03-10T12:00:00Z'), 'America/New_York')).toBe(-240);
+        expect(zonedDateTime('2025-03-08', '09:00', 'America/New_York').toISOString())
+            .toBe('2025-03-08T14:00:00.000Z');
+        expect(zonedDateTime('2025-03-10', '09:00', 'America/New_York').toISOString())
+            .toBe('2025-03-10T13:00:00.000Z');
+    });
+
+    it('gives 23 hour days across a spring-forward change', () => {
+        const { start, end } = getBusinessDayBounds('2025-03-09', 'America/New_York');
+        expect((end - start) / 3600000).toBe(23);
+    });
+});
+
+describe('addDays', () => {
+    it('moves across month and year ends', () => {
+        expect(addDays('2025-01-31', 1)).toBe('2025-02-01');
+        expect(addDays('2025-03-01', -1)).toBe('2025-02-28');
+        expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+    });
+});
+
+describe('calculateTodayDuration across midnight', () => {
+    // Night shift 22:00 on 14 March to 06:00 on 15 March IST
+    const nightShift = {
+        date: '2025-03-14',
+        checkInTime: '2025-03-14T16:30:00Z',
+        checkOutTime: '2025-03-15T00:30:00Z',
+    };
+
+    it('counts the whole session without a business day', () => {
+        expect(calculateTodayDuration([nightShift]).totalMinutes).toBe(8 * 60);
+    });
+
+    it('splits a night shift between the two business days', () => {
+        const before = calculateTodayDuration([nightShift], { date: '2025-03-14' });
+        const after = calculateTodayDuration([nightShift], { date: '2025-03-15' });
+
+        expect(before.totalMinutes).toBe(2 * 60);
+        expect(after.totalMinutes).toBe(6 * 60);
+        expect(before.sessions[0].endsNextDay).toBe(true);
+        expect(after.sessions[0].startsPreviousDay).toBe(true);
+    });
+
+    it('splits by the branch timezone, not the device timezone', () => {
+        const newYork = calculateTodayDuration([nightShift], {
+            date: '2025-03-14',
+            timeZone: 'America/New_York',
+        });
+        // 12:30 to 20:30 EDT on 14 March - all of it on that day
+        expect(newYork.totalMinutes).toBe(8 * 60);
+    });
+
+    it('counts an open night shift up to now', () => {
+        const openShift = { date: '2025-03-14', checkInTime: '2025-03-14T16:30:00Z' };
+        const now = new Date('2025-03-14T20:30:00Z'); // 02:00 IST on 15 March
+
+        const today = calculateTodayDuration([openShift], { date: '2025-03-15', now });
+        expect(today.totalMinutes).toBe(2 * 60);
+        expect(today.sessions[0].isActive).toBe(true);
+    });
+
+    it('excludes break time only within the business day', () => {
+        const withBreak = {
+            ...nightShift,
+            breaks: [{ type: 'tea', startTime: '2025-03-14T18:15:00Z', endTime: '2025-03-14T18:45:00Z' }],
+        };
+        // Tea break 23:45 - 00:15 IST straddles midnight
+        const before = calculateTodayDuration([withBreak], { date: '2025-03-14' });
+        const after = calculateTodayDuration([withBreak], { date: '2025-03-15' });
+
+        expect(before.breakMinutes).toBe(15);
+        expect(after.breakMinutes).toBe(15);
+        expect(before.totalMinutes + after.totalMinutes).toBe(8 * 60 - 30);
+    });
+});
+
+describe('getRecordsForDay', () => {
+    const records = [
+        { date: '2025-03-15', checkInTime: '2025-03-14T22:30:00Z', checkOutTime: '2025-03-15T06:30:00Z' },
+        { date: '2025-03-14', checkInTime: '2025-03-14T16:30:00Z', checkOutTime: '2025-03-15T00:30:00Z' },
+        { date: '2025-03-14', checkInTime: '2025-03-14T03:30:00Z', checkOutTime: '2025-03-14T11:30:00Z' },
+    ];
+
+    it('includes the previous night shift that ran into the day', () => {
+        const today = getRecordsForDay(records, '2025-03-15');
+        expect(today).toEqual([records[0], records[1]]);
+    });
+
+    it('keeps records dated the day even without times', () => {
+        const absent = { date: '2025-03-16', status: 'absent' };
+        expect(getRecordsForDay([absent], '2025-03-16')).toEqual([absent]);
+    });
+});
+
+describe('summaries in the branch timezone', () => {
+    // 01:30 IST on Monday 17 March is still Sunday 16 March in UTC
+    const mondayMorning = new Date('2025-03-16T20:00:00Z');
+
+    it('starts the week and month on the branch day', () => {
+        expect(getWeekRange(mondayMorning)).toEqual({ from: '2025-03-17', to: '2025-03-23' });
+        expect(getWeekRange(mondayMorning, 'UTC')).toEqual({ from: '2025-03-10', to: '2025-03-16' });
+        expect(getMonthRange(new Date('2025-03-31T20:00:00Z'))).toEqual({ from: '2025-04-01', to: '2025-04-30' });
+    });
+
+    it('splits a night shift across the month boundary', () => {
+        // 22:00 on 31 March to 06:00 on 1 April IST
+        const records = [{
+            date: '2025-03-31',
+            status: 'present',
+            checkInTime: '2025-03-31T16:30:00Z',
+            checkOutTime: '2025-04-01T00:30:00Z',
+        }];
+        const now = new Date('2025-04-01T06:00:00Z');
+
+        const april = summarizeMonth(records, now);
+        expect(april.totalMinutes).toBe(6 * 60);
+        expect(april.daysWorked).toBe(0);
+
+        const march = summarizeMonth(records, new Date('2025-03-31T18:00:00Z'));
+        expect(march.totalMinutes).toBe(2 * 60);
+        expect(march.daysWorked).toBe(1);
+
+        expect(summarizeWeek(records, now).totalMinutes).toBe(8 * 60);
+    });
+});
+
+describe('getShiftStatus in the branch timezone', () => {
+    const shift = { startTime: '09:00', endTime: '18:00', graceMinutes: 10 };
+
+    it('reads shift times as branch wall-clock times', () => {
+        // 09:15 IST
+        const now = new Date('2025-03-14T03:45:00Z');
+        expect(getShiftStatus(shift, now).phase).toBe('late');
+        expect(getShiftStatus(shift, now, false, 'UTC').phase).toBe('upcoming');
+    });
+
+    it('keeps an overnight shift that started yesterday', () => {
+        const nightShift = { startTime: '22:00', endTime: '06:00' };
+        // 05:30 IST on 15 March
+        const { phase, window } = getShiftStatus(nightShift, new Date('2025-03-15T00:00:00Z'), true);
+        expect(phase).toBe('on-shift');
+        expect(window.start.toISOString()).toBe('2025-03-14T16:30:00.000Z');
+        expect(getShiftLengthMinutes({ ...nightShift, breaks: [{ start: '23:45', end: '00:15' }] })).toBe(8 * 60 - 30);
+    });
+});
@@ -0,0 +1,231 @@
+/**
+ * @format
+ */
+
+import Geolocation from '@react-native-community/geolocation';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+    watchGeofence,
+    startGeofenceWatch,
+    setGeofenceWatchEnabled,
+    getLeftPremisesEvents,
+    clearLeftPremisesEvents,
+    ACTIVE_INTERVAL,
+    IDLE_INTERVAL,
+    EXIT_CONFIRM_DURATION,
+    WATCH_DISTANCE_FILTER,
+} from '../src/utils/geofenceWatcher';
+import { cacheGeofenceSettings } from '../src/utils/location';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+jest.mock('@react-native-community/geolocation', () => ({
+    setRNConfiguration: jest.fn(),
+    getCurrentPosition: jest.fn(),
+    watchPosition: jest.fn(),
+    clearWatch: jest.fn(),
+}));
+
+// 100m circle around the branch
+const BRANCH = { branchId: 'B1', name: 'Main Bakery', lat: 13.0827, lng: 80.2707, radiusMeters: 100 };
+
+// Roughly 1m of latitude
+const METER = 1 / 111195;
+
+const fixAt = (metersNorth, accuracy = 10) => ({
+    coords: {
+        latitude: BRANCH.lat + metersNorth * METER,
+        longitude: BRANCH.lng,
+        accuracy,
+    },
+    timestamp: Date.now(),
+});
+
+// Latest watch callback and options registered with Geolocation
+const currentWatch = () => {
+    const calls = Geolocation.watchPosition.mock.calls;
+    const [onPosition, , options] = calls[calls.length - 1];
+    return { onPosition, options };
+};
+
+const flushPromises = async () => {
+    for (let i = 0; i < 10; i++) {
+        await Promise.resolve();
+    }
+};
+
+describe('watchGeofence', () => {
+    let watchIds;
+
+    beforeEach(async () => {
+        jest.useFakeTimers();
+        jest.clearAllMocks();
+        await AsyncStorage.clear();
+        watchIds = 0;
+        Geolocation.watchPosition.mockImplementation(() => ++watchIds);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('watches with a distance filter and the active interval at first', () => {
+        const stop = watchGeofence([BRANCH]);
+
+        const { options } = currentWatch();
+        expect(options.distanceFilter).toBe(WATCH_DISTANCE_FILTER);
+        expect(options.interval).toBe(ACTIVE_INTERVAL);
+        stop();
+    });
+
+    it('slows down well inside the premises and speeds up near the edge', () => {
+        const stop = watchGeofence([BRANCH]);
+
+        currentWatch().onPosition(fixAt(0)); // at the center
+        expect(currentWatch().options.interval).toBe(IDLE_INTERVAL);
+        expect(Geolocation.clearWatch).toHaveBeenCalledWith(1);
+
+        currentWatch().onPosition(fixAt(60)); // 40m inside the edge
+        expect(currentWatch().options.interval).toBe(ACTIVE_INTERVAL);
+        stop();
+    });
+
+    it('reports an exit only after staying outside for the confirm duration', async () => {
+        const onExit = jest.fn();
+        const stop = watchGeofence([BRANCH], { onExit });
+
+        currentWatch().onPosition(fixAt(250));
+        jest.advanceTimersByTime(EXIT_CONFIRM_DURATION - 1000);
+        expect(onExit).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1000);
+        await flushPromises();
+        expect(onExit).toHaveBeenCalledTimes(1);
+        expect(onExit.mock.calls[0][0]).toMatchObject({ branchId: 'B1', branchName: 'Main Bakery' });
+
+        const events = await getLeftPremisesEvents();
+        expect(events).toHaveLength(1);
+        expect(events[0].branchId).toBe('B1');
+        stop();
+    });
+
+    it('ignores a brief excursion that comes back inside', async () => {
+        const onExit = jest.fn();
+        const stop = watchGeofence([BRANCH], { onExit });
+
+        currentWatch().onPosition(fixAt(250));
+        jest.advanceTimersByTime(EXIT_CONFIRM_DURATION / 2);
+        currentWatch().onPosition(fixAt(20));
+        jest.advanceTimersByTime(EXIT_CONFIRM_DURATION);
+        await flushPromises();
+
+        expect(onExit).not.toHaveBeenCalled();
+        stop();
+    });
+
+    it('does not treat an inaccurate fix past the edge as an exit', async () => {
+        const onExit = jest.fn();
+        const stop = watchGeofence([BRANCH], { onExit });
+
+        currentWatch().onPosition(fixAt(150, 80)); // 50m out, 80m accuracy
+        currentWatch().onPosition(fixAt(400, 500)); // too inaccurate to use
+        jest.advanceTimersByTime(EXIT_CONFIRM_DURATION * 2);
+        await flushPromises();
+
+        expect(onExit).not.toHaveBeenCalled();
+        stop();
+    });
+
+    it('reports a new exit after coming back inside', async () => {
+        const onExit = jest.fn();
+        const stop = watchGeofence([BRANCH], { onExit });
+
+        currentWatch().onPosition(fixAt(250));
+        jest.advanceTimersByTime(EXIT_CONFIRM_DURATION);
+        await flushPromises();
+        currentWatch().onPosition(fixAt(300));
+        jest.advanceTimersByTime(EXIT_CONFIRM_DURATION);
+        await flushPromises();
+        expect(onExit).toHaveBeenCalledTimes(1);
+
+        currentWatch().onPosition(fixAt(0));
+        currentWatch().onPosition(fixAt(250));
+        jest.advanceTimersByTime(EXIT_CONFIRM_DURATION);
+        await flushPromises();
+        expect(onExit).toHaveBeenCalledTimes(2);
+        stop();
+    });
+
+    it('forgets events once they have been sent with a punch', async () => {
+        const stop = watchGeofence([BRANCH]);
+
+        currentWatch().onPosition(fixAt(250));
+        jest.advanceTimersByTime(EXIT_CONFIRM_DURATION);
+        await flushPromises();
+        const sent = await getLeftPremisesEvents();
+        expect(sent).toHaveLength(1);
+
+        await clearLeftPremisesEvents(sent);
+        expect(await getLeftPremisesEvents()).toEqual([]);
+        stop();
+    });
+
+    it('stops the watch and any pending exit', async () => {
+        const onExit = jest.fn();
+        const stop = watchGeofence([BRANCH], { onExit });
+
+        currentWatch().onPosition(fixAt(250));
+        stop();
+        jest.advanceTimersByTime(EXIT_CONFIRM_DURATION);
+        await flushPromises();
+
+        expect(onExit).not.toHaveBeenCalled();
+        expect(Geolocation.clearWatch).toHaveBeenLastCalledWith(watchIds);
+    });
+});
+
+describe('startGeofenceWatch', () => {
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        await AsyncStorage.clear();
+        Geolocation.watchPosition.mockImplementation(() => 1);
+    });
+
+    it('does nothing unless exit detection is turned on', async () => {
+        await cacheGeofenceSettings({ branches: [BRANCH] });
+
+        const stop = startGeofenceWatch();
+        await flushPromises();
+
+        expect(Geolocation.watchPosition).not.toHaveBeenCalled();
+        stop();
+    });
+
+    it('watches the cached branches when turned on', async () => {
+        await cacheGeofenceSettings({ branches: [BRANCH] });
+        await setGeofenceWatchEnabled(true);
+
+        const stop = startGeofenceWatch();
+        await flushPromises();
+
+        expect(Geolocation.watchPosition).toHaveBeenCalledTimes(1);
+        stop();
+        expect(Geolocation.clearWatch).toHaveBeenCalledWith(1);
+    });
+
+    it('still watches once the geo-fence cache has expired', async () => {
+        await cacheGeofenceSettings({ branches: [BRANCH] });
+        await setGeofenceWatchEnabled(true);
+        const later = Date.now() + 2 * 60 * 60 * 1000;
+        const now = jest.spyOn(Date, 'now').mockReturnValue(later);
+
+        const stop = startGeofenceWatch();
+        await flushPromises();
+
+        expect(Geolocation.watchPosition).toHaveBeenCalledTimes(1);
+        stop();
+        now.mockRestore();
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getAttendanceHistory } from '../src/services/api';
+import { fetchHistoryRange, clearHistoryCache } from '../src/services/historyCache';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+jest.mock('../src/services/api', () => ({
+    getAttendanceHistory: jest.fn(),
+}));
+
+// One record per page, with a cursor to the next page until the last
+const servePages = (count, nextCursorFor = page => (page < count ? String(page + 1) : null)) => {
+    getAttendanceHistory.mockImplementation(async (employeeId, limit, { cursor }) => {
+        const page = Number(cursor || 1);
+        return {
+            success: true,
+            history: [{ date: '2025-03-10', id: page }],
+            nextCursor: nextCursorFor(page),
+        };
+    });
+};
+
+describe('fetchHistoryRange', () => {
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        await clearHistoryCache();
+        await AsyncStorage.clear();
+    });
+
+    it('keeps paging until the server reports no more', async () => {
+        servePages(15);
+
+        const records = await fetchHistoryRange('E1', { from: '2025-03-01', to: '2025-03-31' });
+        expect(records).toHaveLength(15);
+        expect(getAttendanceHistory).toHaveBeenCalledTimes(15);
+    });
+
+    it('stops when the server repeats a cursor', async () => {
+        servePages(3, () => '2');
+
+        const records = await fetchHistoryRange('E1', { from: '2025-03-01', to: '2025-03-31' });
+        expect(records).toHaveLength(2);
+    });
+});
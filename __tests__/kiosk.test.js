@@ -0,0 +1,76 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+    MAX_PIN_ATTEMPTS,
+    PIN_LOCKOUT_DURATION,
+    isValidPin,
+    isKioskMode,
+    enableKioskMode,
+    verifyKioskPin,
+    disableKioskMode,
+} from '../src/utils/kiosk';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+beforeEach(async () => {
+    await AsyncStorage.clear();
+});
+
+describe('kiosk mode', () => {
+    it('is off until enabled with a valid PIN', async () => {
+        expect(await isKioskMode()).toBe(false);
+        await expect(enableKioskMode('12a4')).rejects.toThrow('PIN must be');
+        expect(isValidPin('123')).toBe(false);
+        expect(isValidPin('1234')).toBe(true);
+
+        await enableKioskMode('2580', { branchId: 'B1', enabledBy: 'M1' });
+        expect(await isKioskMode()).toBe(true);
+    });
+
+    it('does not store the PIN as plain text', async () => {
+        await enableKioskMode('2580');
+        const stored = await AsyncStorage.getItem('@srm_kiosk');
+        expect(stored).not.toContain('2580');
+    });
+
+    it('exits only with the right PIN', async () => {
+        await enableKioskMode('2580');
+        expect((await verifyKioskPin('1111')).ok).toBe(false);
+        expect((await verifyKioskPin('2580')).ok).toBe(true);
+
+        await disableKioskMode();
+        expect(await isKioskMode()).toBe(false);
+    });
+});
+
+describe('verifyKioskPin lockout', () => {
+    const now = Date.parse('2025-03-14T10:00:00Z');
+
+    it('locks after too many wrong attempts, even for the right PIN', async () => {
+        await enableKioskMode('2580');
+        let result;
+        for (let i = 0; i < MAX_PIN_ATTEMPTS; i++) {
+            result = await verifyKioskPin('0000', now);
+        }
+        expect(result.attemptsLeft).toBe(0);
+        expect(result.lockedUntil).toBe(now + PIN_LOCKOUT_DURATION);
+
+        expect((await verifyKioskPin('2580', now + 1000)).ok).toBe(false);
+        expect((await verifyKioskPin('2580', now + PIN_LOCKOUT_DURATION + 1)).ok).toBe(true);
+    });
+
+    it('gives a fresh set of attempts after the lockout', async () => {
+        await enableKioskMode('2580');
+        for (let i = 0; i < MAX_PIN_ATTEMPTS; i++) {
+            await verifyKioskPin('0000', now);
+        }
+        const afterLockout = await verifyKioskPin('0000', now + PIN_LOCKOUT_DURATION + 1);
+        expect(afterLockout.attemptsLeft).toBe(MAX_PIN_ATTEMPTS - 1);
+        expect(afterLockout.lockedUntil).toBeNull();
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * @format
+ */
+
+import Geolocation from '@react-native-community/geolocation';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getCurrentLocation } from '../src/utils/location';
+import { assessLocationIntegrity, INTEGRITY_FLAGS } from '../src/utils/locationIntegrity';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+jest.mock('@react-native-community/geolocation', () => ({
+    setRNConfiguration: jest.fn(),
+    getCurrentPosition: jest.fn(),
+    watchPosition: jest.fn(),
+    clearWatch: jest.fn(),
+}));
+
+const position = (timestamp) => ({
+    coords: { latitude: 13.0827, longitude: 80.2707, accuracy: 12 },
+    timestamp,
+});
+
+// Fetch a fresh fix, skipping the 2 minute last-location cache
+const freshLocation = async (fix) => {
+    await AsyncStorage.removeItem('@srm_last_location');
+    Geolocation.getCurrentPosition.mockImplementationOnce(onSuccess => onSuccess(fix));
+    return getCurrentLocation();
+};
+
+describe('frozen location check', () => {
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        await AsyncStorage.clear();
+    });
+
+    it('does not flag the same cached fix handed back several times', async () => {
+        const cachedFix = position(Date.now() - 30 * 1000);
+        let location;
+        for (let i = 0; i < 4; i++) {
+            location = await freshLocation(cachedFix);
+        }
+
+        const { flags } = await assessLocationIntegrity(location);
+        expect(flags).not.toContain(INTEGRITY_FLAGS.FROZEN_LOCATION);
+    });
+
+    it('flags identical coordinates across distinct fixes', async () => {
+        let location;
+        for (let i = 0; i < 3; i++) {
+            location = await freshLocation(position(Date.now() - i * 1000));
+        }
+
+        const { flags } = await assessLocationIntegrity(location);
+        expect(flags).toContain(INTEGRITY_FLAGS.FROZEN_LOCATION);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import { checkIn } from '../src/services/api';
+import {
+    enqueuePunch,
+    getPendingPunches,
+    getFailedPunches,
+    syncPendingPunches,
+} from '../src/services/offlineQueue';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+jest.mock('@react-native-community/netinfo', () =>
+    require('@react-native-community/netinfo/jest/netinfo-mock'),
+);
+
+// In-memory file system
+jest.mock('react-native-fs', () => {
+    const files = {};
+    return {
+        files,
+        DocumentDirectoryPath: '/docs',
+        mkdir: jest.fn(async () => {}),
+        copyFile: jest.fn(async (from, to) => { files[to] = files[from]; }),
+        writeFile: jest.fn(async (path, contents) => { files[path] = contents; }),
+        readFile: jest.fn(async (path) => files[path]),
+        exists: jest.fn(async (path) => path in files),
+        unlink: jest.fn(async (path) => { delete files[path]; }),
+    };
+});
+
+jest.mock('../src/services/api', () => ({
+    checkIn: jest.fn(),
+    checkOut: jest.fn(),
+    startBreak: jest.fn(),
+    endBreak: jest.fn(),
+}));
+
+const httpError = (status, message = 'Request failed') => {
+    const error = new Error(message);
+    error.isAxiosError = true;
+    error.response = { status, data: { message } };
+    return error;
+};
+
+const queueCheckIn = async () => {
+    RNFS.files['/tmp/capture.jpg'] = 'jpeg';
+    return enqueuePunch({
+        type: 'check-in',
+        capture: { path: '/tmp/capture.jpg' },
+        latitude: 13.08,
+        longitude: 80.27,
+        details: { kiosk: false },
+    });
+};
+
+describe('syncPendingPunches', () => {
+    beforeEach(async () => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.clearAllMocks();
+        await AsyncStorage.clear();
+        Object.keys(RNFS.files).forEach(path => delete RNFS.files[path]);
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    it('keeps the punch and its files queued through a server outage', async () => {
+        const punch = await queueCheckIn();
+        checkIn.mockRejectedValueOnce(httpError(503, 'Service Unavailable'));
+
+        const result = await syncPendingPunches({ force: true });
+
+        expect(result.pending).toBe(1);
+        expect(result.rejected).toEqual([]);
+        const [queued] = await getPendingPunches();
+        expect(queued.id).toBe(punch.id);
+        expect(queued.attempts).toBe(1);
+        expect(queued.nextAttemptAt).toBeGreaterThan(Date.now());
+        expect(await RNFS.exists(punch.imagePath)).toBe(true);
+        expect(await RNFS.exists(punch.detailsPath)).toBe(true);
+        expect(await getFailedPunches()).toEqual([]);
+    });
+
+    it('retries when rate limited', async () => {
+        await queueCheckIn();
+        checkIn.mockRejectedValueOnce(httpError(429, 'Too Many Requests'));
+
+        const result = await syncPendingPunches({ force: true });
+        expect(result.pending).toBe(1);
+    });
+
+    it('moves a punch the server rejected to the failed list', async () => {
+        const punch = await queueCheckIn();
+        checkIn.mockRejectedValueOnce(httpError(422, 'Face not recognized'));
+
+        const result = await syncPendingPunches({ force: true });
+
+        expect(result.pending).toBe(0);
+        expect(result.rejected).toHaveLength(1);
+        const [failed] = await getFailedPunches();
+        expect(failed).toMatchObject({ id: punch.id, message: 'Face not recognized' });
+        expect(await RNFS.exists(punch.imagePath)).toBe(false);
+    });
+});
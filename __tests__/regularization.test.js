@@ -0,0 +1,86 @@
+/**
+ * @format
+ */
+
+import {
+    REGULARIZATION_STATUS,
+    getLatestRegularizations,
+    getCorrectionStatus,
+    canRequestRegularization,
+    validateCorrection,
+} from '../src/utils/regularization';
+
+describe('getCorrectionStatus', () => {
+    const requests = [
+        { requestId: 'r3', attendanceId: 'a1', date: '2025-03-14', status: REGULARIZATION_STATUS.PENDING },
+        { requestId: 'r2', attendanceId: 'a1', date: '2025-03-14', status: REGULARIZATION_STATUS.REJECTED },
+        { requestId: 'r1', date: '2025-03-12', status: REGULARIZATION_STATUS.APPROVED },
+    ];
+    const latest = getLatestRegularizations(requests);
+
+    it('keeps the newest request per record', () => {
+        expect(latest.a1.requestId).toBe('r3');
+        expect(getCorrectionStatus({ attendanceId: 'a1', date: '2025-03-14' }, latest)).toBe('pending');
+    });
+
+    it('matches records without punches by date', () => {
+        expect(getCorrectionStatus({ date: '2025-03-12', status: 'absent' }, latest)).toBe('regularized');
+    });
+
+    it('shows records the server marked as regularized', () => {
+        expect(getCorrectionStatus({ attendanceId: 'a9', regularized: true })).toBe('regularized');
+        expect(getCorrectionStatus({ attendanceId: 'a9' }, latest)).toBeNull();
+    });
+});
+
+describe('canRequestRegularization', () => {
+    const today = '2025-03-20';
+
+    it('allows recent records without a pending request', () => {
+        expect(canRequestRegularization({ attendanceId: 'a2', date: '2025-03-19' }, {}, today)).toBe(true);
+    });
+
+    it('rejects leave days, old records and records with a pending request', () => {
+        const pending = { a1: { status: REGULARIZATION_STATUS.PENDING } };
+        expect(canRequestRegularization({ date: '2025-03-19', status: 'on-leave' }, {}, today)).toBe(false);
+        expect(canRequestRegularization({ date: '2025-02-01' }, {}, today)).toBe(false);
+        expect(canRequestRegularization({ attendanceId: 'a1', date: '2025-03-19' }, pending, today)).toBe(false);
+    });
+});
+
+describe('validateCorrection', () => {
+    // Checked in at 09:00 IST, forgot to check out
+    const record = { attendanceId: 'a1', date: '2025-03-14', checkInTime: '2025-03-14T03:30:00Z' };
+    const now = new Date('2025-03-16T06:00:00Z');
+    const checkInTime = new Date('2025-03-14T03:30:00Z');
+
+    it('accepts a missing check-out being added', () => {
+        const checkOutTime = new Date('2025-03-14T12:30:00Z');
+        expect(validateCorrection({ checkInTime, checkOutTime }, record, { now })).toBeNull();
+    });
+
+    it('rejects unchanged times', () => {
+        expect(validateCorrection({ checkInTime, checkOutTime: null }, record, { now }))
+            .toMatch(/same as the current record/);
+    });
+
+    it('rejects check-out before check-in and future times', () => {
+        expect(validateCorrection({ checkInTime, checkOutTime: new Date('2025-03-14T02:00:00Z') }, record, { now }))
+            .toMatch(/after check-in/);
+        expect(validateCorrection({ checkInTime, checkOutTime: new Date('2025-03-16T08:00:00Z') }, record, { now }))
+            .toMatch(/future/);
+    });
+
+    it('keeps check-in on the business day being corrected', () => {
+        // 23:00 IST on 13 March
+        const previousDay = new Date('2025-03-13T17:30:00Z');
+        expect(validateCorrection({ checkInTime: previousDay, checkOutTime: null }, record, { now }))
+            .toMatch(/on the day/);
+    });
+
+    it('allows a night shift check-out on the next day', () => {
+        const nightCheckIn = new Date('2025-03-14T16:30:00Z'); // 22:00 IST
+        const checkOutTime = new Date('2025-03-15T00:30:00Z'); // 06:00 IST on 15 March
+        expect(validateCorrection({ checkInTime: nightCheckIn, checkOutTime }, record, { now })).toBeNull();
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * @format
+ */
+
+import {
+    getShiftWindow,
+    getShiftLengthMinutes,
+    getShiftStatus,
+    formatShiftTime,
+} from '../src/utils/shift';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+// 09:00 - 18:00 IST with 10 minutes grace
+const dayShift = { startTime: '09:00', endTime: '18:00', graceMinutes: 10 };
+// 22:00 - 06:00 IST
+const nightShift = { startTime: '22:00', endTime: '06:00', graceMinutes: 5 };
+
+// Instant for an IST wall time on 14 March 2025
+const ist = (time, date = '2025-03-14') => new Date(`${date}T${time}:00+05:30`);
+
+describe('getShiftWindow', () => {
+    it('places the shift on the branch day', () => {
+        const { start, end, lateAt } = getShiftWindow(dayShift, '2025-03-14');
+        expect(start).toEqual(ist('09:00'));
+        expect(end).toEqual(ist('18:00'));
+        expect(lateAt).toEqual(ist('09:10'));
+    });
+
+    it('ends an overnight shift the next day', () => {
+        const { start, end } = getShiftWindow(nightShift, '2025-03-14');
+        expect(start).toEqual(ist('22:00'));
+        expect(end).toEqual(ist('06:00', '2025-03-15'));
+    });
+});
+
+describe('getShiftLengthMinutes', () => {
+    it('subtracts break windows, including ones across midnight', () => {
+        expect(getShiftLengthMinutes(dayShift)).toBe(9 * 60);
+        expect(getShiftLengthMinutes({ ...dayShift, breaks: [{ start: '13:00', end: '13:45' }] })).toBe(9 * 60 - 45);
+        expect(getShiftLengthMinutes({ ...nightShift, breaks: [{ start: '23:50', end: '00:20' }] })).toBe(8 * 60 - 30);
+    });
+});
+
+describe('getShiftStatus', () => {
+    it.each([
+        ['07:30', 'upcoming'],
+        ['08:30', 'late-warning'],
+        ['09:05', 'grace'],
+        ['09:15', 'late'],
+        ['18:00', 'ended'],
+    ])('at %s is %s before checking in', (time, phase) => {
+        expect(getShiftStatus(dayShift, ist(time)).phase).toBe(phase);
+    });
+
+    it('is on shift once checked in', () => {
+        expect(getShiftStatus(dayShift, ist('09:15'), true).phase).toBe('on-shift');
+    });
+
+    it('follows an overnight shift past midnight', () => {
+        const afterMidnight = ist('01:00', '2025-03-15');
+        expect(getShiftStatus(nightShift, afterMidnight).phase).toBe('late');
+        expect(getShiftStatus(nightShift, afterMidnight, true).window.start).toEqual(ist('22:00'));
+        // Once it has ended, the next one is tonight's
+        const { phase, window } = getShiftStatus(nightShift, ist('07:00', '2025-03-15'));
+        expect(phase).toBe('upcoming');
+        expect(window.start).toEqual(ist('22:00', '2025-03-15'));
+    });
+});
+
+describe('formatShiftTime', () => {
+    it('formats without the device timezone', () => {
+        expect(formatShiftTime('21:00')).toBe('09:00 PM');
+        expect(formatShiftTime('00:30')).toBe('12:30 AM');
+    });
+});
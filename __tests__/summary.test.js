@@ -0,0 +1,106 @@
+/**
+ * @format
+ */
+
+import {
+    DEFAULT_SHIFT_MINUTES,
+    getShiftMinutes,
+    getWeekRange,
+    getMonthRange,
+    summarizeAttendance,
+    summarizeWeek,
+} from '../src/utils/summary';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+// 09:00 - 18:00 IST on the given day
+const dayShift = (date, status = 'present', hours = 9) => ({
+    date,
+    status,
+    checkInTime: `${date}T03:30:00Z`,
+    checkOutTime: new Date(new Date(`${date}T03:30:00Z`).getTime() + hours * 3600000).toISOString(),
+});
+
+describe('getWeekRange', () => {
+    it('runs Monday to Sunday in the branch timezone', () => {
+        // 23:00 UTC on Sunday 23 March is 04:30 IST on Monday 24 March
+        const lateSunday = new Date('2025-03-23T23:00:00Z');
+        expect(getWeekRange(lateSunday)).toEqual({ from: '2025-03-24', to: '2025-03-30' });
+        expect(getWeekRange(lateSunday, 'UTC')).toEqual({ from: '2025-03-17', to: '2025-03-23' });
+    });
+
+    it('spans a month and year end', () => {
+        expect(getWeekRange(new Date('2025-01-01T06:00:00Z'))).toEqual({ from: '2024-12-30', to: '2025-01-05' });
+    });
+});
+
+describe('getMonthRange', () => {
+    it('uses the branch month at the boundary', () => {
+        // 19:00 UTC on 28 February is 00:30 IST on 1 March
+        const boundary = new Date('2025-02-28T19:00:00Z');
+        expect(getMonthRange(boundary)).toEqual({ from: '2025-03-01', to: '2025-03-31' });
+        expect(getMonthRange(boundary, 'UTC')).toEqual({ from: '2025-02-01', to: '2025-02-28' });
+    });
+
+    it('knows leap years', () => {
+        expect(getMonthRange(new Date('2024-02-10T06:00:00Z'))).toEqual({ from: '2024-02-01', to: '2024-02-29' });
+    });
+});
+
+describe('summarizeAttendance', () => {
+    const range = { from: '2025-03-10', to: '2025-03-16', now: new Date('2025-03-17T06:00:00Z') };
+
+    it('totals hours, overtime and statuses per day', () => {
+        const records = [
+            dayShift('2025-03-10'),
+            dayShift('2025-03-11', 'late', 10),
+            dayShift('2025-03-12', 'half-day', 4),
+            dayShift('2025-03-20'), // outside the range
+        ];
+
+        const summary = summarizeAttendance(records, { ...range, shiftMinutes: 9 * 60 });
+        expect(summary.daysWorked).toBe(3);
+        expect(summary.totalMinutes).toBe(23 * 60);
+        expect(summary.overtimeMinutes).toBe(60);
+        expect(summary.lateCount).toBe(1);
+        expect(summary.halfDayCount).toBe(1);
+        expect(summary.averageMinutes).toBe(Math.round((23 * 60) / 3));
+    });
+
+    it('takes the status from the first session of a day', () => {
+        const records = [
+            { ...dayShift('2025-03-10', 'present', 2), checkInTime: '2025-03-10T10:30:00Z', checkOutTime: '2025-03-10T12:30:00Z' },
+            dayShift('2025-03-10', 'late', 4),
+        ];
+
+        const summary = summarizeAttendance(records, range);
+        expect(summary.daysWorked).toBe(1);
+        expect(summary.lateCount).toBe(1);
+    });
+
+    it('splits an overnight shift at the week boundary', () => {
+        // 22:00 Sunday 16 March to 06:00 Monday 17 March IST
+        const nightShift = {
+            date: '2025-03-16',
+            status: 'present',
+            checkInTime: '2025-03-16T16:30:00Z',
+            checkOutTime: '2025-03-17T00:30:00Z',
+        };
+        const monday = new Date('2025-03-17T06:00:00Z');
+
+        expect(summarizeAttendance([nightShift], range).totalMinutes).toBe(2 * 60);
+        const nextWeek = summarizeWeek([nightShift], monday);
+        expect(nextWeek.totalMinutes).toBe(6 * 60);
+        expect(nextWeek.daysWorked).toBe(0);
+    });
+});
+
+describe('getShiftMinutes', () => {
+    it('prefers the scheduled shift, then the employee, then the default', () => {
+        expect(getShiftMinutes({ shiftHours: 7 }, { startTime: '22:00', endTime: '06:00' })).toBe(8 * 60);
+        expect(getShiftMinutes({ shiftHours: 7.5 })).toBe(450);
+        expect(getShiftMinutes(null)).toBe(DEFAULT_SHIFT_MINUTES);
+    });
+});
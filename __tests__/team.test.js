@@ -0,0 +1,66 @@
+/**
+ * @format
+ */
+
+import {
+    TEAM_STATUS,
+    isManager,
+    getLateMinutes,
+    summarizeTeam,
+    sortRoster,
+} from '../src/utils/team';
+
+describe('isManager', () => {
+    it('uses the role from getEmployee', () => {
+        expect(isManager({ role: 'manager' })).toBe(true);
+        expect(isManager({ role: 'Supervisor' })).toBe(true);
+        expect(isManager({ role: 'employee' })).toBe(false);
+        expect(isManager({})).toBe(false);
+        expect(isManager(null)).toBe(false);
+    });
+});
+
+describe('getLateMinutes', () => {
+    const shift = { startTime: '09:00', graceMinutes: 10 };
+
+    it('prefers the late minutes sent by the server', () => {
+        expect(getLateMinutes({ lateMinutes: 25, checkInTime: '2025-03-14T03:30:00Z', shift })).toBe(25);
+    });
+
+    it('counts from shift start in the branch timezone once past the grace period', () => {
+        // 09:20 IST
+        expect(getLateMinutes({ checkInTime: '2025-03-14T03:50:00Z', shift })).toBe(20);
+        // 09:05 IST is within grace
+        expect(getLateMinutes({ checkInTime: '2025-03-14T03:35:00Z', shift })).toBe(0);
+    });
+
+    it('is zero without a check-in or shift', () => {
+        expect(getLateMinutes({ status: TEAM_STATUS.NOT_CHECKED_IN, shift })).toBe(0);
+        expect(getLateMinutes({ checkInTime: '2025-03-14T05:00:00Z' })).toBe(0);
+    });
+});
+
+describe('roster', () => {
+    const team = [
+        { employeeId: 'E4', name: 'Devi', status: TEAM_STATUS.ON_LEAVE },
+        { employeeId: 'E1', name: 'Arun', status: TEAM_STATUS.CHECKED_OUT, lateMinutes: 0 },
+        { employeeId: 'E3', name: 'Chitra', status: TEAM_STATUS.ON_BREAK, lateMinutes: 15 },
+        { employeeId: 'E2', name: 'Bala', status: TEAM_STATUS.CHECKED_IN, lateMinutes: 0 },
+        { employeeId: 'E5', name: 'Ezhil', status: TEAM_STATUS.NOT_CHECKED_IN },
+    ];
+
+    it('counts who is in now and who was late', () => {
+        expect(summarizeTeam(team)).toEqual({
+            total: 5,
+            checkedIn: 2,
+            onBreak: 1,
+            late: 1,
+            notIn: 1,
+            onLeave: 1,
+        });
+    });
+
+    it('lists people at work first', () => {
+        expect(sortRoster(team).map(member => member.employeeId)).toEqual(['E2', 'E3', 'E1', 'E4', 'E5']);
+    });
+});
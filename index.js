@@ -3,7 +3,11 @@
  */
 
 import { AppRegistry } from 'react-native';
+import notifee from '@notifee/react-native';
 import App from './App';
 import { name as appName } from './app.json';
 
+// Reminder taps are handled once the app opens (see onReminderPress)
+notifee.onBackgroundEvent(async () => {});
+
 AppRegistry.registerComponent(appName, () => App);
@@ -3,21 +3,72 @@
  * Flow: Attendance (main) -> Registration for new users
  */
 
-import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
+import {
+    NavigationContainer,
+    createNavigationContainerRef,
+} from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import { onAuthExpired } from '../services/api';
+import { onReminderPress } from '../services/reminders';
 
 // Import screens
 import AttendanceScreen from '../screens/AttendanceScreen';
 import EmployeeIdScreen from '../screens/EmployeeIdScreen';
 import FaceRegistrationScreen from '../screens/FaceRegistrationScreen';
 import DashboardScreen from '../screens/DashboardScreen';
+import CalendarScreen from '../screens/CalendarScreen';
+import HistoryScreen from '../screens/HistoryScreen';
+import SettingsScreen from '../screens/SettingsScreen';
+import LeaveScreen from '../screens/LeaveScreen';
+import ApplyLeaveScreen from '../screens/ApplyLeaveScreen';
+import RegularizationScreen from '../screens/RegularizationScreen';
+import TeamScreen from '../screens/TeamScreen';
 
 const Stack = createNativeStackNavigator();
+const navigationRef = createNavigationContainerRef();
 
 const Navigator = () => {
+    // Reminder tapped before navigation was ready (app launched from it)
+    const pendingReminderModeRef = useRef(null);
+
+    // Refresh token rejected - send the user back to face verification
+    useEffect(() => {
+        return onAuthExpired(() => {
+            if (navigationRef.isReady()) {
+                navigationRef.reset({
+                    index: 0,
+                    routes: [{ name: 'Attendance' }],
+                });
+            }
+            Alert.alert(
+                'Session Expired',
+                'Please verify your face again to continue.',
+            );
+        });
+    }, []);
+
+    // Tapping a check-in / check-out reminder opens the punch screen in that mode
+    useEffect(() => {
+        return onReminderPress((mode) => {
+            if (navigationRef.isReady()) {
+                navigationRef.navigate('Attendance', { mode });
+            } else {
+                pendingReminderModeRef.current = mode;
+            }
+        });
+    }, []);
+
     return (
-        <NavigationContainer>
+        <NavigationContainer
+            ref={navigationRef}
+            onReady={() => {
+                if (pendingReminderModeRef.current) {
+                    navigationRef.navigate('Attendance', { mode: pendingReminderModeRef.current });
+                    pendingReminderModeRef.current = null;
+                }
+            }}>
             <Stack.Navigator
                 initialRouteName="Attendance"
                 screenOptions={{
@@ -42,6 +93,42 @@ const Navigator = () => {
                     }}
                 />
 
+                {/* Attendance Calendar & History */}
+                <Stack.Screen
+                    name="Calendar"
+                    component={CalendarScreen}
+                />
+                <Stack.Screen
+                    name="History"
+                    component={HistoryScreen}
+                />
+                <Stack.Screen
+                    name="Regularization"
+                    component={RegularizationScreen}
+                />
+
+                {/* Leave */}
+                <Stack.Screen
+                    name="Leave"
+                    component={LeaveScreen}
+                />
+                <Stack.Screen
+                    name="ApplyLeave"
+                    component={ApplyLeaveScreen}
+                />
+
+                {/* Manager Mode */}
+                <Stack.Screen
+                    name="Team"
+                    component={TeamScreen}
+                />
+
+                {/* Reminder Settings */}
+                <Stack.Screen
+                    name="Settings"
+                    component={SettingsScreen}
+                />
+
                 {/* Registration Flow */}
                 <Stack.Screen
                     name="EmployeeId"
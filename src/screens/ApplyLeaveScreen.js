@@ -0,0 +1,348 @@
+/**
+ * Apply Leave Screen - Leave type, date range and reason for a new request
+ */
+
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    ScrollView,
+    TextInput,
+    Switch,
+    ActivityIndicator,
+    Alert,
+} from 'react-native';
+import { applyLeave } from '../services/api';
+import { countLeaveDays } from '../utils/leave';
+import { getBranchTimezone, toBusinessDateKey, addDays } from '../utils/datetime';
+
+// Leave can be requested up to this far ahead
+const MAX_DAYS_AHEAD = 180;
+
+const formatDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+};
+
+const ApplyLeaveScreen = ({ route, navigation }) => {
+    const { employee, balances = [] } = route.params || {};
+    const today = toBusinessDateKey(new Date(), getBranchTimezone(employee));
+    const lastDate = addDays(today, MAX_DAYS_AHEAD);
+
+    const [type, setType] = useState(balances[0]?.type || null);
+    const [fromDate, setFromDate] = useState(today);
+    const [toDate, setToDate] = useState(today);
+    const [halfDay, setHalfDay] = useState(false);
+    const [reason, setReason] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const balance = balances.find(item => item.type === type);
+    const days = countLeaveDays(fromDate, toDate, halfDay);
+
+    const changeFromDate = (offset) => {
+        const next = addDays(fromDate, offset);
+        if (next < today || next > lastDate) return;
+        // Keep the range valid when the start moves past the end
+        const nextToDate = next > toDate ? next : toDate;
+        setFromDate(next);
+        setToDate(nextToDate);
+        if (next !== nextToDate) setHalfDay(false);
+    };
+
+    const changeToDate = (offset) => {
+        const next = addDays(toDate, offset);
+        if (next < fromDate || next > lastDate) return;
+        setToDate(next);
+        if (next !== fromDate) setHalfDay(false);
+    };
+
+    const handleSubmit = async () => {
+        if (!type) {
+            Alert.alert('Select Leave Type', 'Please choose the type of leave.');
+            return;
+        }
+        if (!reason.trim()) {
+            Alert.alert('Reason Required', 'Please enter a reason for your leave.');
+            return;
+        }
+        if (balance && days > balance.remaining) {
+            Alert.alert(
+                'Not Enough Balance',
+                `You have ${balance.remaining} ${balance.label || balance.type} days left but requested ${days}.`,
+            );
+            return;
+        }
+
+        setSubmitting(true);
+        try {
+            const response = await applyLeave(employee.employeeId, {
+                type,
+                fromDate,
+                toDate,
+                halfDay,
+                reason: reason.trim(),
+            });
+            if (response.success) {
+                Alert.alert(
+                    '✅ Leave Requested',
+                    response.message || 'Your leave request has been sent for approval.',
+                    [{ text: 'OK', onPress: () => navigation.goBack() }],
+                );
+            } else {
+                Alert.alert('Error', response.message || 'Failed to apply for leave');
+            }
+        } catch (error) {
+            console.error('Error applying for leave:', error);
+            Alert.alert('Error', error.response?.data?.message || 'Failed to apply for leave');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const renderDateStepper = (label, value, onChange) => (
+        <View style={styles.dateRow}>
+            <Text style={styles.dateLabel}>{label}</Text>
+            <View style={styles.dateStepper}>
+                <TouchableOpacity style={styles.stepButton} onPress={() => onChange(-1)}>
+                    <Text style={styles.stepText}>‹</Text>
+                </TouchableOpacity>
+                <Text style={styles.dateValue}>{formatDate(value)}</Text>
+                <TouchableOpacity style={styles.stepButton} onPress={() => onChange(1)}>
+                    <Text style={styles.stepText}>›</Text>
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Text style={styles.backText}>← Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.title}>Apply for Leave</Text>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                {/* Leave Type */}
+                <View style={styles.card}>
+                    <Text style={styles.sectionTitle}>Leave Type</Text>
+                    <View style={styles.typeOptions}>
+                        {balances.map(item => (
+                            <TouchableOpacity
+                                key={item.type}
+                                style={[styles.typeChip, type === item.type && styles.typeChipActive]}
+                                onPress={() => setType(item.type)}>
+                                <Text style={[styles.typeText, type === item.type && styles.typeTextActive]}>
+                                    {item.label || item.type} ({item.remaining})
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    {balances.length === 0 && (
+                        <Text style={styles.hint}>Leave types could not be loaded. Go back and pull to refresh.</Text>
+                    )}
+                </View>
+
+                {/* Dates */}
+                <View style={styles.card}>
+                    <Text style={styles.sectionTitle}>Dates</Text>
+                    {renderDateStepper('From', fromDate, changeFromDate)}
+                    {renderDateStepper('To', toDate, changeToDate)}
+                    {fromDate === toDate && (
+                        <View style={styles.halfDayRow}>
+                            <Text style={styles.dateLabel}>Half day</Text>
+                            <Switch
+                                value={halfDay}
+                                onValueChange={setHalfDay}
+                                trackColor={{ true: '#FF6B35' }}
+                            />
+                        </View>
+                    )}
+                    <Text style={styles.daysTotal}>
+                        {days} {days === 1 ? 'day' : 'days'}
+                        {balance ? ` • ${balance.remaining} available` : ''}
+                    </Text>
+                </View>
+
+                {/* Reason */}
+                <View style={styles.card}>
+                    <Text style={styles.sectionTitle}>Reason</Text>
+                    <TextInput
+                        style={styles.reasonInput}
+                        value={reason}
+                        onChangeText={setReason}
+                        placeholder="e.g. Family function, medical appointment"
+                        placeholderTextColor="#999"
+                        multiline
+                        maxLength={300}
+                    />
+                </View>
+
+                <TouchableOpacity
+                    style={[styles.submitButton, submitting && styles.submitButtonDisabled]}
+                    onPress={handleSubmit}
+                    disabled={submitting}>
+                    {submitting ? (
+                        <ActivityIndicator color="#fff" />
+                    ) : (
+                        <Text style={styles.submitText}>Submit Request</Text>
+                    )}
+                </TouchableOpacity>
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    header: {
+        backgroundColor: '#FF6B35',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomLeftRadius: 24,
+        borderBottomRightRadius: 24,
+    },
+    backButton: {
+        marginBottom: 8,
+    },
+    backText: {
+        color: '#fff',
+        fontSize: 16,
+    },
+    title: {
+        color: '#fff',
+        fontSize: 24,
+        fontWeight: 'bold',
+    },
+    content: {
+        padding: 16,
+    },
+    card: {
+        backgroundColor: '#fff',
+        padding: 20,
+        borderRadius: 16,
+        marginBottom: 16,
+        elevation: 2,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+        marginBottom: 12,
+    },
+    typeOptions: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+    },
+    typeChip: {
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+    },
+    typeChipActive: {
+        backgroundColor: '#FF6B35',
+        borderColor: '#FF6B35',
+    },
+    typeText: {
+        fontSize: 13,
+        color: '#666',
+        textTransform: 'capitalize',
+    },
+    typeTextActive: {
+        color: '#fff',
+        fontWeight: '600',
+    },
+    hint: {
+        fontSize: 12,
+        color: '#999',
+        fontStyle: 'italic',
+    },
+    dateRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+    },
+    dateLabel: {
+        fontSize: 14,
+        color: '#666',
+    },
+    dateStepper: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+    },
+    stepButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: '#f5f5f5',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    stepText: {
+        fontSize: 20,
+        color: '#FF6B35',
+        fontWeight: 'bold',
+    },
+    dateValue: {
+        fontSize: 14,
+        fontWeight: '500',
+        color: '#333',
+        minWidth: 130,
+        textAlign: 'center',
+    },
+    halfDayRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+    },
+    daysTotal: {
+        fontSize: 13,
+        color: '#00897B',
+        fontWeight: '600',
+        textAlign: 'right',
+    },
+    reasonInput: {
+        minHeight: 80,
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+        borderRadius: 12,
+        padding: 12,
+        fontSize: 14,
+        color: '#333',
+        textAlignVertical: 'top',
+    },
+    submitButton: {
+        backgroundColor: '#FF6B35',
+        padding: 16,
+        borderRadius: 12,
+        alignItems: 'center',
+    },
+    submitButtonDisabled: {
+        backgroundColor: '#999',
+    },
+    submitText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: '600',
+    },
+});
+
+export default ApplyLeaveScreen;
@@ -1,8 +1,8 @@
 /**
- * Attendance Screen - Face verification for check-in/check-out
+ * Attendance Screen - Face verification for check-in/check-out and breaks
  */
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
     View,
     Text,
@@ -10,39 +10,262 @@ import {
     TouchableOpacity,
     Alert,
     ActivityIndicator,
+    Modal,
+    TextInput,
+    Image,
+    BackHandler,
 } from 'react-native';
 import {
     Camera,
     useCameraDevice,
     useCameraPermission,
 } from 'react-native-vision-camera';
-import { checkIn, checkOut, validateLocation } from '../services/api';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+    checkIn,
+    checkOut,
+    startBreak,
+    endBreak,
+    validateLocation,
+    getGeofenceSettings,
+    getAttendanceHistory,
+} from '../services/api';
 import {
     requestLocationPermission,
     getCurrentLocation,
     validateLocationFast,
+    describeOutOfRange,
 } from '../utils/location';
-import { saveSession } from '../utils/session';
-import RNFS from 'react-native-fs';
+import { assessLocationIntegrity } from '../utils/locationIntegrity';
+import { getGeofencePolicy, resolveGeofenceDecision } from '../utils/geofencePolicy';
+import { getLeftPremisesEvents, clearLeftPremisesEvents } from '../utils/geofenceWatcher';
+import {
+    saveSession,
+    saveAuthTokens,
+    getSavedEmployee,
+    getLastPunch,
+    saveLastPunch,
+    determineNextAction,
+    calculateTodayDuration,
+    getRecordsForDay,
+    formatMinutes,
+} from '../utils/session';
+import { getBranchTimezone, toBusinessDateKey } from '../utils/datetime';
+import {
+    BREAK_TYPES,
+    DAILY_BREAK_LIMIT,
+    getBreakStatus,
+    getBreakLabel,
+} from '../utils/breaks';
+import { enqueuePunch, getPendingPunches, isNetworkError } from '../services/offlineQueue';
+import { refreshReminders } from '../services/reminders';
+import { useFaceQualityGate } from '../utils/faceDetection';
+import {
+    createLivenessChallenge,
+    getStepDeadline,
+    advanceLiveness,
+    getLivenessPrompt,
+    getLivenessResult,
+} from '../utils/liveness';
+import { captureFacePhoto, processCapture, discardCapture, imageToBase64 } from '../utils/camera';
+import {
+    MAX_PIN_LENGTH,
+    KIOSK_CONFIRMATION_DURATION,
+    isKioskMode,
+    verifyKioskPin,
+    disableKioskMode,
+} from '../utils/kiosk';
 import { COLORS } from '../utils/theme';
 
-const AttendanceScreen = ({ navigation }) => {
+const PUNCH_LABELS = {
+    'check-in': 'Check In',
+    'check-out': 'Check Out',
+    'break-start': 'Start Break',
+    'break-end': 'End Break',
+};
+
+const PUNCH_PAST_LABELS = {
+    'check-in': 'Checked in',
+    'check-out': 'Checked out',
+    'break-start': 'Break started',
+    'break-end': 'Break ended',
+};
+
+const PUNCH_SUCCESS_TITLES = {
+    'check-in': '✅ Check-In Successful!',
+    'check-out': '✅ Check-Out Successful!',
+    'break-start': '☕ Break Started',
+    'break-end': '✅ Break Ended',
+};
+
+// Titles when the server rejects a punch as out of sequence (409)
+const PUNCH_CONFLICT_TITLES = {
+    'check-in': 'Already Checked In',
+    'check-out': 'Already Checked Out',
+    'break-start': 'Already On Break',
+    'break-end': 'No Break In Progress',
+};
+
+const PUNCH_REQUESTS = {
+    'check-in': checkIn,
+    'check-out': checkOut,
+    'break-start': startBreak,
+    'break-end': endBreak,
+};
+
+// Failed liveness challenges kept to report with the next punch
+const MAX_FAILED_LIVENESS_ATTEMPTS = 5;
+
+const formatPunchTime = (isoString) => {
+    return new Date(isoString).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+};
+
+// Cancel / confirm alert as a promise
+const confirmAlert = (title, message, confirmText) => new Promise((resolve) => {
+    Alert.alert(
+        title,
+        message,
+        [
+            { text: 'Cancel', style: 'cancel', onPress: () => resolve(false) },
+            { text: confirmText, onPress: () => resolve(true) },
+        ],
+        { cancelable: true, onDismiss: () => resolve(false) },
+    );
+});
+
+const AttendanceScreen = ({ route, navigation }) => {
     const cameraRef = useRef(null);
 
     const [loading, setLoading] = useState(false);
+    const [uploadProgress, setUploadProgress] = useState(null);
     const [locationStatus, setLocationStatus] = useState('checking');
     const [currentLocation, setCurrentLocation] = useState(null);
     const [isWithinGeofence, setIsWithinGeofence] = useState(false);
     const [distance, setDistance] = useState(null);
+    const [branch, setBranch] = useState(null);
+    const [geofenceDecision, setGeofenceDecision] = useState(null);
     const [mode, setMode] = useState('check-in');
+    const [nextAction, setNextAction] = useState(null);
+    const [breakType, setBreakType] = useState('lunch');
+    const [todayBreakMinutes, setTodayBreakMinutes] = useState(0);
+    const [liveness, setLiveness] = useState(null);
+    const [kioskMode, setKioskMode] = useState(false);
+    // Card shown after each kiosk punch: { type, name, employeeId, photo, time, offline }
+    const [kioskConfirmation, setKioskConfirmation] = useState(null);
+    const [pinPromptVisible, setPinPromptVisible] = useState(false);
+    const [pin, setPin] = useState('');
+    const [pinError, setPinError] = useState(null);
+    const livenessFramesRef = useRef([]);
+    const failedLivenessRef = useRef([]);
+    const submitPunchRef = useRef(null);
+    const detectNextActionRef = useRef(null);
+    const modeRef = useRef('check-in');
+    // Last location check ({ validation, integrity, locationError, policy }) so the
+    // decision can be re-resolved when switching between punch types
+    const locationCheckRef = useRef(null);
 
     const device = useCameraDevice('front');
     const { hasPermission, requestPermission } = useCameraPermission();
+    const {
+        frameProcessor,
+        quality: faceQuality,
+        face,
+        guide,
+        guideRef,
+        onGuideLayout,
+    } = useFaceQualityGate();
+    const canCapture = isWithinGeofence && faceQuality.ok && !loading && !liveness && !kioskConfirmation;
+    const isBreakMode = mode === 'break-start' || mode === 'break-end';
 
     useEffect(() => {
         initializeScreen();
     }, []);
 
+    // Preselect the next punch whenever the screen comes into focus
+    useFocusEffect(
+        useCallback(() => {
+            detectNextActionRef.current();
+        }, []),
+    );
+
+    // Back to the camera for the next person a few seconds after each kiosk punch
+    useEffect(() => {
+        if (!kioskConfirmation) return;
+        const timer = setTimeout(() => setKioskConfirmation(null), KIOSK_CONFIRMATION_DURATION);
+        return () => clearTimeout(timer);
+    }, [kioskConfirmation]);
+
+    // The hardware back button must not leave a kiosk
+    useEffect(() => {
+        if (!kioskMode) return;
+        const subscription = BackHandler.addEventListener('hardwareBackPress', () => true);
+        return () => subscription.remove();
+    }, [kioskMode]);
+
+    const captureLivenessFrame = useCallback(async () => {
+        try {
+            const snapshot = await cameraRef.current?.takeSnapshot({ quality: 30 });
+            if (!snapshot) return;
+            const frame = await processCapture(snapshot, { guide, preset: 'liveness' });
+            // Frames travel inside the punch details, so they are needed as base64
+            try {
+                livenessFramesRef.current.push(await imageToBase64(frame.path));
+            } finally {
+                await discardCapture(frame);
+            }
+        } catch (error) {
+            console.warn('Liveness frame capture failed:', error);
+        }
+    }, [guide]);
+
+    // Drive the liveness challenge from face detector updates
+    useEffect(() => {
+        if (!liveness) return;
+
+        if (liveness.status === 'failed') {
+            // Reported with the retry punch so the server sees failed attempts
+            failedLivenessRef.current = [
+                ...failedLivenessRef.current,
+                getLivenessResult(liveness, livenessFramesRef.current),
+            ].slice(-MAX_FAILED_LIVENESS_ATTEMPTS);
+            setLiveness(null);
+            Alert.alert(
+                'Liveness Check Failed',
+                'Please follow the on-screen instructions. Tap the button to try again.',
+            );
+            return;
+        }
+
+        if (liveness.status === 'passed') {
+            // Wait for a clear frontal face before taking the punch photo
+            if (faceQuality.ok && !loading) {
+                const result = getLivenessResult(liveness, livenessFramesRef.current);
+                setLiveness(null);
+                submitPunchRef.current(result);
+            }
+            return;
+        }
+
+        const next = advanceLiveness(liveness, face);
+        if (next === liveness) return;
+
+        if (next.index > liveness.index) {
+            captureLivenessFrame();
+        }
+        setLiveness(next);
+    }, [liveness, face, faceQuality.ok, loading, captureLivenessFrame]);
+
+    // Time out the current step even when no face is in view to drive the challenge
+    const livenessStatus = liveness?.status;
+    const livenessDeadline = liveness ? getStepDeadline(liveness) : null;
+    useEffect(() => {
+        if (livenessStatus !== 'in-progress') return undefined;
+        const timer = setTimeout(() => {
+            setLiveness(current => (current ? advanceLiveness(current, null) : current));
+        }, Math.max(0, livenessDeadline - Date.now()) + 1);
+        return () => clearTimeout(timer);
+    }, [livenessStatus, livenessDeadline]);
+
     const initializeScreen = async () => {
         if (!hasPermission) {
             await requestPermission();
@@ -50,15 +273,52 @@ const AttendanceScreen = ({ navigation }) => {
         await checkLocationAndGeofence();
     };
 
+    // Apply the geo-fence policy decision to the capture controls
+    const applyGeofenceDecision = (decision) => {
+        setGeofenceDecision(decision);
+        setIsWithinGeofence(decision.decision !== 'deny');
+
+        if (decision.decision === 'deny') {
+            const deniedStatus = {
+                out_of_range: 'out_of_range',
+                outside_premises: 'out_of_range',
+                location_unavailable: 'error',
+            };
+            setLocationStatus(deniedStatus[decision.reason] || 'blocked');
+        } else {
+            setLocationStatus(decision.decision === 'flag' ? 'flagged' : 'valid');
+        }
+    };
+
+    // Resolve and apply the decision for a location check and punch type
+    const resolveLocationCheck = (check, punchType) => {
+        locationCheckRef.current = check;
+        const { policy, ...input } = check;
+        const decision = resolveGeofenceDecision({ ...input, punchType }, policy);
+        applyGeofenceDecision(decision);
+        return decision;
+    };
+
+    const selectMode = (nextMode) => {
+        modeRef.current = nextMode;
+        setMode(nextMode);
+        if (locationCheckRef.current) {
+            resolveLocationCheck(locationCheckRef.current, nextMode);
+        }
+    };
+
     const checkLocationAndGeofence = async () => {
         setLocationStatus('checking');
         try {
             const hasLocationPermission = await requestLocationPermission();
             if (!hasLocationPermission) {
+                setIsWithinGeofence(false);
                 setLocationStatus('denied');
                 return;
             }
 
+            const policy = await getGeofencePolicy();
+
             // Get current location (uses cache for speed)
             let location;
             try {
@@ -66,7 +326,9 @@ const AttendanceScreen = ({ navigation }) => {
                 setCurrentLocation(location);
             } catch (locError) {
                 console.error('GPS Error:', locError);
-                setLocationStatus('error');
+                setCurrentLocation(null);
+                setBranch(null);
+                resolveLocationCheck({ locationError: locError, policy }, modeRef.current);
                 return;
             }
 
@@ -74,68 +336,237 @@ const AttendanceScreen = ({ navigation }) => {
             const validation = await validateLocationFast(
                 location.latitude,
                 location.longitude,
-                validateLocation // API fallback function
+                validateLocation, // API fallback function
+                getGeofenceSettings,
             );
+            const integrity = await assessLocationIntegrity(location);
 
-            // If geo-fence not configured, allow
-            if (!validation.isConfigured) {
-                setIsWithinGeofence(true);
-                setLocationStatus('valid');
-                return;
-            }
-
-            setIsWithinGeofence(validation.withinRange);
+            setBranch(validation.branch);
             setDistance(validation.distance);
-            setLocationStatus(validation.withinRange ? 'valid' : 'out_of_range');
+            const decision = resolveLocationCheck({ validation, integrity, policy }, modeRef.current);
 
-            if (!validation.withinRange) {
+            if (decision.decision === 'deny' && ['out_of_range', 'outside_premises'].includes(decision.reason)) {
                 Alert.alert(
                     '⚠️ Too Far From Office',
-                    `You are ${validation.distance}m away.\nAllowed: ${validation.allowedRadius}m`,
+                    describeOutOfRange(validation),
+                );
+            } else if (decision.decision === 'deny') {
+                Alert.alert(
+                    '🚫 Attendance Blocked',
+                    `${decision.message}. Check your internet and GPS, then tap Refresh Location.`,
                 );
             }
         } catch (error) {
             console.error('Location check error:', error);
-            // Allow if validation fails
-            setIsWithinGeofence(true);
-            setLocationStatus('valid');
+            setBranch(null);
+            const policy = await getGeofencePolicy();
+            resolveLocationCheck({ validation: { unavailable: true }, policy }, modeRef.current);
         }
     };
 
-    const handleCapture = async () => {
-        if (!cameraRef.current || !isWithinGeofence) return;
+    // Work out the next action from the server history, this device's last punch
+    // and the offline outbox; a mode passed from the dashboard takes precedence
+    const detectNextAction = async () => {
+        const kiosk = await isKioskMode();
+        setKioskMode(kiosk);
 
-        setLoading(true);
-        try {
-            const photo = await cameraRef.current.takePhoto({
-                qualityPrioritization: 'quality',
-                flash: 'off',
-            });
+        // Kiosk punches come from different people - the server checks each one's sequence
+        if (kiosk) {
+            const requestedMode = route.params?.mode;
+            if (requestedMode) {
+                navigation.setParams({ mode: undefined });
+            }
+            setNextAction(null);
+            setTodayBreakMinutes(0);
+            selectMode(requestedMode || 'check-in');
+            return;
+        }
+
+        const employee = await getSavedEmployee();
+        const [lastPunch, pendingPunches] = await Promise.all([
+            getLastPunch(),
+            getPendingPunches(),
+        ]);
+
+        let records = [];
+        if (employee?.employeeId) {
+            try {
+                const historyResponse = await getAttendanceHistory(employee.employeeId, 5);
+                if (historyResponse.success) {
+                    records = historyResponse.history;
+                }
+            } catch (error) {
+                console.log('Attendance history unavailable, using punches on this device');
+            }
+        }
+
+        const next = determineNextAction({
+            records,
+            lastPunch,
+            pendingPunches,
+            employeeId: employee?.employeeId,
+        });
+        setNextAction(next);
+        const timeZone = getBranchTimezone(employee);
+        const today = toBusinessDateKey(new Date(), timeZone);
+        setTodayBreakMinutes(
+            calculateTodayDuration(
+                getRecordsForDay(records, today, { timeZone }),
+                { date: today, timeZone },
+            ).breakMinutes,
+        );
+
+        const requestedMode = route.params?.mode;
+        if (requestedMode) {
+            navigation.setParams({ mode: undefined });
+        }
+        selectMode(requestedMode || next.action);
+    };
+
+    detectNextActionRef.current = detectNextAction;
+
+    // Remember a punch so the next visit preselects the following action
+    const recordPunch = async (type, employeeId, punchBreakType = null) => {
+        const punch = { employeeId, type, breakType: punchBreakType, timestamp: new Date().toISOString() };
+        if (type === 'break-end' && nextAction?.activeBreak) {
+            const { elapsedMinutes } = getBreakStatus(nextAction.activeBreak);
+            setTodayBreakMinutes(minutes => minutes + elapsedMinutes);
+        }
+        await saveLastPunch(punch);
+        const next = determineNextAction({ lastPunch: punch });
+        setNextAction(next);
+        selectMode(next.action);
+        await refreshReminders();
+    };
+
+    // Block breaks out of sequence and warn before a punch that repeats the
+    // last one (double check-in / check-out)
+    const confirmPunch = () => {
+        // Nothing is known about whoever is at the kiosk until the server recognizes them
+        if (kioskMode) return true;
 
-            // Read the photo as base64
-            const base64Data = await RNFS.readFile(photo.path, 'base64');
-            const imageBase64 = `data:image/jpeg;base64,${base64Data}`;
+        const activeBreak = nextAction?.activeBreak;
 
-            let response;
-            if (mode === 'check-in') {
-                response = await checkIn(
-                    imageBase64,
-                    currentLocation.latitude,
-                    currentLocation.longitude,
+        if (mode === 'break-start') {
+            if (!nextAction?.onShift) {
+                Alert.alert('Not Checked In', 'Check in before starting a break.');
+                return false;
+            }
+            if (activeBreak) {
+                Alert.alert(
+                    'Already On Break',
+                    `Your ${getBreakLabel(activeBreak.type).toLowerCase()} started at ${formatPunchTime(activeBreak.startTime)}.`,
                 );
-            } else {
-                response = await checkOut(imageBase64);
+                return false;
+            }
+            if (todayBreakMinutes >= DAILY_BREAK_LIMIT) {
+                Alert.alert(
+                    'Break Limit Reached',
+                    `You have used ${formatMinutes(todayBreakMinutes)} of break time today (limit ${formatMinutes(DAILY_BREAK_LIMIT)}).`,
+                );
+                return false;
+            }
+            return true;
+        }
+
+        if (mode === 'break-end') {
+            if (!activeBreak) {
+                Alert.alert('No Break In Progress', 'You are not on a break right now.');
+                return false;
             }
+            return true;
+        }
+
+        if (mode === 'check-out' && activeBreak) {
+            return confirmAlert(
+                'You Are On A Break',
+                `Your ${getBreakLabel(activeBreak.type).toLowerCase()} started at ${formatPunchTime(activeBreak.startTime)}. Checking out will end it. Check out anyway?`,
+                PUNCH_LABELS[mode],
+            );
+        }
+
+        // Check-in is expected when off shift, check-out when on shift
+        if (!nextAction || (mode === 'check-in') !== nextAction.onShift) return true;
+
+        if (!nextAction.lastAction) {
+            return confirmAlert(
+                'No Check-In Found',
+                'You have not checked in yet. Check out anyway?',
+                PUNCH_LABELS[mode],
+            );
+        }
+        const lastPunchTime = formatPunchTime(nextAction.lastPunchTime);
+        const message = mode === 'check-in'
+            ? nextAction.lastAction === 'check-in'
+                ? `You checked in at ${lastPunchTime} and haven't checked out. Check in again?`
+                : `${PUNCH_PAST_LABELS[nextAction.lastAction]} at ${lastPunchTime} and you haven't checked out. Check in again?`
+            : `You already checked out at ${lastPunchTime}. Check out again?`;
+        return confirmAlert(PUNCH_CONFLICT_TITLES[mode], message, PUNCH_LABELS[mode]);
+    };
+
+    // Capture starts the liveness challenge; the punch is sent once it passes
+    const handleCapture = async () => {
+        if (!cameraRef.current || !isWithinGeofence || !faceQuality.ok) return;
+
+        if (!(await confirmPunch())) return;
+
+        // Early departures from the field are allowed but visible to managers
+        if (
+            geofenceDecision?.reasons.includes('outside_premises') &&
+            !(await confirmAlert(
+                'Outside Office Premises',
+                `${describeOutOfRange(locationCheckRef.current.validation)}\n\nYour check-out will be marked as outside premises for your manager.`,
+                'Check Out',
+            ))
+        ) {
+            return;
+        }
+
+        livenessFramesRef.current = [];
+        setLiveness(createLivenessChallenge());
+    };
+
+    // Keep a low quality frame as each challenge step completes, for audit
+    const submitPunch = async (livenessResult) => {
+        if (!cameraRef.current) return;
+
+        setLoading(true);
+        let capture = null;
+        try {
+            // Cropped to the face guide and compressed for slow connections
+            capture = await captureFacePhoto(cameraRef.current, { guide, preset: 'punch' });
+
+            const details = await getPunchDetails(livenessResult);
+            const response = await PUNCH_REQUESTS[mode](
+                capture,
+                currentLocation?.latitude ?? null,
+                currentLocation?.longitude ?? null,
+                details,
+                { onUploadProgress: setUploadProgress },
+            );
 
             if (response.success) {
-                // Save session on check-in for persistent login
+                failedLivenessRef.current = [];
+                await clearLeftPremisesEvents(details.leftPremisesEvents);
+                if (kioskMode) {
+                    await showKioskConfirmation(response.employee, capture, false);
+                    return;
+                }
+
+                // Save session (and issued tokens) on check-in for persistent login
                 if (mode === 'check-in' && response.employee) {
-                    await saveSession(response.employee);
+                    await saveSession(response.employee, response.auth);
+                } else if (response.auth?.token) {
+                    await saveAuthTokens(response.auth);
                 }
+                const punchEmployee = response.employee || (await getSavedEmployee());
+                await recordPunch(mode, punchEmployee?.employeeId, details.breakType);
 
                 Alert.alert(
-                    mode === 'check-in' ? '✅ Check-In Successful!' : '✅ Check-Out Successful!',
-                    response.message,
+                    PUNCH_SUCCESS_TITLES[mode],
+                    details.overrunMinutes > 0
+                        ? `${response.message}\n\nYour break ran ${formatMinutes(details.overrunMinutes)} over the limit.`
+                        : response.message,
                     [
                         {
                             text: 'View Dashboard',
@@ -145,11 +576,27 @@ const AttendanceScreen = ({ navigation }) => {
                 );
             }
         } catch (error) {
+            // No connectivity - keep the punch in the outbox instead of losing it
+            if (capture && isNetworkError(error)) {
+                await queueOfflinePunch(capture, livenessResult);
+                return;
+            }
+
             const errorMessage =
-                error.response?.data?.message || `Failed to ${mode}`;
+                error.response?.data?.message || `Failed to ${PUNCH_LABELS[mode].toLowerCase()}`;
 
-            // Check if face not recognized - offer registration
-            if (error.response?.status === 404 && errorMessage.toLowerCase().includes('face')) {
+            // Server rejected a double punch - resync the next action from the server
+            if (error.response?.status === 409) {
+                Alert.alert(PUNCH_CONFLICT_TITLES[mode], errorMessage);
+                await detectNextAction();
+            } else if (kioskMode && error.response?.status === 404 && errorMessage.toLowerCase().includes('face')) {
+                // Registering from the kiosk would tie the tablet to that person
+                Alert.alert(
+                    '👤 Face Not Recognized',
+                    'Please try again. If you are new, ask your manager to register your face.',
+                );
+            } else if (error.response?.status === 404 && errorMessage.toLowerCase().includes('face')) {
+                // Face not recognized - offer registration
                 Alert.alert(
                     '👤 Face Not Registered',
                     'Your face is not registered yet. Would you like to register now?',
@@ -165,15 +612,157 @@ const AttendanceScreen = ({ navigation }) => {
                 Alert.alert('Error', errorMessage);
             }
         } finally {
+            await discardCapture(capture);
+            setUploadProgress(null);
             setLoading(false);
         }
     };
 
+    submitPunchRef.current = submitPunch;
+
+    // Show who was recognized, then get ready for the next person
+    const showKioskConfirmation = async (employee, capture, offline) => {
+        // Read before the capture file is discarded; the card outlives it
+        let photo = null;
+        try {
+            photo = await imageToBase64(capture.path);
+        } catch (error) {
+            console.warn('Kiosk preview unavailable:', error);
+        }
+        setKioskConfirmation({
+            type: mode,
+            name: employee?.name || null,
+            employeeId: employee?.employeeId || null,
+            photo,
+            time: new Date().toISOString(),
+            offline,
+        });
+        selectMode('check-in');
+    };
+
+    const closePinPrompt = () => {
+        setPinPromptVisible(false);
+        setPin('');
+        setPinError(null);
+    };
+
+    const handleExitKiosk = async () => {
+        const result = await verifyKioskPin(pin);
+        if (!result.ok) {
+            setPin('');
+            setPinError(result.lockedUntil
+                ? `Too many attempts. Try again in ${Math.ceil((result.lockedUntil - Date.now()) / 1000)}s.`
+                : `Wrong PIN. ${result.attemptsLeft} ${result.attemptsLeft === 1 ? 'attempt' : 'attempts'} left.`);
+            return;
+        }
+
+        await disableKioskMode();
+        closePinPrompt();
+        setKioskMode(false);
+        Alert.alert('Kiosk Mode Off', 'This device is back to personal use. Check in to start your session.');
+    };
+
+    // Metadata sent with every punch; integrity is assessed at punch time so the
+    // location age reflects when the punch was made
+    const getPunchDetails = async (livenessResult) => {
+        const validation = locationCheckRef.current?.validation;
+        return {
+            liveness: livenessResult,
+            failedLivenessAttempts: failedLivenessRef.current,
+            branchId: branch?.branchId || null,
+            geofenceDecision: geofenceDecision
+                ? { decision: geofenceDecision.decision, reasons: geofenceDecision.reasons }
+                : null,
+            locationValidation: validation
+                ? {
+                    withinRange: !!validation.withinRange,
+                    distance: validation.distance ?? null,
+                    allowedRadius: validation.allowedRadius ?? null,
+                    isConfigured: validation.isConfigured ?? null,
+                }
+                : null,
+            outsidePremises: !!geofenceDecision?.reasons.includes('outside_premises'),
+            kiosk: kioskMode,
+            // Exits detected during the session, for HR review (a kiosk runs no watcher)
+            leftPremisesEvents: kioskMode ? [] : await getLeftPremisesEvents(),
+            locationIntegrity: currentLocation
+                ? await assessLocationIntegrity(currentLocation)
+                : null,
+            ...getBreakDetails(),
+        };
+    };
+
+    // Break type for break punches; ending a break also reports its length
+    const getBreakDetails = () => {
+        if (mode === 'break-start') {
+            return { breakType };
+        }
+        if (mode === 'break-end' && nextAction?.activeBreak) {
+            const { elapsedMinutes, overrunMinutes } = getBreakStatus(nextAction.activeBreak);
+            return {
+                breakType: nextAction.activeBreak.type,
+                breakMinutes: elapsedMinutes,
+                overrunMinutes,
+            };
+        }
+        return {};
+    };
+
+    const queueOfflinePunch = async (capture, livenessResult) => {
+        const details = await getPunchDetails(livenessResult);
+        try {
+            await enqueuePunch({
+                type: mode,
+                capture,
+                latitude: currentLocation?.latitude,
+                longitude: currentLocation?.longitude,
+                details,
+            });
+        } catch (queueError) {
+            console.error('Error queueing punch:', queueError);
+            Alert.alert(
+                'Error',
+                `No network connection. Failed to ${PUNCH_LABELS[mode].toLowerCase()}, please try again.`,
+            );
+            return;
+        }
+        failedLivenessRef.current = [];
+        await clearLeftPremisesEvents(details.leftPremisesEvents);
+
+        // Matched to the person when the outbox syncs
+        if (kioskMode) {
+            await showKioskConfirmation(null, capture, true);
+            return;
+        }
+
+        const savedEmployee = await getSavedEmployee();
+        await recordPunch(mode, savedEmployee?.employeeId, details.breakType);
+        Alert.alert(
+            '📶 Saved Offline',
+            `No network connection. Your ${PUNCH_LABELS[mode].toLowerCase()} time has been recorded and will sync automatically when you're back online.`,
+            savedEmployee
+                ? [
+                    { text: 'OK' },
+                    {
+                        text: 'View Dashboard',
+                        onPress: () => navigation.navigate('Dashboard', { employee: savedEmployee }),
+                    },
+                ]
+                : [{ text: 'OK' }],
+        );
+    };
+
     const renderLocationStatus = () => {
         const configs = {
             checking: { style: styles.statusChecking, icon: '', text: 'Checking...' },
-            valid: { style: styles.statusValid, icon: '✓', text: 'Within range' },
-            out_of_range: { style: styles.statusInvalid, icon: '⚠️', text: `${distance}m away` },
+            valid: { style: styles.statusValid, icon: '✓', text: branch ? `At ${branch.name}` : 'Within range' },
+            flagged: { style: styles.statusChecking, icon: '⚑', text: `${geofenceDecision?.message} • will be reviewed` },
+            blocked: { style: styles.statusInvalid, icon: '🚫', text: geofenceDecision?.message || 'Location unverified' },
+            out_of_range: {
+                style: styles.statusInvalid,
+                icon: '⚠️',
+                text: branch ? `${distance}m from ${branch.name}` : `${distance}m away`,
+            },
             denied: { style: styles.statusInvalid, icon: '🚫', text: 'Location denied' },
             error: { style: styles.statusInvalid, icon: '❌', text: 'Location error' },
         };
@@ -214,6 +803,9 @@ const AttendanceScreen = ({ navigation }) => {
                 device={device}
                 isActive={true}
                 photo={true}
+                video={true} // required for liveness snapshots on iOS
+                pixelFormat="yuv"
+                frameProcessor={frameProcessor}
             />
 
             <View style={styles.overlay}>
@@ -223,46 +815,105 @@ const AttendanceScreen = ({ navigation }) => {
                         <Text style={styles.headerLogo}>🍬</Text>
                         <View>
                             <Text style={styles.headerTitle}>SRM Sweets</Text>
-                            <Text style={styles.headerSubtitle}>Mark Attendance</Text>
+                            <Text style={styles.headerSubtitle}>
+                                {kioskMode ? `Kiosk${branch ? ` • ${branch.name}` : ''}` : 'Mark Attendance'}
+                            </Text>
                         </View>
                     </View>
-                    <TouchableOpacity
-                        style={styles.registerButton}
-                        onPress={() => navigation.navigate('EmployeeId')}>
-                        <Text style={styles.registerText}>Register</Text>
-                    </TouchableOpacity>
+                    {kioskMode ? (
+                        <TouchableOpacity
+                            style={styles.kioskExitButton}
+                            onPress={() => setPinPromptVisible(true)}>
+                            <Text style={styles.registerText}>🔒 Exit</Text>
+                        </TouchableOpacity>
+                    ) : (
+                        <TouchableOpacity
+                            style={styles.registerButton}
+                            onPress={() => navigation.navigate('EmployeeId')}>
+                            <Text style={styles.registerText}>Register</Text>
+                        </TouchableOpacity>
+                    )}
                 </View>
 
                 {/* Mode Toggle */}
                 <View style={styles.modeContainer}>
                     <TouchableOpacity
                         style={[styles.modeButton, mode === 'check-in' && styles.modeActive]}
-                        onPress={() => setMode('check-in')}>
+                        onPress={() => selectMode('check-in')}>
                         <Text style={[styles.modeText, mode === 'check-in' && styles.modeTextActive]}>
                             Check In
                         </Text>
                     </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.modeButton, isBreakMode && styles.modeActive]}
+                        onPress={() => selectMode(!kioskMode && nextAction?.activeBreak ? 'break-end' : 'break-start')}>
+                        <Text style={[styles.modeText, isBreakMode && styles.modeTextActive]}>
+                            {nextAction?.activeBreak ? 'End Break' : 'Break'}
+                        </Text>
+                    </TouchableOpacity>
                     <TouchableOpacity
                         style={[styles.modeButton, mode === 'check-out' && styles.modeActive]}
-                        onPress={() => setMode('check-out')}>
+                        onPress={() => selectMode('check-out')}>
                         <Text style={[styles.modeText, mode === 'check-out' && styles.modeTextActive]}>
                             Check Out
                         </Text>
                     </TouchableOpacity>
                 </View>
+                {kioskMode && isBreakMode && (
+                    <View style={styles.breakTypes}>
+                        {['break-start', 'break-end'].map(type => (
+                            <TouchableOpacity
+                                key={type}
+                                style={[styles.breakChip, mode === type && styles.breakChipActive]}
+                                onPress={() => selectMode(type)}>
+                                <Text style={styles.breakChipText}>{PUNCH_LABELS[type]}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                )}
+                {mode === 'break-start' && (
+                    <View style={styles.breakTypes}>
+                        {Object.entries(BREAK_TYPES).map(([type, config]) => (
+                            <TouchableOpacity
+                                key={type}
+                                style={[styles.breakChip, breakType === type && styles.breakChipActive]}
+                                onPress={() => setBreakType(type)}>
+                                <Text style={styles.breakChipText}>
+                                    {config.icon} {config.label} ({config.maxMinutes}m)
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                )}
+                {nextAction?.activeBreak ? (
+                    <Text style={styles.lastPunchText}>
+                        On {getBreakLabel(nextAction.activeBreak.type).toLowerCase()} since {formatPunchTime(nextAction.activeBreak.startTime)}
+                    </Text>
+                ) : nextAction?.lastPunchTime ? (
+                    <Text style={styles.lastPunchText}>
+                        {PUNCH_PAST_LABELS[nextAction.lastAction]} at {formatPunchTime(nextAction.lastPunchTime)}
+                    </Text>
+                ) : null}
 
                 {/* Location Status */}
                 <View style={styles.statusContainer}>{renderLocationStatus()}</View>
 
                 {/* Face Guide */}
                 <View style={styles.faceGuideContainer}>
-                    <View style={styles.faceGuide}>
-                        <View style={styles.cornerTL} />
-                        <View style={styles.cornerTR} />
-                        <View style={styles.cornerBL} />
-                        <View style={styles.cornerBR} />
+                    <View ref={guideRef} style={styles.faceGuide} onLayout={onGuideLayout}>
+                        <View style={[styles.cornerTL, !faceQuality.ok && styles.cornerPending]} />
+                        <View style={[styles.cornerTR, !faceQuality.ok && styles.cornerPending]} />
+                        <View style={[styles.cornerBL, !faceQuality.ok && styles.cornerPending]} />
+                        <View style={[styles.cornerBR, !faceQuality.ok && styles.cornerPending]} />
                     </View>
-                    <Text style={styles.guideText}>Look at the camera</Text>
+                    <Text style={styles.guideText}>
+                        {liveness ? getLivenessPrompt(liveness) : faceQuality.hint}
+                    </Text>
+                    {liveness && liveness.status === 'in-progress' && (
+                        <Text style={styles.livenessProgress}>
+                            Step {liveness.index + 1} of {liveness.steps.length}
+                        </Text>
+                    )}
                 </View>
 
                 {/* Capture */}
@@ -270,27 +921,105 @@ const AttendanceScreen = ({ navigation }) => {
                     <TouchableOpacity
                         style={[
                             styles.captureButton,
-                            (!isWithinGeofence || loading) && styles.captureButtonDisabled,
+                            !canCapture && styles.captureButtonDisabled,
                         ]}
                         onPress={handleCapture}
-                        disabled={!isWithinGeofence || loading}>
-                        {loading ? (
+                        disabled={!canCapture}>
+                        {loading && uploadProgress !== null ? (
+                            <Text style={styles.captureProgress}>
+                                {Math.round(uploadProgress * 100)}%
+                            </Text>
+                        ) : loading ? (
                             <ActivityIndicator size="large" color="#fff" />
                         ) : (
                             <View style={styles.captureInner} />
                         )}
                     </TouchableOpacity>
                     <Text style={styles.captureHint}>
-                        {isWithinGeofence ? `Tap to ${mode}` : 'Move closer to office'}
+                        {uploadProgress !== null
+                            ? 'Uploading photo...'
+                            : liveness
+                            ? 'Follow the instructions to confirm it\'s you'
+                            : isWithinGeofence
+                            ? faceQuality.ok ? `Tap to ${PUNCH_LABELS[mode].toLowerCase()}` : 'Waiting for a clear view of your face'
+                            : locationStatus === 'out_of_range'
+                                ? 'Move closer to office'
+                                : 'Location must be verified to continue'}
                     </Text>
 
-                    <TouchableOpacity
-                        style={styles.refreshButton}
-                        onPress={checkLocationAndGeofence}>
-                        <Text style={styles.refreshText}>🔄 Refresh Location</Text>
-                    </TouchableOpacity>
+                    {liveness ? (
+                        <TouchableOpacity
+                            style={styles.refreshButton}
+                            onPress={() => setLiveness(null)}>
+                            <Text style={styles.refreshText}>Cancel</Text>
+                        </TouchableOpacity>
+                    ) : (
+                        <TouchableOpacity
+                            style={styles.refreshButton}
+                            onPress={checkLocationAndGeofence}>
+                            <Text style={styles.refreshText}>🔄 Refresh Location</Text>
+                        </TouchableOpacity>
+                    )}
                 </View>
             </View>
+
+            {/* Kiosk confirmation */}
+            {kioskConfirmation && (
+                <View style={styles.kioskOverlay}>
+                    <View style={styles.kioskCard}>
+                        {kioskConfirmation.photo ? (
+                            <Image source={{ uri: kioskConfirmation.photo }} style={styles.kioskPhoto} />
+                        ) : null}
+                        <Text style={styles.kioskTitle}>
+                            {kioskConfirmation.offline ? '📶 Saved Offline' : PUNCH_SUCCESS_TITLES[kioskConfirmation.type]}
+                        </Text>
+                        <Text style={styles.kioskName}>
+                            {kioskConfirmation.name || (kioskConfirmation.offline ? 'Will be matched when back online' : 'Employee')}
+                        </Text>
+                        {kioskConfirmation.employeeId && (
+                            <Text style={styles.kioskDetail}>{kioskConfirmation.employeeId}</Text>
+                        )}
+                        <Text style={styles.kioskTime}>
+                            {PUNCH_PAST_LABELS[kioskConfirmation.type]} at {formatPunchTime(kioskConfirmation.time)}
+                        </Text>
+                        <TouchableOpacity style={styles.button} onPress={() => setKioskConfirmation(null)}>
+                            <Text style={styles.buttonText}>Next Person</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            )}
+
+            {/* Kiosk exit PIN */}
+            <Modal
+                visible={pinPromptVisible}
+                transparent
+                animationType="fade"
+                onRequestClose={closePinPrompt}>
+                <View style={styles.kioskOverlay}>
+                    <View style={styles.kioskCard}>
+                        <Text style={styles.kioskTitle}>Exit Kiosk Mode</Text>
+                        <Text style={styles.kioskDetail}>Enter the admin PIN</Text>
+                        <TextInput
+                            style={styles.pinInput}
+                            value={pin}
+                            onChangeText={value => setPin(value.replace(/\D/g, ''))}
+                            keyboardType="number-pad"
+                            secureTextEntry
+                            maxLength={MAX_PIN_LENGTH}
+                            autoFocus
+                        />
+                        {pinError && <Text style={styles.pinError}>{pinError}</Text>}
+                        <View style={styles.pinButtons}>
+                            <TouchableOpacity style={styles.pinCancel} onPress={closePinPrompt}>
+                                <Text style={styles.pinCancelText}>Cancel</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={styles.button} onPress={handleExitKiosk} disabled={!pin}>
+                                <Text style={styles.buttonText}>Unlock</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
         </View>
     );
 };
@@ -335,6 +1064,12 @@ const styles = StyleSheet.create({
         paddingVertical: 8,
         borderRadius: 20,
     },
+    kioskExitButton: {
+        backgroundColor: 'rgba(255,255,255,0.2)',
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+        borderRadius: 20,
+    },
     registerText: {
         color: '#fff',
         fontSize: 13,
@@ -342,8 +1077,8 @@ const styles = StyleSheet.create({
     },
     modeContainer: {
         flexDirection: 'row',
-        paddingHorizontal: 40,
-        gap: 10,
+        paddingHorizontal: 24,
+        gap: 8,
     },
     modeButton: {
         flex: 1,
@@ -362,6 +1097,32 @@ const styles = StyleSheet.create({
     modeTextActive: {
         color: '#fff',
     },
+    breakTypes: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginTop: 10,
+    },
+    breakChip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        backgroundColor: 'rgba(255,255,255,0.2)',
+    },
+    breakChipActive: {
+        backgroundColor: '#FF9800',
+    },
+    breakChipText: {
+        color: '#fff',
+        fontSize: 12,
+    },
+    lastPunchText: {
+        color: 'rgba(255,255,255,0.8)',
+        fontSize: 12,
+        textAlign: 'center',
+        marginTop: 6,
+    },
     statusContainer: {
         alignItems: 'center',
     },
@@ -408,6 +1169,8 @@ const styles = StyleSheet.create({
         borderBottomWidth: 4, borderRightWidth: 4,
         borderColor: '#4CAF50', borderBottomRightRadius: 20,
     },
+    cornerPending: { borderColor: '#FFC107' },
+    livenessProgress: { color: 'rgba(255,255,255,0.8)', fontSize: 12, marginTop: 6 },
     guideText: {
         color: '#fff',
         fontSize: 14,
@@ -433,6 +1196,7 @@ const styles = StyleSheet.create({
         width: 60, height: 60, borderRadius: 30,
         backgroundColor: '#4CAF50',
     },
+    captureProgress: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
     captureHint: { color: '#fff', fontSize: 12, marginTop: 12 },
     refreshButton: { marginTop: 16, padding: 10 },
     refreshText: { color: '#4fc3f7', fontSize: 14 },
@@ -450,6 +1214,82 @@ const styles = StyleSheet.create({
         borderRadius: 12,
     },
     buttonText: { color: '#fff', fontSize: 16, fontWeight: '600' },
+    kioskOverlay: {
+        ...StyleSheet.absoluteFillObject,
+        backgroundColor: 'rgba(0,0,0,0.75)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 24,
+    },
+    kioskCard: {
+        width: '100%',
+        maxWidth: 400,
+        backgroundColor: '#fff',
+        borderRadius: 24,
+        padding: 24,
+        alignItems: 'center',
+    },
+    kioskPhoto: {
+        width: 120,
+        height: 120,
+        borderRadius: 60,
+        marginBottom: 16,
+        backgroundColor: '#f0f0f0',
+    },
+    kioskTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#1a1a2e',
+        textAlign: 'center',
+    },
+    kioskName: {
+        fontSize: 24,
+        fontWeight: '700',
+        color: '#FF6B35',
+        marginTop: 8,
+        textAlign: 'center',
+    },
+    kioskDetail: {
+        fontSize: 14,
+        color: '#666',
+        marginTop: 4,
+    },
+    kioskTime: {
+        fontSize: 16,
+        color: '#333',
+        marginTop: 12,
+        marginBottom: 20,
+    },
+    pinInput: {
+        width: 180,
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+        borderRadius: 12,
+        paddingVertical: 12,
+        marginTop: 16,
+        fontSize: 24,
+        letterSpacing: 8,
+        textAlign: 'center',
+        color: '#333',
+    },
+    pinError: {
+        fontSize: 13,
+        color: '#f44336',
+        marginTop: 8,
+        textAlign: 'center',
+    },
+    pinButtons: {
+        flexDirection: 'row',
+        gap: 12,
+        marginTop: 20,
+    },
+    pinCancel: {
+        paddingHorizontal: 24,
+        paddingVertical: 14,
+        borderRadius: 12,
+        backgroundColor: '#f5f5f5',
+    },
+    pinCancelText: { color: '#666', fontSize: 16, fontWeight: '600' },
 });
 
 export default AttendanceScreen;
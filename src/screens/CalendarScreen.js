@@ -0,0 +1,514 @@
+/**
+ * Calendar Screen - Monthly attendance grid with per-day drill-down
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    ScrollView,
+    Modal,
+    ActivityIndicator,
+} from 'react-native';
+import { fetchHistoryRange } from '../services/historyCache';
+import { getLeaveRequests } from '../services/api';
+import { getSavedEmployee, calculateTodayDuration } from '../utils/session';
+import { getStatusColor } from '../utils/theme';
+import { getBranchTimezone, toBusinessDateKey } from '../utils/datetime';
+import { getLeaveDays } from '../utils/leave';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const LEGEND = ['present', 'late', 'half-day', 'absent', 'on-leave'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * YYYY-MM-DD key for a local date (matches `record.date`)
+ */
+const toDateKey = (year, month, day) => `${year}-${pad(month + 1)}-${pad(day)}`;
+
+/**
+ * Status shown for a day: the first session's status (it decides lateness),
+ * on-leave for approved leave, or absent for past days with no attendance
+ */
+const getDayStatus = (records, isPast, leave = null) => {
+    if (records && records.length > 0) {
+        const first = [...records].sort(
+            (a, b) => new Date(a.checkInTime) - new Date(b.checkInTime),
+        )[0];
+        return first.status || 'present';
+    }
+    if (leave) return 'on-leave';
+    return isPast ? 'absent' : null;
+};
+
+// Approved leave for the month; the calendar still works without it
+const fetchLeaveDays = async (employeeId, from, to) => {
+    try {
+        const response = await getLeaveRequests(employeeId, { status: 'approved', from, to });
+        return response.success ? getLeaveDays(response.requests, { from, to }) : {};
+    } catch (error) {
+        console.log('Leave requests unavailable for calendar');
+        return {};
+    }
+};
+
+const CalendarScreen = ({ route, navigation }) => {
+    const [employee, setEmployee] = useState(route.params?.employee || null);
+    // First of the displayed month; starts on the branch's current month
+    const [month, setMonth] = useState(() => {
+        const [year, monthNumber] = toBusinessDateKey(new Date(), getBranchTimezone(employee)).split('-').map(Number);
+        return new Date(year, monthNumber - 1, 1);
+    });
+    const [recordsByDate, setRecordsByDate] = useState({});
+    const [leaveByDate, setLeaveByDate] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [selectedDate, setSelectedDate] = useState(null);
+    // Ignore responses for a month the user has already paged away from
+    const activeMonthRef = useRef(null);
+
+    useEffect(() => {
+        if (!employee) {
+            getSavedEmployee().then(savedEmployee => {
+                if (savedEmployee) {
+                    setEmployee(savedEmployee);
+                } else {
+                    navigation.goBack();
+                }
+            });
+        }
+    }, [employee, navigation]);
+
+    const loadMonth = useCallback(async (monthStart) => {
+        if (!employee?.employeeId) return;
+
+        const monthKey = `${monthStart.getFullYear()}-${pad(monthStart.getMonth() + 1)}`;
+        activeMonthRef.current = monthKey;
+
+        setLoading(true);
+        setError(null);
+        try {
+            const lastDay = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0).getDate();
+            const from = toDateKey(monthStart.getFullYear(), monthStart.getMonth(), 1);
+            const to = toDateKey(monthStart.getFullYear(), monthStart.getMonth(), lastDay);
+
+            const [records, leaveDays] = await Promise.all([
+                fetchHistoryRange(employee.employeeId, { from, to }),
+                fetchLeaveDays(employee.employeeId, from, to),
+            ]);
+
+            const grouped = {};
+            records.forEach(record => {
+                grouped[record.date] = [...(grouped[record.date] || []), record];
+            });
+
+            if (activeMonthRef.current === monthKey) {
+                setRecordsByDate(grouped);
+                setLeaveByDate(leaveDays);
+            }
+        } catch (loadError) {
+            console.error('Error loading calendar:', loadError);
+            if (activeMonthRef.current === monthKey) {
+                setError('Could not load attendance for this month');
+                setRecordsByDate({});
+                setLeaveByDate({});
+            }
+        } finally {
+            if (activeMonthRef.current === monthKey) {
+                setLoading(false);
+            }
+        }
+    }, [employee?.employeeId]);
+
+    useEffect(() => {
+        loadMonth(month);
+    }, [month, loadMonth]);
+
+    const changeMonth = (offset) => {
+        setMonth(new Date(month.getFullYear(), month.getMonth() + offset, 1));
+    };
+
+    const todayKey = toBusinessDateKey(new Date(), getBranchTimezone(employee));
+    const isCurrentMonth = todayKey.startsWith(`${month.getFullYear()}-${pad(month.getMonth() + 1)}-`);
+
+    // Leading blanks so the 1st lands on its weekday
+    const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    const cells = [
+        ...Array(month.getDay()).fill(null),
+        ...Array.from({ length: daysInMonth }, (_, index) => index + 1),
+    ];
+
+    const selectedRecords = selectedDate ? recordsByDate[selectedDate] || [] : [];
+    const selectedDuration = calculateTodayDuration(selectedRecords);
+    const selectedLeave = selectedDate ? leaveByDate[selectedDate] : null;
+
+    const formatSelectedDate = (dateKey) => {
+        const [year, monthIndex, day] = dateKey.split('-').map(Number);
+        return new Date(year, monthIndex - 1, day).toLocaleDateString('en-US', {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+        });
+    };
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Text style={styles.backText}>← Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.title}>Attendance Calendar</Text>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.content}>
+                <View style={styles.calendarCard}>
+                    {/* Month Paging */}
+                    <View style={styles.monthRow}>
+                        <TouchableOpacity onPress={() => changeMonth(-1)} style={styles.monthButton}>
+                            <Text style={styles.monthButtonText}>‹</Text>
+                        </TouchableOpacity>
+                        <Text style={styles.monthTitle}>
+                            {month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+                        </Text>
+                        <TouchableOpacity
+                            onPress={() => changeMonth(1)}
+                            style={styles.monthButton}
+                            disabled={isCurrentMonth}>
+                            <Text style={[styles.monthButtonText, isCurrentMonth && styles.monthButtonDisabled]}>›</Text>
+                        </TouchableOpacity>
+                    </View>
+
+                    {/* Weekday Labels */}
+                    <View style={styles.weekRow}>
+                        {WEEKDAYS.map(day => (
+                            <Text key={day} style={styles.weekday}>{day}</Text>
+                        ))}
+                    </View>
+
+                    {/* Month Grid */}
+                    {loading ? (
+                        <ActivityIndicator size="large" color="#FF6B35" style={styles.loader} />
+                    ) : (
+                        <View style={styles.grid}>
+                            {cells.map((day, index) => {
+                                if (!day) {
+                                    return <View key={`blank-${index}`} style={styles.dayCell} />;
+                                }
+                                const dateKey = toDateKey(month.getFullYear(), month.getMonth(), day);
+                                const status = getDayStatus(recordsByDate[dateKey], dateKey < todayKey, leaveByDate[dateKey]);
+
+                                return (
+                                    <TouchableOpacity
+                                        key={dateKey}
+                                        style={styles.dayCell}
+                                        onPress={() => setSelectedDate(dateKey)}
+                                        disabled={dateKey > todayKey && !leaveByDate[dateKey]}>
+                                        <View
+                                            style={[
+                                                styles.dayCircle,
+                                                status && { backgroundColor: getStatusColor(status) },
+                                                dateKey === todayKey && styles.todayCircle,
+                                            ]}>
+                                            <Text
+                                                style={[
+                                                    styles.dayText,
+                                                    status && styles.dayTextStatus,
+                                                    dateKey > todayKey && styles.dayTextFuture,
+                                                ]}>
+                                                {day}
+                                            </Text>
+                                        </View>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+                    )}
+
+                    {error && <Text style={styles.errorText}>{error}</Text>}
+
+                    {/* Legend */}
+                    <View style={styles.legend}>
+                        {LEGEND.map(status => (
+                            <View key={status} style={styles.legendItem}>
+                                <View style={[styles.legendDot, { backgroundColor: getStatusColor(status) }]} />
+                                <Text style={styles.legendText}>{status}</Text>
+                            </View>
+                        ))}
+                    </View>
+                </View>
+            </ScrollView>
+
+            {/* Day Detail Sheet */}
+            <Modal
+                visible={!!selectedDate}
+                transparent={true}
+                animationType="slide"
+                onRequestClose={() => setSelectedDate(null)}>
+                <TouchableOpacity
+                    style={styles.sheetBackdrop}
+                    activeOpacity={1}
+                    onPress={() => setSelectedDate(null)}>
+                    <TouchableOpacity activeOpacity={1} style={styles.sheet}>
+                        <View style={styles.sheetHandle} />
+                        {selectedDate && (
+                            <>
+                                <Text style={styles.sheetTitle}>{formatSelectedDate(selectedDate)}</Text>
+                                {selectedLeave && (
+                                    <Text style={styles.leaveText}>
+                                        🌴 On leave: {selectedLeave.typeLabel || selectedLeave.type}
+                                        {selectedLeave.halfDay ? ' (half day)' : ''}
+                                    </Text>
+                                )}
+                                {selectedRecords.length > 0 ? (
+                                    <>
+                                        <View style={styles.sheetSummary}>
+                                            <View
+                                                style={[
+                                                    styles.statusBadge,
+                                                    { backgroundColor: getStatusColor(getDayStatus(selectedRecords, true)) },
+                                                ]}>
+                                                <Text style={styles.statusBadgeText}>
+                                                    {getDayStatus(selectedRecords, true)}
+                                                </Text>
+                                            </View>
+                                            <Text style={styles.sheetTotal}>
+                                                Total: {selectedDuration.formattedDuration}
+                                            </Text>
+                                        </View>
+                                        {selectedDuration.sessions.map((session, index) => (
+                                            <View key={index} style={styles.sessionItem}>
+                                                <Text style={styles.sessionTime}>
+                                                    {session.checkIn} - {session.checkOut}
+                                                </Text>
+                                                <Text style={[styles.sessionDuration, session.isActive && styles.activeSession]}>
+                                                    {session.duration}
+                                                </Text>
+                                            </View>
+                                        ))}
+                                    </>
+                                ) : selectedLeave ? null : (
+                                    <Text style={styles.noSessions}>No attendance recorded</Text>
+                                )}
+                            </>
+                        )}
+                    </TouchableOpacity>
+                </TouchableOpacity>
+            </Modal>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    header: {
+        backgroundColor: '#FF6B35',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomLeftRadius: 24,
+        borderBottomRightRadius: 24,
+    },
+    backButton: {
+        marginBottom: 8,
+    },
+    backText: {
+        color: '#fff',
+        fontSize: 16,
+    },
+    title: {
+        color: '#fff',
+        fontSize: 24,
+        fontWeight: 'bold',
+    },
+    content: {
+        padding: 16,
+    },
+    calendarCard: {
+        backgroundColor: '#fff',
+        padding: 16,
+        borderRadius: 16,
+        elevation: 2,
+    },
+    monthRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+    },
+    monthButton: {
+        paddingHorizontal: 16,
+        paddingVertical: 4,
+    },
+    monthButtonText: {
+        fontSize: 28,
+        color: '#FF6B35',
+    },
+    monthButtonDisabled: {
+        color: '#e0e0e0',
+    },
+    monthTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+    },
+    weekRow: {
+        flexDirection: 'row',
+        marginBottom: 4,
+    },
+    weekday: {
+        width: `${100 / 7}%`,
+        textAlign: 'center',
+        fontSize: 12,
+        color: '#999',
+    },
+    grid: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    dayCell: {
+        width: `${100 / 7}%`,
+        aspectRatio: 1,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    dayCircle: {
+        width: 36,
+        height: 36,
+        borderRadius: 18,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    todayCircle: {
+        borderWidth: 2,
+        borderColor: '#1a1a2e',
+    },
+    dayText: {
+        fontSize: 14,
+        color: '#333',
+    },
+    dayTextStatus: {
+        color: '#fff',
+        fontWeight: '600',
+    },
+    dayTextFuture: {
+        color: '#ccc',
+    },
+    loader: {
+        marginVertical: 80,
+    },
+    errorText: {
+        color: '#f44336',
+        textAlign: 'center',
+        marginTop: 12,
+    },
+    legend: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'center',
+        marginTop: 16,
+        gap: 12,
+    },
+    legendItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 4,
+    },
+    legendDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+    },
+    legendText: {
+        fontSize: 12,
+        color: '#666',
+        textTransform: 'capitalize',
+    },
+    sheetBackdrop: {
+        flex: 1,
+        justifyContent: 'flex-end',
+        backgroundColor: 'rgba(0,0,0,0.5)',
+    },
+    sheet: {
+        backgroundColor: '#fff',
+        borderTopLeftRadius: 24,
+        borderTopRightRadius: 24,
+        padding: 20,
+        paddingBottom: 40,
+    },
+    sheetHandle: {
+        alignSelf: 'center',
+        width: 40,
+        height: 4,
+        borderRadius: 2,
+        backgroundColor: '#e0e0e0',
+        marginBottom: 16,
+    },
+    sheetTitle: {
+        fontSize: 18,
+        fontWeight: '600',
+        color: '#1a1a2e',
+        marginBottom: 12,
+    },
+    sheetSummary: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 16,
+    },
+    sheetTotal: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#FF6B35',
+    },
+    statusBadge: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 10,
+    },
+    statusBadgeText: {
+        color: '#fff',
+        fontSize: 11,
+        fontWeight: '500',
+        textTransform: 'capitalize',
+    },
+    sessionItem: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    sessionTime: {
+        fontSize: 14,
+        color: '#333',
+    },
+    sessionDuration: {
+        fontSize: 14,
+        color: '#4CAF50',
+        fontWeight: '500',
+    },
+    activeSession: {
+        color: '#FF6B35',
+    },
+    leaveText: {
+        fontSize: 14,
+        color: '#00897B',
+        fontWeight: '500',
+        marginBottom: 12,
+    },
+    noSessions: {
+        color: '#999',
+        textAlign: 'center',
+        fontStyle: 'italic',
+        marginVertical: 20,
+    },
+});
+
+export default CalendarScreen;
@@ -2,7 +2,7 @@
  * Dashboard Screen - Employee Home Screen
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
     View,
     Text,
@@ -13,11 +13,75 @@ import {
     Dimensions,
     Alert,
 } from 'react-native';
-import { getAttendanceHistory, getEmployee } from '../services/api';
-import { getSavedEmployee, clearSession, calculateTodayDuration } from '../utils/session';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+    getAttendanceHistory,
+    getEmployee,
+    getShiftSchedule,
+    getLeaveRequests,
+    getRegularizationRequests,
+} from '../services/api';
+import {
+    getSavedEmployee,
+    updateSavedEmployee,
+    clearSession,
+    calculateTodayDuration,
+    getRecordsForDay,
+    getLastPunch,
+    determineNextAction,
+} from '../utils/session';
+import {
+    getPendingPunches,
+    subscribeOutbox,
+    getFailedPunches,
+    subscribeFailedPunches,
+    dismissFailedPunch,
+    syncPendingPunches,
+} from '../services/offlineQueue';
+import { clearHistoryCache, fetchHistoryRange } from '../services/historyCache';
+import { refreshReminders, cancelReminders } from '../services/reminders';
+import {
+    getShiftMinutes,
+    getWeekRange,
+    getMonthRange,
+    summarizeWeek,
+    summarizeMonth,
+} from '../utils/summary';
+import { getBranchTimezone, toBusinessDateKey, addDays } from '../utils/datetime';
+import { getLeaveDays, mergeLeaveRecords } from '../utils/leave';
+import {
+    REGULARIZATION_WINDOW_DAYS,
+    getLatestRegularizations,
+    getCorrectionStatus,
+    canRequestRegularization,
+} from '../utils/regularization';
+import {
+    cacheShiftSchedule,
+    getCachedShiftSchedule,
+    getShiftStatus,
+    formatCountdown,
+    formatShiftTime,
+} from '../utils/shift';
+import { getBreakStatus, getBreakLabel } from '../utils/breaks';
+import { isGeofenceWatchEnabled, startGeofenceWatch } from '../utils/geofenceWatcher';
+import { isManager } from '../utils/team';
+import { getStatusColor } from '../utils/theme';
 
 const { width } = Dimensions.get('window');
 
+const PUNCH_LABELS = {
+    'check-in': 'Check In',
+    'check-out': 'Check Out',
+    'break-start': 'Start Break',
+    'break-end': 'End Break',
+};
+
+const CORRECTION_LABELS = {
+    regularized: { text: '✎ Corrected', color: '#1976d2' },
+    pending: { text: '⏳ Correction pending', color: '#FF9800' },
+    rejected: { text: 'Correction rejected', color: '#f44336' },
+};
+
 const DashboardScreen = ({ route, navigation }) => {
     const [employee, setEmployee] = useState(route.params?.employee || null);
     const [todayAttendance, setTodayAttendance] = useState(null);
@@ -26,6 +90,16 @@ const DashboardScreen = ({ route, navigation }) => {
     const [refreshing, setRefreshing] = useState(false);
     const [currentTime, setCurrentTime] = useState(new Date());
     const [isLoading, setIsLoading] = useState(true);
+    const [pendingPunches, setPendingPunches] = useState([]);
+    const [failedPunches, setFailedPunches] = useState([]);
+    const [lastPunch, setLastPunch] = useState(null);
+    const [weekSummary, setWeekSummary] = useState(null);
+    const [monthSummary, setMonthSummary] = useState(null);
+    const [shift, setShift] = useState(null);
+    const [leaveDays, setLeaveDays] = useState({});
+    const [regularizations, setRegularizations] = useState({});
+    const [syncing, setSyncing] = useState(false);
+    const [exitDetection, setExitDetection] = useState(false);
 
     useEffect(() => {
         let isMounted = true;
@@ -66,20 +140,44 @@ const DashboardScreen = ({ route, navigation }) => {
         };
     }, [employee?.employeeId]);
 
-    const loadData = async () => {
+    // Track punches waiting in the offline outbox, and those the server rejected on sync
+    useEffect(() => {
+        let isMounted = true;
+        Promise.all([getPendingPunches(), getFailedPunches()]).then(([punches, failed]) => {
+            if (isMounted) {
+                setPendingPunches(punches);
+                setFailedPunches(failed);
+            }
+        });
+        const unsubscribe = subscribeOutbox(punches => setPendingPunches(punches));
+        const unsubscribeFailed = subscribeFailedPunches(failed => setFailedPunches(failed));
+        return () => {
+            isMounted = false;
+            unsubscribe();
+            unsubscribeFailed();
+        };
+    }, []);
+
+    const loadData = async (forceRefresh = false) => {
         if (!employee?.employeeId) return;
 
+        // Today is the business day in the branch timezone
+        const timeZone = getBranchTimezone(employee);
+        const today = toBusinessDateKey(new Date(), timeZone);
+
+        setLastPunch(await getLastPunch());
+        let records = [];
         try {
             const historyResponse = await getAttendanceHistory(employee.employeeId, 7);
             if (historyResponse.success) {
+                records = historyResponse.history;
                 setRecentAttendance(historyResponse.history);
 
                 // Get today's records (could be multiple check-ins/outs)
-                const today = new Date().toISOString().split('T')[0];
-                const todayRecords = historyResponse.history.filter(a => a.date === today);
+                const todayRecords = getRecordsForDay(historyResponse.history, today, { timeZone });
 
-                // Calculate total duration
-                const duration = calculateTodayDuration(todayRecords);
+                // Calculate total duration (night shifts only count their part after midnight)
+                const duration = calculateTodayDuration(todayRecords, { date: today, timeZone });
                 setTodayDuration(duration);
 
                 // Set the latest today record for display
@@ -88,14 +186,139 @@ const DashboardScreen = ({ route, navigation }) => {
         } catch (error) {
             console.error('Error loading data:', error);
         }
+
+        const [, , schedule] = await Promise.all([
+            loadLeaveDays(addDays(today, -7), today),
+            loadProfile(),
+            loadShift(),
+        ]);
+        await loadSummaries(forceRefresh, schedule);
+        // Reminders follow the cached shift and whether a session is open
+        await refreshReminders({ records });
+    };
+
+    // Fresh employee details, e.g. a role change that turns manager mode on or off
+    const loadProfile = async () => {
+        try {
+            const response = await getEmployee(employee.employeeId);
+            if (response.success && response.employee) {
+                const updated = { ...employee, ...response.employee };
+                setEmployee(updated);
+                await updateSavedEmployee(updated);
+            }
+        } catch (error) {
+            console.error('Error loading employee details:', error);
+        }
+    };
+
+    // Approved leave shown as "on-leave" days in the recent history
+    const loadLeaveDays = async (from, to) => {
+        try {
+            const response = await getLeaveRequests(employee.employeeId, { status: 'approved', from, to });
+            if (response.success) {
+                setLeaveDays(getLeaveDays(response.requests, { from, to }));
+            }
+        } catch (error) {
+            console.log('Leave requests unavailable');
+        }
+    };
+
+    // Latest correction request per record, reloaded when coming back from requesting one
+    const branchTimeZone = getBranchTimezone(employee);
+    const loadRegularizations = useCallback(async () => {
+        if (!employee?.employeeId) return;
+        const today = toBusinessDateKey(new Date(), branchTimeZone);
+        try {
+            const response = await getRegularizationRequests(employee.employeeId, {
+                from: addDays(today, -REGULARIZATION_WINDOW_DAYS),
+                to: today,
+            });
+            if (response.success) {
+                setRegularizations(getLatestRegularizations(response.requests));
+            }
+        } catch (error) {
+            console.log('Regularization requests unavailable');
+        }
+    }, [employee?.employeeId, branchTimeZone]);
+
+    useFocusEffect(
+        useCallback(() => {
+            loadRegularizations();
+            // Exit detection may have been switched in Settings
+            isGeofenceWatchEnabled().then(setExitDetection);
+        }, [loadRegularizations]),
+    );
+
+    // Shift schedule, falling back to the cached copy when offline
+    const loadShift = async () => {
+        let schedule = null;
+        try {
+            const response = await getShiftSchedule(employee.employeeId);
+            if (response.success && response.shift) {
+                schedule = response.shift;
+                await cacheShiftSchedule(employee.employeeId, schedule);
+            }
+        } catch (error) {
+            console.log('Shift schedule unavailable, using cached copy');
+            schedule = await getCachedShiftSchedule(employee.employeeId);
+        }
+        setShift(schedule);
+        return schedule;
+    };
+
+    // Week and month totals; the range starts at whichever began first
+    const loadSummaries = async (forceRefresh, schedule) => {
+        try {
+            const now = new Date();
+            const timeZone = getBranchTimezone(employee);
+            const week = getWeekRange(now, timeZone);
+            const month = getMonthRange(now, timeZone);
+            const records = await fetchHistoryRange(
+                employee.employeeId,
+                {
+                    // The day before covers a night shift running into the first day
+                    from: addDays(week.from < month.from ? week.from : month.from, -1),
+                    to: toBusinessDateKey(now, timeZone),
+                },
+                { forceRefresh },
+            );
+
+            const options = { shiftMinutes: getShiftMinutes(employee, schedule), timeZone };
+            setWeekSummary(summarizeWeek(records, now, options));
+            setMonthSummary(summarizeMonth(records, now, options));
+        } catch (error) {
+            console.error('Error loading summaries:', error);
+        }
     };
 
     const onRefresh = async () => {
         setRefreshing(true);
-        await loadData();
+        await Promise.all([loadData(true), loadRegularizations()]);
         setRefreshing(false);
     };
 
+    const handleSyncNow = async () => {
+        setSyncing(true);
+        try {
+            const result = await syncPendingPunches({ force: true });
+            if (result.rejected.length > 0) {
+                Alert.alert(
+                    'Some Punches Failed',
+                    result.rejected.map(punch => `${formatTime(punch.deviceTimestamp)} ${punch.type}: ${punch.message}`).join('\n'),
+                );
+            } else if (result.pending > 0) {
+                Alert.alert('Still Offline', 'Pending punches will sync automatically when the network is back.');
+            }
+            if (result.synced.length > 0) {
+                await loadData(true);
+            }
+        } catch (error) {
+            console.error('Error syncing punches:', error);
+        } finally {
+            setSyncing(false);
+        }
+    };
+
     const formatTime = (isoString) => {
         if (!isoString) return '--:--';
         const date = new Date(isoString);
@@ -114,19 +337,6 @@ const DashboardScreen = ({ route, navigation }) => {
         });
     };
 
-    const getStatusColor = (status) => {
-        switch (status) {
-            case 'present':
-                return '#4CAF50';
-            case 'late':
-                return '#FF9800';
-            case 'half-day':
-                return '#f44336';
-            default:
-                return '#999';
-        }
-    };
-
     const handleLogout = async () => {
         Alert.alert(
             'Logout',
@@ -138,6 +348,8 @@ const DashboardScreen = ({ route, navigation }) => {
                     style: 'destructive',
                     onPress: async () => {
                         await clearSession();
+                        await clearHistoryCache();
+                        await cancelReminders();
                         navigation.reset({
                             index: 0,
                             routes: [{ name: 'Attendance' }],
@@ -148,6 +360,58 @@ const DashboardScreen = ({ route, navigation }) => {
         );
     };
 
+    const { action: nextAction, activeBreak, onShift } = determineNextAction({
+        records: recentAttendance,
+        lastPunch,
+        pendingPunches,
+        employeeId: employee?.employeeId,
+    });
+    const breakStatus = activeBreak ? getBreakStatus(activeBreak, currentTime) : null;
+    const businessToday = toBusinessDateKey(currentTime, getBranchTimezone(employee));
+    const todayLeave = leaveDays[businessToday] || null;
+    const recentHistory = mergeLeaveRecords(recentAttendance, leaveDays);
+
+    // Prompt a check-out when the employee leaves the premises mid-session
+    useEffect(() => {
+        if (!onShift || !exitDetection) return undefined;
+        return startGeofenceWatch({
+            onExit: ({ branchName }) => {
+                Alert.alert(
+                    '📍 Left the Premises?',
+                    `You appear to have left ${branchName || 'the office'}. Check out now so your hours are recorded correctly.`,
+                    [
+                        { text: 'Still Working', style: 'cancel' },
+                        {
+                            text: 'Check Out',
+                            onPress: () => navigation.navigate('Attendance', { mode: 'check-out' }),
+                        },
+                    ],
+                );
+            },
+        });
+    }, [onShift, exitDetection, navigation]);
+
+    const shiftStatus = shift
+        ? getShiftStatus(shift, currentTime, !!todayAttendance, getBranchTimezone(employee))
+        : null;
+
+    const getShiftCountdownText = () => {
+        const { phase, msToStart, msToLate, window } = shiftStatus;
+        switch (phase) {
+            case 'upcoming':
+            case 'late-warning':
+                return `Starts in ${formatCountdown(msToStart)}`;
+            case 'grace':
+                return `Started • grace period ends in ${formatCountdown(msToLate)}`;
+            case 'late':
+                return 'Started • grace period over';
+            case 'on-shift':
+                return `On shift • ends in ${formatCountdown(window.end - currentTime)}`;
+            default:
+                return 'Shift ended';
+        }
+    };
+
     if (isLoading) {
         return (
             <View style={styles.loadingContainer}>
@@ -169,9 +433,19 @@ const DashboardScreen = ({ route, navigation }) => {
                         <Text style={styles.greeting}>Good {getGreeting()},</Text>
                         <Text style={styles.employeeName}>{employee?.name || 'Employee'}</Text>
                     </View>
-                    <TouchableOpacity onPress={handleLogout} style={styles.logoutButton}>
-                        <Text style={styles.logoutText}>Logout</Text>
-                    </TouchableOpacity>
+                    <View style={styles.headerButtons}>
+                        {isManager(employee) && (
+                            <TouchableOpacity onPress={() => navigation.navigate('Team', { employee })} style={styles.logoutButton}>
+                                <Text style={styles.logoutText}>Team</Text>
+                            </TouchableOpacity>
+                        )}
+                        <TouchableOpacity onPress={() => navigation.navigate('Settings')} style={styles.logoutButton}>
+                            <Text style={styles.logoutText}>Settings</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={handleLogout} style={styles.logoutButton}>
+                            <Text style={styles.logoutText}>Logout</Text>
+                        </TouchableOpacity>
+                    </View>
                 </View>
                 <Text style={styles.employeeId}>{employee?.employeeId} • {employee?.department}</Text>
             </View>
@@ -195,6 +469,56 @@ const DashboardScreen = ({ route, navigation }) => {
                 </Text>
             </View>
 
+            {/* Late Arrival Banner */}
+            {shiftStatus && ['late-warning', 'grace', 'late'].includes(shiftStatus.phase) && (
+                <TouchableOpacity
+                    style={[styles.lateBanner, shiftStatus.phase === 'late' && styles.lateBannerLate]}
+                    onPress={() => navigation.navigate('Attendance', { mode: 'check-in' })}>
+                    <Text style={styles.lateBannerText}>
+                        {shiftStatus.phase === 'late'
+                            ? '⏰ You are late - check in as soon as possible'
+                            : `⏰ You'll be marked late in ${Math.ceil(shiftStatus.msToLate / 60000)} min - tap to check in`}
+                    </Text>
+                </TouchableOpacity>
+            )}
+
+            {/* Active Break Banner */}
+            {breakStatus && (
+                <TouchableOpacity
+                    style={[styles.breakBanner, breakStatus.exceeded && styles.lateBannerLate]}
+                    onPress={() => navigation.navigate('Attendance', { mode: 'break-end' })}>
+                    <Text style={styles.lateBannerText}>
+                        {breakStatus.exceeded
+                            ? `☕ ${getBreakLabel(activeBreak.type)} is ${breakStatus.overrunMinutes} min over the limit - tap to end it`
+                            : breakStatus.maxMinutes
+                                ? `☕ On ${getBreakLabel(activeBreak.type).toLowerCase()} • ${breakStatus.elapsedMinutes} of ${breakStatus.maxMinutes} min`
+                                : `☕ On break • ${breakStatus.elapsedMinutes} min`}
+                    </Text>
+                </TouchableOpacity>
+            )}
+
+            {/* Shift Schedule */}
+            {shift && (
+                <View style={styles.shiftCard}>
+                    <View style={styles.shiftHeader}>
+                        <Text style={styles.sectionTitle}>Today's Shift</Text>
+                        {shift.name ? <Text style={styles.shiftName}>{shift.name}</Text> : null}
+                    </View>
+                    <Text style={styles.shiftTime}>
+                        {formatShiftTime(shift.startTime)} - {formatShiftTime(shift.endTime)}
+                    </Text>
+                    {shift.graceMinutes > 0 && (
+                        <Text style={styles.shiftDetail}>Grace period: {shift.graceMinutes} min</Text>
+                    )}
+                    {(shift.breaks || []).map((breakWindow, index) => (
+                        <Text key={index} style={styles.shiftDetail}>
+                            {breakWindow.label || 'Break'}: {formatShiftTime(breakWindow.start)} - {formatShiftTime(breakWindow.end)}
+                        </Text>
+                    ))}
+                    <Text style={styles.shiftCountdown}>{getShiftCountdownText()}</Text>
+                </View>
+            )}
+
             {/* Today's Status */}
             <View style={styles.statusCard}>
                 <Text style={styles.sectionTitle}>Today's Attendance</Text>
@@ -217,6 +541,12 @@ const DashboardScreen = ({ route, navigation }) => {
                             </View>
                         </View>
 
+                        {todayDuration.breakMinutes > 0 && (
+                            <Text style={styles.breakSummary}>
+                                Break time: {todayDuration.formattedBreakDuration} (not counted as work)
+                            </Text>
+                        )}
+
                         {/* Show multiple sessions if any */}
                         {todayDuration.sessions.length > 1 && (
                             <View style={styles.sessionsContainer}>
@@ -224,50 +554,164 @@ const DashboardScreen = ({ route, navigation }) => {
                                 {todayDuration.sessions.map((session, index) => (
                                     <View key={index} style={styles.sessionItem}>
                                         <Text style={styles.sessionTime}>
-                                            {session.checkIn} - {session.checkOut}
+                                            {session.startsPreviousDay ? '(Yesterday) ' : ''}{session.checkIn} - {session.checkOut}
                                         </Text>
                                         <Text style={[styles.sessionDuration, session.isActive && styles.activeSession]}>
-                                            {session.duration} {session.isActive && '(Active)'}
+                                            {session.duration} {session.isOnBreak ? '(On break)' : session.isActive && '(Active)'}
                                         </Text>
                                     </View>
                                 ))}
                             </View>
                         )}
                     </>
+                ) : todayLeave ? (
+                    <Text style={styles.noAttendance}>
+                        🌴 On leave today ({todayLeave.typeLabel || todayLeave.type}{todayLeave.halfDay ? ', half day' : ''})
+                    </Text>
                 ) : (
                     <Text style={styles.noAttendance}>No check-in recorded today</Text>
                 )}
             </View>
 
+            {/* Work-hour Summaries */}
+            {weekSummary && monthSummary && (
+                <View style={styles.summaryRow}>
+                    {[
+                        { title: 'This Week', summary: weekSummary },
+                        { title: 'This Month', summary: monthSummary },
+                    ].map(({ title, summary }) => (
+                        <View key={title} style={styles.summaryCard}>
+                            <Text style={styles.summaryTitle}>{title}</Text>
+                            <Text style={styles.summaryTotal}>{summary.formattedTotal}</Text>
+                            <Text style={styles.summaryDays}>
+                                {summary.daysWorked} {summary.daysWorked === 1 ? 'day' : 'days'} • avg {summary.formattedAverage}
+                            </Text>
+                            <View style={styles.summaryStats}>
+                                <View style={styles.summaryStat}>
+                                    <Text style={[styles.summaryStatValue, styles.overtimeValue]}>
+                                        {summary.formattedOvertime}
+                                    </Text>
+                                    <Text style={styles.summaryStatLabel}>Overtime</Text>
+                                </View>
+                                <View style={styles.summaryStat}>
+                                    <Text style={[styles.summaryStatValue, styles.lateValue]}>{summary.lateCount}</Text>
+                                    <Text style={styles.summaryStatLabel}>Late</Text>
+                                </View>
+                                <View style={styles.summaryStat}>
+                                    <Text style={[styles.summaryStatValue, styles.halfDayValue]}>{summary.halfDayCount}</Text>
+                                    <Text style={styles.summaryStatLabel}>Half-day</Text>
+                                </View>
+                            </View>
+                        </View>
+                    ))}
+                </View>
+            )}
+
+            {/* Offline punches waiting to sync */}
+            {pendingPunches.length > 0 && (
+                <View style={styles.pendingCard}>
+                    <View style={styles.pendingHeader}>
+                        <Text style={styles.pendingTitle}>📶 Pending Sync ({pendingPunches.length})</Text>
+                        <TouchableOpacity onPress={handleSyncNow} disabled={syncing}>
+                            <Text style={styles.pendingSyncText}>{syncing ? 'Syncing...' : 'Sync now'}</Text>
+                        </TouchableOpacity>
+                    </View>
+                    {pendingPunches.map(punch => (
+                        <View key={punch.id} style={styles.sessionItem}>
+                            <Text style={styles.sessionTime}>
+                                {PUNCH_LABELS[punch.type] || 'Punch'} • {formatDate(punch.deviceTimestamp)} {formatTime(punch.deviceTimestamp)}
+                            </Text>
+                            <Text style={styles.pendingStatus}>
+                                {punch.attempts > 0 ? `Retry ${punch.attempts}` : 'Pending'}
+                            </Text>
+                        </View>
+                    ))}
+                </View>
+            )}
+
+            {/* Offline punches the server rejected - they were not recorded */}
+            {failedPunches.length > 0 && (
+                <View style={[styles.pendingCard, styles.failedCard]}>
+                    <Text style={[styles.pendingTitle, styles.failedTitle]}>
+                        ⚠️ Not Recorded ({failedPunches.length})
+                    </Text>
+                    <Text style={styles.failedHint}>
+                        These offline punches were rejected. Punch again or request a correction.
+                    </Text>
+                    {failedPunches.map(punch => (
+                        <View key={punch.id} style={styles.sessionItem}>
+                            <View style={styles.failedInfo}>
+                                <Text style={styles.sessionTime}>
+                                    {PUNCH_LABELS[punch.type] || 'Punch'} • {formatDate(punch.deviceTimestamp)} {formatTime(punch.deviceTimestamp)}
+                                </Text>
+                                <Text style={styles.failedMessage}>{punch.message}</Text>
+                            </View>
+                            <TouchableOpacity onPress={() => dismissFailedPunch(punch.id)}>
+                                <Text style={styles.pendingSyncText}>Dismiss</Text>
+                            </TouchableOpacity>
+                        </View>
+                    ))}
+                </View>
+            )}
+
             {/* Quick Actions */}
             <View style={styles.actionsContainer}>
                 <TouchableOpacity
                     style={[styles.actionButton, styles.checkInButton]}
-                    onPress={() => navigation.navigate('Attendance')}>
+                    onPress={() => navigation.navigate('Attendance', { mode: nextAction })}>
                     <Text style={styles.actionIcon}>📷</Text>
                     <Text style={styles.actionText}>
-                        {todayAttendance && !todayAttendance.checkOutTime ? 'Check Out' : 'Check In'}
+                        {PUNCH_LABELS[nextAction]}
                     </Text>
                 </TouchableOpacity>
             </View>
 
             {/* Recent Attendance */}
             <View style={styles.historySection}>
-                <Text style={styles.sectionTitle}>Recent Attendance</Text>
-                {recentAttendance.length > 0 ? (
-                    recentAttendance.slice(0, 5).map((record, index) => (
-                        <View key={record.attendanceId || index} style={styles.historyItem}>
-                            <View>
-                                <Text style={styles.historyDate}>{formatDate(record.date)}</Text>
-                                <Text style={styles.historyTime}>
-                                    {formatTime(record.checkInTime)} - {formatTime(record.checkOutTime)}
-                                </Text>
-                            </View>
-                            <View style={[styles.historyStatus, { backgroundColor: getStatusColor(record.status) }]}>
-                                <Text style={styles.historyStatusText}>{record.status}</Text>
-                            </View>
-                        </View>
-                    ))
+                <View style={styles.historyHeader}>
+                    <Text style={styles.sectionTitle}>Recent Attendance</Text>
+                    <View style={styles.historyLinks}>
+                        <TouchableOpacity onPress={() => navigation.navigate('History', { employee })}>
+                            <Text style={styles.viewAllText}>View All</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => navigation.navigate('Calendar', { employee })}>
+                            <Text style={styles.viewAllText}>Calendar</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => navigation.navigate('Leave', { employee })}>
+                            <Text style={styles.viewAllText}>Leave</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+                {recentHistory.length > 0 ? (
+                    recentHistory.slice(0, 5).map((record, index) => {
+                        const correction = CORRECTION_LABELS[getCorrectionStatus(record, regularizations)];
+                        // Tap to request a correction, or to see the status of one already sent
+                        const canOpen = !!correction || canRequestRegularization(record, regularizations, businessToday);
+                        return (
+                            <TouchableOpacity
+                                key={record.attendanceId || index}
+                                style={styles.historyItem}
+                                disabled={!canOpen}
+                                onPress={() => navigation.navigate('Regularization', { employee, record, shift })}>
+                                <View>
+                                    <Text style={styles.historyDate}>{formatDate(record.date)}</Text>
+                                    <Text style={styles.historyTime}>
+                                        {record.status === 'on-leave'
+                                            ? `${record.leaveType}${record.halfDay ? ' (half day)' : ''}`
+                                            : `${formatTime(record.checkInTime)} - ${formatTime(record.checkOutTime)}`}
+                                    </Text>
+                                    {correction && (
+                                        <Text style={[styles.correctionText, { color: correction.color }]}>
+                                            {correction.text}
+                                        </Text>
+                                    )}
+                                </View>
+                                <View style={[styles.historyStatus, { backgroundColor: getStatusColor(record.status) }]}>
+                                    <Text style={styles.historyStatusText}>{record.status}</Text>
+                                </View>
+                            </TouchableOpacity>
+                        );
+                    })
                 ) : (
                     <Text style={styles.noHistory}>No attendance records yet</Text>
                 )}
@@ -314,6 +758,10 @@ const styles = StyleSheet.create({
         fontSize: 13,
         marginTop: 4,
     },
+    headerButtons: {
+        flexDirection: 'row',
+        gap: 8,
+    },
     logoutButton: {
         backgroundColor: 'rgba(255,255,255,0.2)',
         paddingHorizontal: 12,
@@ -424,6 +872,135 @@ const styles = StyleSheet.create({
         borderRadius: 16,
         elevation: 2,
     },
+    lateBanner: {
+        backgroundColor: '#FF9800',
+        marginHorizontal: 16,
+        marginBottom: 16,
+        padding: 14,
+        borderRadius: 12,
+    },
+    breakBanner: {
+        backgroundColor: '#2196F3',
+        marginHorizontal: 16,
+        marginBottom: 16,
+        padding: 14,
+        borderRadius: 12,
+    },
+    lateBannerLate: {
+        backgroundColor: '#f44336',
+    },
+    lateBannerText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: '600',
+        textAlign: 'center',
+    },
+    shiftCard: {
+        backgroundColor: '#fff',
+        marginHorizontal: 16,
+        marginBottom: 16,
+        padding: 20,
+        borderRadius: 16,
+        elevation: 2,
+    },
+    shiftHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+    },
+    shiftName: {
+        fontSize: 12,
+        color: '#FF6B35',
+        fontWeight: '600',
+    },
+    shiftTime: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#1a1a2e',
+    },
+    shiftDetail: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 4,
+    },
+    shiftCountdown: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#1976d2',
+        marginTop: 12,
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        marginHorizontal: 16,
+        marginTop: 16,
+        gap: 12,
+    },
+    summaryCard: {
+        flex: 1,
+        backgroundColor: '#fff',
+        padding: 16,
+        borderRadius: 16,
+        elevation: 2,
+    },
+    summaryTitle: {
+        fontSize: 12,
+        color: '#999',
+        textTransform: 'uppercase',
+    },
+    summaryTotal: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#1a1a2e',
+        marginTop: 4,
+    },
+    summaryDays: {
+        fontSize: 11,
+        color: '#666',
+        marginTop: 2,
+    },
+    summaryStats: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginTop: 12,
+        paddingTop: 10,
+        borderTopWidth: 1,
+        borderTopColor: '#f0f0f0',
+    },
+    summaryStat: {
+        alignItems: 'center',
+    },
+    summaryStatValue: {
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    summaryStatLabel: {
+        fontSize: 10,
+        color: '#999',
+        marginTop: 2,
+    },
+    overtimeValue: {
+        color: '#4CAF50',
+    },
+    lateValue: {
+        color: '#FF9800',
+    },
+    halfDayValue: {
+        color: '#f44336',
+    },
+    historyHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+    },
+    historyLinks: {
+        flexDirection: 'row',
+        gap: 16,
+    },
+    viewAllText: {
+        fontSize: 13,
+        color: '#FF6B35',
+        fontWeight: '600',
+    },
     historyItem: {
         flexDirection: 'row',
         justifyContent: 'space-between',
@@ -442,6 +1019,11 @@ const styles = StyleSheet.create({
         color: '#999',
         marginTop: 2,
     },
+    correctionText: {
+        fontSize: 11,
+        fontWeight: '500',
+        marginTop: 2,
+    },
     historyStatus: {
         paddingHorizontal: 10,
         paddingVertical: 4,
@@ -471,6 +1053,12 @@ const styles = StyleSheet.create({
     durationValue: {
         color: '#FF6B35',
     },
+    breakSummary: {
+        fontSize: 12,
+        color: '#2196F3',
+        textAlign: 'center',
+        marginTop: 12,
+    },
     sessionsContainer: {
         marginTop: 16,
         paddingTop: 16,
@@ -499,6 +1087,58 @@ const styles = StyleSheet.create({
     activeSession: {
         color: '#FF6B35',
     },
+    pendingCard: {
+        backgroundColor: '#fff8e1',
+        marginHorizontal: 16,
+        marginTop: 16,
+        padding: 16,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#FFE082',
+    },
+    pendingHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    pendingTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#333',
+    },
+    pendingSyncText: {
+        color: '#FF6B35',
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    pendingStatus: {
+        fontSize: 12,
+        color: '#FF9800',
+        fontWeight: '500',
+    },
+    failedCard: {
+        backgroundColor: '#ffebee',
+        borderColor: '#EF9A9A',
+    },
+    failedTitle: {
+        color: '#c62828',
+    },
+    failedHint: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 4,
+        marginBottom: 8,
+    },
+    failedInfo: {
+        flex: 1,
+        marginRight: 8,
+    },
+    failedMessage: {
+        fontSize: 12,
+        color: '#f44336',
+        marginTop: 2,
+    },
 });
 
 export default DashboardScreen;
@@ -1,6 +1,6 @@
 /**
  * Face Registration Screen
- * Camera screen for capturing employee face with geo-fence validation
+ * Guided multi-pose face enrollment with geo-fence validation
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
@@ -18,30 +18,71 @@ import {
     useCameraDevice,
     useCameraPermission,
 } from 'react-native-vision-camera';
-import { registerFace, validateLocation } from '../services/api';
+import {
+    registerFaceBatch,
+    validateLocation,
+    getGeofenceSettings,
+} from '../services/api';
 import {
     requestLocationPermission,
     getCurrentLocation,
     validateLocationFast,
+    describeOutOfRange,
 } from '../utils/location';
-import RNFS from 'react-native-fs';
+import { assessLocationIntegrity } from '../utils/locationIntegrity';
+import { getGeofencePolicy, resolveGeofenceDecision } from '../utils/geofencePolicy';
+import { saveSession } from '../utils/session';
+import { useFaceQualityGate } from '../utils/faceDetection';
+import { captureFacePhoto, discardCapture } from '../utils/camera';
 import { COLORS } from '../utils/theme';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
+// Enrollment poses; yawRange is the expected head yaw (degrees, positive = user's left)
+const ENROLLMENT_POSES = [
+    { key: 'front', label: 'Look straight at the camera', yawRange: [-10, 10] },
+    { key: 'left', label: 'Turn your head slightly left', yawRange: [12, 30] },
+    { key: 'right', label: 'Turn your head slightly right', yawRange: [-30, -12] },
+    {
+        key: 'glasses',
+        label: 'Put on or take off your glasses and look straight',
+        yawRange: [-10, 10],
+        optional: true,
+    },
+];
+
+const POSE_NAMES = {
+    front: 'Front',
+    left: 'Left',
+    right: 'Right',
+    glasses: 'Glasses on/off',
+};
+
 const FaceRegistrationScreen = ({ route, navigation }) => {
     const { employee } = route.params;
     const cameraRef = useRef(null);
 
     const [loading, setLoading] = useState(false);
+    const [uploadProgress, setUploadProgress] = useState(null);
     const [locationStatus, setLocationStatus] = useState('checking');
     const [currentLocation, setCurrentLocation] = useState(null);
     const [isWithinGeofence, setIsWithinGeofence] = useState(false);
     const [distance, setDistance] = useState(null);
-    const [capturedPhoto, setCapturedPhoto] = useState(null);
+    const [geofenceDecision, setGeofenceDecision] = useState(null);
+    const [poseIndex, setPoseIndex] = useState(0);
+    const [shots, setShots] = useState([]);
 
     const device = useCameraDevice('front');
     const { hasPermission, requestPermission } = useCameraPermission();
+    const {
+        frameProcessor,
+        quality: faceQuality,
+        guide,
+        guideRef,
+        onGuideLayout,
+    } = useFaceQualityGate({ yawRange: ENROLLMENT_POSES[poseIndex]?.yawRange });
+    const currentPose = ENROLLMENT_POSES[poseIndex];
+    const canCapture = isWithinGeofence && faceQuality.ok && !loading && !!currentPose;
 
     useEffect(() => {
         initializeScreen();
@@ -54,16 +95,35 @@ const FaceRegistrationScreen = ({ route, navigation }) => {
         await checkLocationAndGeofence();
     };
 
+    // Apply the geo-fence policy decision to the capture controls
+    const applyGeofenceDecision = (decision) => {
+        setGeofenceDecision(decision);
+        setIsWithinGeofence(decision.decision !== 'deny');
+
+        if (decision.decision === 'deny') {
+            const deniedStatus = {
+                out_of_range: 'out_of_range',
+                location_unavailable: 'error',
+            };
+            setLocationStatus(deniedStatus[decision.reason] || 'blocked');
+        } else {
+            setLocationStatus(decision.decision === 'flag' ? 'flagged' : 'valid');
+        }
+    };
+
     const checkLocationAndGeofence = async () => {
         setLocationStatus('checking');
         try {
             const hasLocationPermission = await requestLocationPermission();
             if (!hasLocationPermission) {
+                setIsWithinGeofence(false);
                 setLocationStatus('denied');
                 Alert.alert('Location Required', 'Please enable location access.');
                 return;
             }
 
+            const policy = await getGeofencePolicy();
+
             // Get current location (uses cache for speed)
             let location;
             try {
@@ -71,7 +131,8 @@ const FaceRegistrationScreen = ({ route, navigation }) => {
                 setCurrentLocation(location);
             } catch (locError) {
                 console.error('GPS Error:', locError);
-                setLocationStatus('error');
+                setCurrentLocation(null);
+                applyGeofenceDecision(resolveGeofenceDecision({ locationError: locError }, policy));
                 return;
             }
 
@@ -79,37 +140,37 @@ const FaceRegistrationScreen = ({ route, navigation }) => {
             const validation = await validateLocationFast(
                 location.latitude,
                 location.longitude,
-                validateLocation
+                validateLocation,
+                getGeofenceSettings,
             );
+            const integrity = await assessLocationIntegrity(location);
+            const decision = resolveGeofenceDecision({ validation, integrity }, policy);
 
-            if (!validation.isConfigured) {
-                setIsWithinGeofence(true);
-                setLocationStatus('valid');
-                return;
-            }
-
-            setIsWithinGeofence(validation.withinRange);
             setDistance(validation.distance);
+            applyGeofenceDecision(decision);
 
-            if (validation.withinRange) {
-                setLocationStatus('valid');
-            } else {
-                setLocationStatus('out_of_range');
+            if (decision.reason === 'out_of_range') {
                 Alert.alert(
                     '⚠️ Too Far From Office',
-                    `You are ${validation.distance}m away.\nAllowed: ${validation.allowedRadius}m`,
+                    describeOutOfRange(validation),
+                );
+            } else if (decision.decision === 'deny') {
+                Alert.alert(
+                    '🚫 Registration Blocked',
+                    `${decision.message}. Check your internet and GPS, then tap Refresh Location.`,
                 );
             }
         } catch (error) {
             console.error('Location check error:', error);
-            // Allow if validation fails
-            setIsWithinGeofence(true);
-            setLocationStatus('valid');
+            const policy = await getGeofencePolicy();
+            applyGeofenceDecision(
+                resolveGeofenceDecision({ validation: { unavailable: true } }, policy),
+            );
         }
     };
 
     const handleCapture = async () => {
-        if (!cameraRef.current) return;
+        if (!cameraRef.current || !currentPose) return;
         if (!isWithinGeofence) {
             Alert.alert(
                 'Cannot Register',
@@ -117,31 +178,73 @@ const FaceRegistrationScreen = ({ route, navigation }) => {
             );
             return;
         }
+        if (!faceQuality.ok) return;
 
         setLoading(true);
         try {
-            // Capture photo
-            const photo = await cameraRef.current.takePhoto({
-                qualityPrioritization: 'quality',
-                flash: 'off',
-            });
-
-            // Read the photo as base64
-            const base64Data = await RNFS.readFile(photo.path, 'base64');
-            const imageBase64 = `data:image/jpeg;base64,${base64Data}`;
-
-            // Register face with backend
-            const response = await registerFace(
+            // Capture, crop to the face guide and compress; the file is kept for the upload
+            const capture = await captureFacePhoto(cameraRef.current, { guide, preset: 'enrollment' });
+
+            await nextPose([...shots, { pose: currentPose.key, image: capture }]);
+        } catch (error) {
+            console.error('Capture error:', error);
+            Alert.alert('Capture Failed', 'Could not capture photo. Please try again.');
+            setLoading(false);
+        }
+    };
+
+    // Skip an optional pose (e.g. the employee doesn't wear glasses)
+    const handleSkip = async () => {
+        if (!currentPose?.optional || loading) return;
+        setLoading(true);
+        await nextPose(shots);
+    };
+
+    // Move to the next pose, or register once every pose is done
+    const nextPose = async (nextShots) => {
+        setShots(nextShots);
+        if (poseIndex < ENROLLMENT_POSES.length - 1) {
+            setPoseIndex(poseIndex + 1);
+            setLoading(false);
+            return;
+        }
+        await submitEnrollment(nextShots);
+    };
+
+    const restartEnrollment = () => {
+        setShots([]);
+        setPoseIndex(0);
+    };
+
+    const submitEnrollment = async (enrollmentShots) => {
+        setLoading(true);
+        try {
+            // Register all poses with backend in one call
+            const response = await registerFaceBatch(
                 employee.employeeId,
-                imageBase64,
-                currentLocation.latitude,
-                currentLocation.longitude,
+                enrollmentShots,
+                currentLocation?.latitude ?? null,
+                currentLocation?.longitude ?? null,
+                { onUploadProgress: setUploadProgress },
             );
 
+            const results = response.results || [];
+            const summary = results
+                .map(result => {
+                    const confidence = result.confidence != null
+                        ? `${result.confidence.toFixed(1)}%`
+                        : '-';
+                    return `${result.accepted ? '✓' : '✗'} ${POSE_NAMES[result.pose] || result.pose}: ${confidence}`;
+                })
+                .join('\n');
+
             if (response.success) {
+                // Registration doubles as the first face verification - keep the issued tokens
+                await saveSession(response.employee || employee, response.auth);
+
                 Alert.alert(
                     '✅ Registration Successful!',
-                    `Welcome, ${employee.name}!\n\nYour face has been registered successfully.\n\nConfidence: ${response.confidence?.toFixed(2)}%`,
+                    `Welcome, ${employee.name}!\n\nYour face has been registered successfully.\n\n${summary}`,
                     [
                         {
                             text: 'Go to Attendance',
@@ -149,11 +252,18 @@ const FaceRegistrationScreen = ({ route, navigation }) => {
                         },
                     ],
                 );
+            } else {
+                restartEnrollment();
+                Alert.alert(
+                    'Registration Failed',
+                    `${response.message || 'Some photos were not accepted'}\n\n${summary}\n\nPlease capture the poses again.`,
+                );
             }
         } catch (error) {
             const errorMessage =
                 error.response?.data?.message || 'Failed to register face';
 
+            restartEnrollment();
             if (error.response?.data?.withinRange === false) {
                 Alert.alert(
                     '⚠️ Too Far From Office',
@@ -163,6 +273,8 @@ const FaceRegistrationScreen = ({ route, navigation }) => {
                 Alert.alert('Registration Failed', errorMessage);
             }
         } finally {
+            await Promise.all(enrollmentShots.map(shot => discardCapture(shot.image)));
+            setUploadProgress(null);
             setLoading(false);
         }
     };
@@ -184,6 +296,24 @@ const FaceRegistrationScreen = ({ route, navigation }) => {
                         <Text style={styles.statusText}>Within office range</Text>
                     </View>
                 );
+            case 'flagged':
+                return (
+                    <View style={[styles.statusBadge, styles.statusChecking]}>
+                        <Text style={styles.statusIcon}>⚑</Text>
+                        <Text style={styles.statusText}>
+                            {geofenceDecision?.message} • will be reviewed
+                        </Text>
+                    </View>
+                );
+            case 'blocked':
+                return (
+                    <View style={[styles.statusBadge, styles.statusInvalid]}>
+                        <Text style={styles.statusIcon}>🚫</Text>
+                        <Text style={styles.statusText}>
+                            {geofenceDecision?.message || 'Location unverified'}
+                        </Text>
+                    </View>
+                );
             case 'out_of_range':
                 return (
                     <View style={[styles.statusBadge, styles.statusInvalid]}>
@@ -240,6 +370,8 @@ const FaceRegistrationScreen = ({ route, navigation }) => {
                 device={device}
                 isActive={true}
                 photo={true}
+                pixelFormat="yuv"
+                frameProcessor={frameProcessor}
             />
 
             {/* Overlay */}
@@ -260,17 +392,36 @@ const FaceRegistrationScreen = ({ route, navigation }) => {
                 {/* Location Status */}
                 <View style={styles.statusContainer}>{renderLocationStatus()}</View>
 
+                {/* Enrollment Progress */}
+                <View style={styles.progressContainer}>
+                    <View style={styles.progressDots}>
+                        {ENROLLMENT_POSES.map((pose, index) => (
+                            <View
+                                key={pose.key}
+                                style={[
+                                    styles.progressDot,
+                                    index < poseIndex && styles.progressDotDone,
+                                    index === poseIndex && styles.progressDotActive,
+                                ]}
+                            />
+                        ))}
+                    </View>
+                    <Text style={styles.progressText}>
+                        {currentPose
+                            ? `Step ${poseIndex + 1} of ${ENROLLMENT_POSES.length}: ${currentPose.label}`
+                            : 'Registering your face...'}
+                    </Text>
+                </View>
+
                 {/* Face Guide */}
                 <View style={styles.faceGuideContainer}>
-                    <View style={styles.faceGuide}>
-                        <View style={styles.cornerTL} />
-                        <View style={styles.cornerTR} />
-                        <View style={styles.cornerBL} />
-                        <View style={styles.cornerBR} />
+                    <View ref={guideRef} style={styles.faceGuide} onLayout={onGuideLayout}>
+                        <View style={[styles.cornerTL, faceQuality.ok && styles.cornerReady]} />
+                        <View style={[styles.cornerTR, faceQuality.ok && styles.cornerReady]} />
+                        <View style={[styles.cornerBL, faceQuality.ok && styles.cornerReady]} />
+                        <View style={[styles.cornerBR, faceQuality.ok && styles.cornerReady]} />
                     </View>
-                    <Text style={styles.guideText}>
-                        Position your face within the frame
-                    </Text>
+                    <Text style={styles.guideText}>{faceQuality.hint}</Text>
                 </View>
 
                 {/* Capture Button */}
@@ -278,22 +429,39 @@ const FaceRegistrationScreen = ({ route, navigation }) => {
                     <TouchableOpacity
                         style={[
                             styles.captureButton,
-                            (!isWithinGeofence || loading) && styles.captureButtonDisabled,
+                            !canCapture && styles.captureButtonDisabled,
                         ]}
                         onPress={handleCapture}
-                        disabled={!isWithinGeofence || loading}>
-                        {loading ? (
+                        disabled={!canCapture}>
+                        {loading && uploadProgress !== null ? (
+                            <Text style={styles.captureProgress}>
+                                {Math.round(uploadProgress * 100)}%
+                            </Text>
+                        ) : loading ? (
                             <ActivityIndicator size="large" color="#fff" />
                         ) : (
                             <View style={styles.captureInner} />
                         )}
                     </TouchableOpacity>
                     <Text style={styles.captureHint}>
-                        {isWithinGeofence
-                            ? 'Tap to capture'
-                            : 'Move closer to office to capture'}
+                        {uploadProgress !== null
+                            ? 'Uploading photos...'
+                            : isWithinGeofence
+                            ? faceQuality.ok ? 'Tap to capture this pose' : 'Waiting for a clear view of your face'
+                            : locationStatus === 'out_of_range'
+                                ? 'Move closer to office to capture'
+                                : 'Location must be verified to capture'}
                     </Text>
 
+                    {currentPose?.optional && (
+                        <TouchableOpacity
+                            style={styles.skipButton}
+                            onPress={handleSkip}
+                            disabled={loading}>
+                            <Text style={styles.skipText}>Skip this step</Text>
+                        </TouchableOpacity>
+                    )}
+
                     {/* Refresh Location Button */}
                     <TouchableOpacity
                         style={styles.refreshButton}
@@ -371,6 +539,37 @@ const styles = StyleSheet.create({
         fontSize: 14,
         fontWeight: '500',
     },
+    progressContainer: {
+        alignItems: 'center',
+        marginTop: 12,
+        paddingHorizontal: 20,
+    },
+    progressDots: {
+        flexDirection: 'row',
+        gap: 8,
+    },
+    progressDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        backgroundColor: 'rgba(255,255,255,0.4)',
+    },
+    progressDotActive: {
+        backgroundColor: '#FF6B35',
+    },
+    progressDotDone: {
+        backgroundColor: '#4CAF50',
+    },
+    progressText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: '500',
+        marginTop: 8,
+        textAlign: 'center',
+        textShadowColor: '#000',
+        textShadowOffset: { width: 1, height: 1 },
+        textShadowRadius: 2,
+    },
     faceGuideContainer: {
         alignItems: 'center',
         justifyContent: 'center',
@@ -424,6 +623,9 @@ const styles = StyleSheet.create({
         borderColor: '#FF6B35',
         borderBottomRightRadius: 20,
     },
+    cornerReady: {
+        borderColor: '#4CAF50',
+    },
     guideText: {
         color: '#fff',
         fontSize: 14,
@@ -458,11 +660,25 @@ const styles = StyleSheet.create({
         borderRadius: 30,
         backgroundColor: '#FF6B35',
     },
+    captureProgress: {
+        color: '#fff',
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
     captureHint: {
         color: '#fff',
         fontSize: 12,
         marginTop: 12,
     },
+    skipButton: {
+        marginTop: 12,
+        padding: 8,
+    },
+    skipText: {
+        color: '#fff',
+        fontSize: 14,
+        textDecorationLine: 'underline',
+    },
     refreshButton: {
         marginTop: 16,
         padding: 10,
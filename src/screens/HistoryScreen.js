@@ -0,0 +1,368 @@
+/**
+ * History Screen - Infinite scroll attendance history with date-range filters
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    FlatList,
+    RefreshControl,
+    ActivityIndicator,
+} from 'react-native';
+import { fetchHistoryPage } from '../services/historyCache';
+import { getSavedEmployee, calculateTodayDuration } from '../utils/session';
+import { getStatusColor } from '../utils/theme';
+import { getBranchTimezone, toBusinessDateKey, addDays } from '../utils/datetime';
+import { canRequestRegularization } from '../utils/regularization';
+
+// Records fetched per page
+const PAGE_SIZE = 20;
+
+// First day of the month of a YYYY-MM-DD date
+const startOfMonth = (dateKey) => `${dateKey.slice(0, 8)}01`;
+
+/**
+ * Date-range filters; `range` returns { from, to } as YYYY-MM-DD business
+ * dates in the branch timezone (empty for all time)
+ */
+const FILTERS = [
+    { key: 'all', label: 'All', range: () => ({}) },
+    {
+        key: 'this-month',
+        label: 'This Month',
+        range: (timeZone) => {
+            const today = toBusinessDateKey(new Date(), timeZone);
+            return { from: startOfMonth(today), to: today };
+        },
+    },
+    {
+        key: 'last-month',
+        label: 'Last Month',
+        range: (timeZone) => {
+            const lastMonthEnd = addDays(startOfMonth(toBusinessDateKey(new Date(), timeZone)), -1);
+            return { from: startOfMonth(lastMonthEnd), to: lastMonthEnd };
+        },
+    },
+    {
+        key: 'last-3-months',
+        label: 'Last 3 Months',
+        range: (timeZone) => {
+            const today = toBusinessDateKey(new Date(), timeZone);
+            const lastMonthStart = startOfMonth(addDays(startOfMonth(today), -1));
+            return { from: startOfMonth(addDays(lastMonthStart, -1)), to: today };
+        },
+    },
+];
+
+const HistoryScreen = ({ route, navigation }) => {
+    const [employee, setEmployee] = useState(route.params?.employee || null);
+    const [filter, setFilter] = useState(FILTERS[0]);
+    const [records, setRecords] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [refreshing, setRefreshing] = useState(false);
+    const [showingCached, setShowingCached] = useState(false);
+    const [error, setError] = useState(null);
+    // Drop responses for a filter the user has already switched away from
+    const activeFilterRef = useRef(filter.key);
+
+    const timeZone = getBranchTimezone(employee);
+
+    useEffect(() => {
+        if (!employee) {
+            getSavedEmployee().then(savedEmployee => {
+                if (savedEmployee) {
+                    setEmployee(savedEmployee);
+                } else {
+                    navigation.goBack();
+                }
+            });
+        }
+    }, [employee, navigation]);
+
+    const loadFirstPage = useCallback(async (selectedFilter, forceRefresh = false) => {
+        if (!employee?.employeeId) return;
+
+        activeFilterRef.current = selectedFilter.key;
+        setError(null);
+        try {
+            const page = await fetchHistoryPage(
+                employee.employeeId,
+                { limit: PAGE_SIZE, ...selectedFilter.range(timeZone) },
+                { forceRefresh },
+            );
+            if (activeFilterRef.current !== selectedFilter.key) return;
+            setRecords(page.history);
+            setNextCursor(page.nextCursor);
+            setShowingCached(page.stale);
+        } catch (loadError) {
+            console.error('Error loading history:', loadError);
+            if (activeFilterRef.current === selectedFilter.key) {
+                setRecords([]);
+                setNextCursor(null);
+                setError('Could not load attendance history');
+            }
+        }
+    }, [employee?.employeeId, timeZone]);
+
+    useEffect(() => {
+        const load = async () => {
+            setLoading(true);
+            await loadFirstPage(filter);
+            setLoading(false);
+        };
+        load();
+    }, [filter, loadFirstPage]);
+
+    const onRefresh = async () => {
+        setRefreshing(true);
+        await loadFirstPage(filter, true);
+        setRefreshing(false);
+    };
+
+    const loadMore = async () => {
+        if (!nextCursor || loadingMore || loading || !employee?.employeeId) return;
+
+        const filterKey = filter.key;
+        setLoadingMore(true);
+        try {
+            const page = await fetchHistoryPage(employee.employeeId, {
+                limit: PAGE_SIZE,
+                ...filter.range(timeZone),
+                cursor: nextCursor,
+            });
+            if (activeFilterRef.current !== filterKey) return;
+            setRecords(current => [...current, ...page.history]);
+            setNextCursor(page.nextCursor);
+            setShowingCached(cached => cached || page.stale);
+        } catch (loadError) {
+            console.error('Error loading more history:', loadError);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    const formatTime = (isoString) => {
+        if (!isoString) return '--:--';
+        return new Date(isoString).toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+        });
+    };
+
+    const formatDate = (dateString) => {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+        });
+    };
+
+    const renderRecord = ({ item }) => {
+        const duration = calculateTodayDuration([item]);
+        const today = toBusinessDateKey(new Date(), timeZone);
+        return (
+            <TouchableOpacity
+                style={[styles.historyItem, item.regularized && styles.historyItemRegularized]}
+                disabled={!canRequestRegularization(item, {}, today)}
+                onPress={() => navigation.navigate('Regularization', { employee, record: item })}>
+                <View>
+                    <Text style={styles.historyDate}>{formatDate(item.date)}</Text>
+                    <Text style={styles.historyTime}>
+                        {formatTime(item.checkInTime)} - {formatTime(item.checkOutTime)}
+                        {duration.totalMinutes > 0 ? `  •  ${duration.formattedDuration}` : ''}
+                    </Text>
+                    {item.regularized && (
+                        <Text style={styles.regularizedText}>
+                            ✎ Corrected
+                            {item.originalCheckInTime || item.originalCheckOutTime
+                                ? ` (was ${formatTime(item.originalCheckInTime)} - ${formatTime(item.originalCheckOutTime)})`
+                                : ''}
+                        </Text>
+                    )}
+                </View>
+                <View style={[styles.historyStatus, { backgroundColor: getStatusColor(item.status) }]}>
+                    <Text style={styles.historyStatusText}>{item.status}</Text>
+                </View>
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Text style={styles.backText}>← Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.title}>Attendance History</Text>
+            </View>
+
+            {/* Date Range Filters */}
+            <View style={styles.filters}>
+                {FILTERS.map(option => (
+                    <TouchableOpacity
+                        key={option.key}
+                        style={[styles.filterChip, filter.key === option.key && styles.filterChipActive]}
+                        onPress={() => setFilter(option)}>
+                        <Text style={[styles.filterText, filter.key === option.key && styles.filterTextActive]}>
+                            {option.label}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
+            {showingCached && (
+                <Text style={styles.cachedNotice}>Offline - showing saved history</Text>
+            )}
+
+            {loading ? (
+                <ActivityIndicator size="large" color="#FF6B35" style={styles.loader} />
+            ) : (
+                <FlatList
+                    data={records}
+                    keyExtractor={(item, index) => item.attendanceId || `${item.date}-${index}`}
+                    renderItem={renderRecord}
+                    contentContainerStyle={styles.list}
+                    onEndReached={loadMore}
+                    onEndReachedThreshold={0.5}
+                    refreshControl={
+                        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+                    }
+                    ListEmptyComponent={
+                        <Text style={styles.noHistory}>{error || 'No attendance records for this period'}</Text>
+                    }
+                    ListFooterComponent={
+                        loadingMore ? <ActivityIndicator color="#FF6B35" style={styles.footerLoader} /> : null
+                    }
+                />
+            )}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    header: {
+        backgroundColor: '#FF6B35',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomLeftRadius: 24,
+        borderBottomRightRadius: 24,
+    },
+    backButton: {
+        marginBottom: 8,
+    },
+    backText: {
+        color: '#fff',
+        fontSize: 16,
+    },
+    title: {
+        color: '#fff',
+        fontSize: 24,
+        fontWeight: 'bold',
+    },
+    filters: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        paddingHorizontal: 16,
+        paddingTop: 16,
+        gap: 8,
+    },
+    filterChip: {
+        paddingHorizontal: 14,
+        paddingVertical: 8,
+        borderRadius: 16,
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+    },
+    filterChipActive: {
+        backgroundColor: '#FF6B35',
+        borderColor: '#FF6B35',
+    },
+    filterText: {
+        fontSize: 13,
+        color: '#666',
+    },
+    filterTextActive: {
+        color: '#fff',
+        fontWeight: '600',
+    },
+    cachedNotice: {
+        fontSize: 12,
+        color: '#FF9800',
+        textAlign: 'center',
+        marginTop: 12,
+    },
+    loader: {
+        marginTop: 80,
+    },
+    list: {
+        margin: 16,
+        paddingHorizontal: 20,
+        paddingVertical: 8,
+        backgroundColor: '#fff',
+        borderRadius: 16,
+    },
+    historyItem: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    historyDate: {
+        fontSize: 14,
+        fontWeight: '500',
+        color: '#333',
+    },
+    historyTime: {
+        fontSize: 12,
+        color: '#999',
+        marginTop: 2,
+    },
+    historyItemRegularized: {
+        borderLeftWidth: 3,
+        borderLeftColor: '#1976d2',
+        paddingLeft: 8,
+    },
+    regularizedText: {
+        fontSize: 11,
+        color: '#1976d2',
+        fontWeight: '500',
+        marginTop: 2,
+    },
+    historyStatus: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 10,
+    },
+    historyStatusText: {
+        color: '#fff',
+        fontSize: 11,
+        fontWeight: '500',
+        textTransform: 'capitalize',
+    },
+    noHistory: {
+        color: '#999',
+        textAlign: 'center',
+        fontStyle: 'italic',
+        marginVertical: 20,
+    },
+    footerLoader: {
+        marginVertical: 16,
+    },
+});
+
+export default HistoryScreen;
@@ -0,0 +1,361 @@
+/**
+ * Leave Screen - Leave balances and the employee's leave requests
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    ScrollView,
+    RefreshControl,
+    ActivityIndicator,
+    Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { getLeaveBalances, getLeaveRequests, cancelLeaveRequest } from '../services/api';
+import { getSavedEmployee } from '../utils/session';
+import { LEAVE_STATUS } from '../utils/leave';
+
+const STATUS_COLORS = {
+    [LEAVE_STATUS.PENDING]: '#FF9800',
+    [LEAVE_STATUS.APPROVED]: '#4CAF50',
+    [LEAVE_STATUS.REJECTED]: '#f44336',
+    [LEAVE_STATUS.CANCELLED]: '#999',
+};
+
+const formatDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+};
+
+const formatDays = (days) => `${days} ${days === 1 ? 'day' : 'days'}`;
+
+const LeaveScreen = ({ route, navigation }) => {
+    const [employee, setEmployee] = useState(route.params?.employee || null);
+    const [balances, setBalances] = useState([]);
+    const [requests, setRequests] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [error, setError] = useState(null);
+    const [cancellingId, setCancellingId] = useState(null);
+
+    useEffect(() => {
+        if (!employee) {
+            getSavedEmployee().then(savedEmployee => {
+                if (savedEmployee) {
+                    setEmployee(savedEmployee);
+                } else {
+                    navigation.goBack();
+                }
+            });
+        }
+    }, [employee, navigation]);
+
+    const loadLeave = useCallback(async () => {
+        if (!employee?.employeeId) return;
+
+        setError(null);
+        try {
+            const [balanceResponse, requestResponse] = await Promise.all([
+                getLeaveBalances(employee.employeeId),
+                getLeaveRequests(employee.employeeId),
+            ]);
+            setBalances(balanceResponse.success ? balanceResponse.balances || [] : []);
+            setRequests(requestResponse.success ? requestResponse.requests || [] : []);
+        } catch (loadError) {
+            console.error('Error loading leave:', loadError);
+            setError('Could not load leave details');
+        } finally {
+            setLoading(false);
+        }
+    }, [employee?.employeeId]);
+
+    // Reload when coming back from applying for leave
+    useFocusEffect(
+        useCallback(() => {
+            loadLeave();
+        }, [loadLeave]),
+    );
+
+    const onRefresh = async () => {
+        setRefreshing(true);
+        await loadLeave();
+        setRefreshing(false);
+    };
+
+    const handleCancel = (request) => {
+        Alert.alert(
+            'Cancel Leave Request',
+            `Cancel your ${request.typeLabel || request.type} request for ${formatDate(request.fromDate)}${request.toDate !== request.fromDate ? ` - ${formatDate(request.toDate)}` : ''}?`,
+            [
+                { text: 'Keep', style: 'cancel' },
+                {
+                    text: 'Cancel Request',
+                    style: 'destructive',
+                    onPress: async () => {
+                        setCancellingId(request.requestId);
+                        try {
+                            await cancelLeaveRequest(employee.employeeId, request.requestId);
+                            await loadLeave();
+                        } catch (cancelError) {
+                            console.error('Error cancelling leave:', cancelError);
+                            Alert.alert(
+                                'Error',
+                                cancelError.response?.data?.message || 'Failed to cancel the leave request',
+                            );
+                        } finally {
+                            setCancellingId(null);
+                        }
+                    },
+                },
+            ],
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Text style={styles.backText}>← Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.title}>Leave</Text>
+            </View>
+
+            {loading ? (
+                <ActivityIndicator size="large" color="#FF6B35" style={styles.loader} />
+            ) : (
+                <ScrollView
+                    contentContainerStyle={styles.content}
+                    refreshControl={
+                        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+                    }>
+                    {error && <Text style={styles.errorText}>{error}</Text>}
+
+                    {/* Balances */}
+                    <Text style={styles.sectionTitle}>Leave Balance</Text>
+                    <View style={styles.balanceRow}>
+                        {balances.map(balance => (
+                            <View key={balance.type} style={styles.balanceCard}>
+                                <Text style={styles.balanceValue}>{balance.remaining}</Text>
+                                <Text style={styles.balanceLabel}>{balance.label || balance.type}</Text>
+                                <Text style={styles.balanceDetail}>
+                                    {balance.used} used of {balance.total}
+                                    {balance.pending > 0 ? ` • ${balance.pending} pending` : ''}
+                                </Text>
+                            </View>
+                        ))}
+                    </View>
+
+                    <TouchableOpacity
+                        style={styles.applyButton}
+                        onPress={() => navigation.navigate('ApplyLeave', { employee, balances })}>
+                        <Text style={styles.applyText}>＋ Apply for Leave</Text>
+                    </TouchableOpacity>
+
+                    {/* Requests */}
+                    <View style={styles.requestsCard}>
+                        <Text style={styles.sectionTitle}>My Requests</Text>
+                        {requests.length > 0 ? (
+                            requests.map(request => (
+                                <View key={request.requestId} style={styles.requestItem}>
+                                    <View style={styles.requestInfo}>
+                                        <Text style={styles.requestType}>
+                                            {request.typeLabel || request.type} • {formatDays(request.days)}
+                                        </Text>
+                                        <Text style={styles.requestDates}>
+                                            {formatDate(request.fromDate)}
+                                            {request.toDate !== request.fromDate ? ` - ${formatDate(request.toDate)}` : ''}
+                                            {request.halfDay ? ' (half day)' : ''}
+                                        </Text>
+                                        {request.reason ? (
+                                            <Text style={styles.requestReason} numberOfLines={2}>{request.reason}</Text>
+                                        ) : null}
+                                        {request.reviewerNote ? (
+                                            <Text style={styles.reviewerNote}>Note: {request.reviewerNote}</Text>
+                                        ) : null}
+                                    </View>
+                                    <View style={styles.requestActions}>
+                                        <View style={[styles.statusBadge, { backgroundColor: STATUS_COLORS[request.status] || '#999' }]}>
+                                            <Text style={styles.statusText}>{request.status}</Text>
+                                        </View>
+                                        {request.status === LEAVE_STATUS.PENDING && (
+                                            <TouchableOpacity
+                                                onPress={() => handleCancel(request)}
+                                                disabled={cancellingId === request.requestId}>
+                                                <Text style={styles.cancelText}>
+                                                    {cancellingId === request.requestId ? 'Cancelling...' : 'Cancel'}
+                                                </Text>
+                                            </TouchableOpacity>
+                                        )}
+                                    </View>
+                                </View>
+                            ))
+                        ) : (
+                            <Text style={styles.noRequests}>No leave requests yet</Text>
+                        )}
+                    </View>
+                </ScrollView>
+            )}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    header: {
+        backgroundColor: '#FF6B35',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomLeftRadius: 24,
+        borderBottomRightRadius: 24,
+    },
+    backButton: {
+        marginBottom: 8,
+    },
+    backText: {
+        color: '#fff',
+        fontSize: 16,
+    },
+    title: {
+        color: '#fff',
+        fontSize: 24,
+        fontWeight: 'bold',
+    },
+    loader: {
+        marginTop: 80,
+    },
+    content: {
+        padding: 16,
+    },
+    errorText: {
+        fontSize: 13,
+        color: '#f44336',
+        textAlign: 'center',
+        marginBottom: 12,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+        marginBottom: 12,
+    },
+    balanceRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 12,
+    },
+    balanceCard: {
+        flexGrow: 1,
+        minWidth: '30%',
+        backgroundColor: '#fff',
+        padding: 16,
+        borderRadius: 16,
+        alignItems: 'center',
+        elevation: 2,
+    },
+    balanceValue: {
+        fontSize: 28,
+        fontWeight: 'bold',
+        color: '#00897B',
+    },
+    balanceLabel: {
+        fontSize: 13,
+        fontWeight: '500',
+        color: '#333',
+        marginTop: 4,
+    },
+    balanceDetail: {
+        fontSize: 11,
+        color: '#999',
+        marginTop: 4,
+        textAlign: 'center',
+    },
+    applyButton: {
+        backgroundColor: '#FF6B35',
+        padding: 16,
+        borderRadius: 12,
+        alignItems: 'center',
+        marginVertical: 16,
+    },
+    applyText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: '600',
+    },
+    requestsCard: {
+        backgroundColor: '#fff',
+        padding: 20,
+        borderRadius: 16,
+        elevation: 2,
+    },
+    requestItem: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    requestInfo: {
+        flex: 1,
+        marginRight: 12,
+    },
+    requestType: {
+        fontSize: 14,
+        fontWeight: '500',
+        color: '#333',
+        textTransform: 'capitalize',
+    },
+    requestDates: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 2,
+    },
+    requestReason: {
+        fontSize: 12,
+        color: '#999',
+        marginTop: 4,
+    },
+    reviewerNote: {
+        fontSize: 12,
+        color: '#1976d2',
+        marginTop: 4,
+    },
+    requestActions: {
+        alignItems: 'flex-end',
+        gap: 8,
+    },
+    statusBadge: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 10,
+    },
+    statusText: {
+        color: '#fff',
+        fontSize: 11,
+        fontWeight: '500',
+        textTransform: 'capitalize',
+    },
+    cancelText: {
+        color: '#f44336',
+        fontSize: 13,
+        fontWeight: '500',
+    },
+    noRequests: {
+        color: '#999',
+        textAlign: 'center',
+        fontStyle: 'italic',
+        marginVertical: 20,
+    },
+});
+
+export default LeaveScreen;
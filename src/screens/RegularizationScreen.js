@@ -0,0 +1,677 @@
+/**
+ * Regularization Screen - Request corrected check-in/check-out times for a
+ * history record and track earlier requests for it
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    ScrollView,
+    TextInput,
+    Image,
+    ActivityIndicator,
+    Alert,
+} from 'react-native';
+import { launchCamera, launchImageLibrary } from 'react-native-image-picker';
+import {
+    getRegularizationRequests,
+    requestRegularization,
+    cancelRegularizationRequest,
+} from '../services/api';
+import { clearHistoryCache } from '../services/historyCache';
+import { getBranchTimezone, zonedDateTime, addDays } from '../utils/datetime';
+import {
+    REGULARIZATION_STATUS,
+    getRecordKey,
+    validateCorrection,
+} from '../utils/regularization';
+import { getStatusColor } from '../utils/theme';
+
+const STATUS_COLORS = {
+    [REGULARIZATION_STATUS.PENDING]: '#FF9800',
+    [REGULARIZATION_STATUS.APPROVED]: '#4CAF50',
+    [REGULARIZATION_STATUS.REJECTED]: '#f44336',
+    [REGULARIZATION_STATUS.CANCELLED]: '#999',
+};
+
+// Tap a common reason to fill it in
+const QUICK_REASONS = [
+    'Forgot to check out',
+    'Forgot to check in',
+    'App crashed',
+    'No network at the branch',
+    'Face not recognized',
+];
+
+// Used when the record has no punches and no shift schedule is known
+const DEFAULT_START_TIME = '09:00';
+const DEFAULT_END_TIME = '18:00';
+const DEFAULT_SESSION_HOURS = 8;
+
+// Evidence photos are resized on the device before upload
+const PICKER_OPTIONS = {
+    mediaType: 'photo',
+    maxWidth: 1280,
+    maxHeight: 1280,
+    quality: 0.7,
+};
+
+const MINUTE = 60 * 1000;
+
+const formatDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+};
+
+/**
+ * Starting values for the corrected times: the recorded punches, otherwise the shift
+ */
+const getInitialTimes = (record, shift, timeZone) => {
+    const checkIn = record.checkInTime
+        ? new Date(record.checkInTime)
+        : zonedDateTime(record.date, shift?.startTime || DEFAULT_START_TIME, timeZone);
+    if (record.checkOutTime) {
+        return { checkIn, checkOut: new Date(record.checkOutTime) };
+    }
+
+    const endTime = shift?.endTime || DEFAULT_END_TIME;
+    let checkOut = zonedDateTime(record.date, endTime, timeZone);
+    if (checkOut <= checkIn) {
+        checkOut = zonedDateTime(addDays(record.date, 1), endTime, timeZone);
+    }
+    // An early check-in would make the shift end look like a very long session
+    if (checkOut - checkIn > 2 * DEFAULT_SESSION_HOURS * 60 * MINUTE) {
+        checkOut = new Date(checkIn.getTime() + DEFAULT_SESSION_HOURS * 60 * MINUTE);
+    }
+    return { checkIn, checkOut };
+};
+
+const RegularizationScreen = ({ route, navigation }) => {
+    const { employee, record, shift } = route.params || {};
+    const timeZone = getBranchTimezone(employee);
+
+    const [checkInTime, setCheckInTime] = useState(() => getInitialTimes(record, shift, timeZone).checkIn);
+    const [checkOutTime, setCheckOutTime] = useState(() => getInitialTimes(record, shift, timeZone).checkOut);
+    const [reason, setReason] = useState('');
+    const [evidence, setEvidence] = useState(null);
+    const [requests, setRequests] = useState([]);
+    const [loadingRequests, setLoadingRequests] = useState(true);
+    const [submitting, setSubmitting] = useState(false);
+    const [uploadProgress, setUploadProgress] = useState(0);
+    const [cancellingId, setCancellingId] = useState(null);
+
+    const formatTime = (value) => {
+        if (!value) return '--:--';
+        return new Date(value).toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZone,
+        });
+    };
+
+    const loadRequests = useCallback(async () => {
+        if (!employee?.employeeId || !record?.date) return;
+        try {
+            const response = await getRegularizationRequests(employee.employeeId, {
+                from: record.date,
+                to: record.date,
+            });
+            if (response.success) {
+                const key = getRecordKey(record);
+                setRequests((response.requests || []).filter(request =>
+                    (request.attendanceId || request.date) === key));
+            }
+        } catch (error) {
+            console.log('Regularization requests unavailable');
+        } finally {
+            setLoadingRequests(false);
+        }
+    }, [employee?.employeeId, record]);
+
+    useEffect(() => {
+        loadRequests();
+    }, [loadRequests]);
+
+    const hasPendingRequest = requests.some(request => request.status === REGULARIZATION_STATUS.PENDING);
+
+    const handlePickerResult = (result) => {
+        if (result.didCancel) return;
+        if (result.errorCode) {
+            console.error('Error picking evidence photo:', result.errorMessage || result.errorCode);
+            Alert.alert(
+                'Photo Unavailable',
+                result.errorCode === 'camera_unavailable'
+                    ? 'The camera is not available on this device.'
+                    : 'Could not attach the photo. Please try again.',
+            );
+            return;
+        }
+        const asset = result.assets?.[0];
+        if (asset?.uri) {
+            setEvidence({ uri: asset.uri, type: asset.type, fileName: asset.fileName });
+        }
+    };
+
+    const handleAttachPhoto = () => {
+        Alert.alert('Attach Photo', 'Add a photo as evidence, e.g. a register entry or gate pass.', [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Take Photo',
+                onPress: async () => handlePickerResult(await launchCamera({ ...PICKER_OPTIONS, cameraType: 'back' })),
+            },
+            {
+                text: 'Choose from Gallery',
+                onPress: async () => handlePickerResult(await launchImageLibrary({ ...PICKER_OPTIONS, selectionLimit: 1 })),
+            },
+        ]);
+    };
+
+    const handleSubmit = async () => {
+        const problem = validateCorrection({ checkInTime, checkOutTime }, record, { timeZone });
+        if (problem) {
+            Alert.alert('Check the Times', problem);
+            return;
+        }
+        if (!reason.trim()) {
+            Alert.alert('Reason Required', 'Please explain why the attendance needs correcting.');
+            return;
+        }
+
+        setSubmitting(true);
+        setUploadProgress(0);
+        try {
+            const response = await requestRegularization(
+                employee.employeeId,
+                {
+                    attendanceId: record.attendanceId,
+                    date: record.date,
+                    checkInTime: checkInTime.toISOString(),
+                    checkOutTime: checkOutTime ? checkOutTime.toISOString() : null,
+                    reason: reason.trim(),
+                },
+                evidence,
+                { onUploadProgress: setUploadProgress },
+            );
+            if (response.success) {
+                // History pages must show the pending correction on next load
+                await clearHistoryCache();
+                Alert.alert(
+                    '✅ Correction Requested',
+                    response.message || 'Your request has been sent to your manager for approval.',
+                    [{ text: 'OK', onPress: () => navigation.goBack() }],
+                );
+            } else {
+                Alert.alert('Error', response.message || 'Failed to send the correction request');
+            }
+        } catch (error) {
+            console.error('Error requesting regularization:', error);
+            Alert.alert('Error', error.response?.data?.message || 'Failed to send the correction request');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleCancel = (request) => {
+        Alert.alert('Cancel Correction', 'Withdraw this correction request?', [
+            { text: 'Keep', style: 'cancel' },
+            {
+                text: 'Withdraw',
+                style: 'destructive',
+                onPress: async () => {
+                    setCancellingId(request.requestId);
+                    try {
+                        await cancelRegularizationRequest(employee.employeeId, request.requestId);
+                        await loadRequests();
+                    } catch (error) {
+                        console.error('Error cancelling regularization:', error);
+                        Alert.alert('Error', error.response?.data?.message || 'Failed to cancel the request');
+                    } finally {
+                        setCancellingId(null);
+                    }
+                },
+            },
+        ]);
+    };
+
+    const renderTimeStepper = (label, value, onChange) => {
+        const moveBy = (minutes) => onChange(new Date(value.getTime() + minutes * MINUTE));
+        return (
+            <View style={styles.timeRow}>
+                <Text style={styles.timeLabel}>{label}</Text>
+                <View style={styles.timeStepper}>
+                    <TouchableOpacity style={styles.stepButton} onPress={() => moveBy(-60)}>
+                        <Text style={styles.stepText}>«</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.stepButton} onPress={() => moveBy(-5)}>
+                        <Text style={styles.stepText}>‹</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.timeValue}>{formatTime(value)}</Text>
+                    <TouchableOpacity style={styles.stepButton} onPress={() => moveBy(5)}>
+                        <Text style={styles.stepText}>›</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.stepButton} onPress={() => moveBy(60)}>
+                        <Text style={styles.stepText}>»</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Text style={styles.backText}>← Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.title}>Correct Attendance</Text>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+                {/* Current record */}
+                <View style={styles.card}>
+                    <View style={styles.recordHeader}>
+                        <Text style={styles.recordDate}>{formatDate(record.date)}</Text>
+                        <View style={[styles.statusBadge, { backgroundColor: getStatusColor(record.status) }]}>
+                            <Text style={styles.statusText}>{record.status || 'no record'}</Text>
+                        </View>
+                    </View>
+                    <Text style={styles.recordTimes}>
+                        Recorded: {formatTime(record.checkInTime)} - {formatTime(record.checkOutTime)}
+                    </Text>
+                    {record.regularized && (
+                        <Text style={styles.regularizedNote}>✎ Already corrected once</Text>
+                    )}
+                </View>
+
+                {hasPendingRequest ? (
+                    <View style={styles.pendingCard}>
+                        <Text style={styles.pendingText}>
+                            A correction for this day is waiting for approval. Withdraw it below to send a new one.
+                        </Text>
+                    </View>
+                ) : (
+                    <>
+                        {/* Corrected times */}
+                        <View style={styles.card}>
+                            <Text style={styles.sectionTitle}>Corrected Times</Text>
+                            {renderTimeStepper('Check In', checkInTime, setCheckInTime)}
+                            {checkOutTime ? (
+                                <>
+                                    {renderTimeStepper('Check Out', checkOutTime, setCheckOutTime)}
+                                    <TouchableOpacity onPress={() => setCheckOutTime(null)}>
+                                        <Text style={styles.linkText}>Still working - no check-out</Text>
+                                    </TouchableOpacity>
+                                </>
+                            ) : (
+                                <TouchableOpacity
+                                    onPress={() => setCheckOutTime(getInitialTimes({ ...record, checkOutTime: null }, shift, timeZone).checkOut)}>
+                                    <Text style={styles.linkText}>＋ Add check-out time</Text>
+                                </TouchableOpacity>
+                            )}
+                            <Text style={styles.hint}>« » move by an hour, ‹ › by 5 minutes</Text>
+                        </View>
+
+                        {/* Reason */}
+                        <View style={styles.card}>
+                            <Text style={styles.sectionTitle}>Reason</Text>
+                            <View style={styles.reasonChips}>
+                                {QUICK_REASONS.map(option => (
+                                    <TouchableOpacity
+                                        key={option}
+                                        style={[styles.reasonChip, reason === option && styles.reasonChipActive]}
+                                        onPress={() => setReason(option)}>
+                                        <Text style={[styles.reasonChipText, reason === option && styles.reasonChipTextActive]}>
+                                            {option}
+                                        </Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+                            <TextInput
+                                style={styles.reasonInput}
+                                value={reason}
+                                onChangeText={setReason}
+                                placeholder="What happened?"
+                                placeholderTextColor="#999"
+                                multiline
+                                maxLength={300}
+                            />
+                        </View>
+
+                        {/* Evidence */}
+                        <View style={styles.card}>
+                            <Text style={styles.sectionTitle}>Photo Evidence (optional)</Text>
+                            {evidence ? (
+                                <View style={styles.evidenceRow}>
+                                    <Image source={{ uri: evidence.uri }} style={styles.evidenceImage} />
+                                    <TouchableOpacity onPress={() => setEvidence(null)}>
+                                        <Text style={styles.removeText}>Remove</Text>
+                                    </TouchableOpacity>
+                                </View>
+                            ) : (
+                                <TouchableOpacity style={styles.attachButton} onPress={handleAttachPhoto}>
+                                    <Text style={styles.attachText}>📷 Attach Photo</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+
+                        <TouchableOpacity
+                            style={[styles.submitButton, submitting && styles.submitButtonDisabled]}
+                            onPress={handleSubmit}
+                            disabled={submitting}>
+                            {submitting ? (
+                                <View style={styles.submittingRow}>
+                                    <ActivityIndicator color="#fff" />
+                                    {evidence && uploadProgress > 0 && (
+                                        <Text style={styles.submitText}>{Math.round(uploadProgress * 100)}%</Text>
+                                    )}
+                                </View>
+                            ) : (
+                                <Text style={styles.submitText}>Submit Correction</Text>
+                            )}
+                        </TouchableOpacity>
+                    </>
+                )}
+
+                {/* Earlier requests */}
+                <View style={styles.card}>
+                    <Text style={styles.sectionTitle}>Requests for This Day</Text>
+                    {loadingRequests ? (
+                        <ActivityIndicator color="#FF6B35" />
+                    ) : requests.length > 0 ? (
+                        requests.map(request => (
+                            <View key={request.requestId} style={styles.requestItem}>
+                                <View style={styles.requestInfo}>
+                                    <Text style={styles.requestTimes}>
+                                        {formatTime(request.checkInTime)} - {formatTime(request.checkOutTime)}
+                                    </Text>
+                                    {request.reason ? (
+                                        <Text style={styles.requestReason} numberOfLines={2}>{request.reason}</Text>
+                                    ) : null}
+                                    {request.reviewerNote ? (
+                                        <Text style={styles.reviewerNote}>Note: {request.reviewerNote}</Text>
+                                    ) : null}
+                                </View>
+                                <View style={styles.requestActions}>
+                                    <View style={[styles.statusBadge, { backgroundColor: STATUS_COLORS[request.status] || '#999' }]}>
+                                        <Text style={styles.statusText}>{request.status}</Text>
+                                    </View>
+                                    {request.status === REGULARIZATION_STATUS.PENDING && (
+                                        <TouchableOpacity
+                                            onPress={() => handleCancel(request)}
+                                            disabled={cancellingId === request.requestId}>
+                                            <Text style={styles.removeText}>
+                                                {cancellingId === request.requestId ? 'Cancelling...' : 'Cancel'}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    )}
+                                </View>
+                            </View>
+                        ))
+                    ) : (
+                        <Text style={styles.noRequests}>No correction requests for this day</Text>
+                    )}
+                </View>
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    header: {
+        backgroundColor: '#FF6B35',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomLeftRadius: 24,
+        borderBottomRightRadius: 24,
+    },
+    backButton: {
+        marginBottom: 8,
+    },
+    backText: {
+        color: '#fff',
+        fontSize: 16,
+    },
+    title: {
+        color: '#fff',
+        fontSize: 24,
+        fontWeight: 'bold',
+    },
+    content: {
+        padding: 16,
+    },
+    card: {
+        backgroundColor: '#fff',
+        padding: 20,
+        borderRadius: 16,
+        marginBottom: 16,
+        elevation: 2,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+        marginBottom: 12,
+    },
+    recordHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    recordDate: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+    },
+    recordTimes: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 8,
+    },
+    regularizedNote: {
+        fontSize: 12,
+        color: '#1976d2',
+        marginTop: 6,
+    },
+    pendingCard: {
+        backgroundColor: '#FFF3E0',
+        padding: 16,
+        borderRadius: 12,
+        marginBottom: 16,
+    },
+    pendingText: {
+        fontSize: 13,
+        color: '#E65100',
+    },
+    timeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+    },
+    timeLabel: {
+        fontSize: 14,
+        color: '#666',
+    },
+    timeStepper: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+    },
+    stepButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: '#f5f5f5',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    stepText: {
+        fontSize: 18,
+        color: '#FF6B35',
+        fontWeight: 'bold',
+    },
+    timeValue: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#333',
+        minWidth: 80,
+        textAlign: 'center',
+    },
+    linkText: {
+        fontSize: 13,
+        color: '#FF6B35',
+        fontWeight: '600',
+        marginBottom: 8,
+    },
+    hint: {
+        fontSize: 12,
+        color: '#999',
+        fontStyle: 'italic',
+    },
+    reasonChips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 12,
+    },
+    reasonChip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+    },
+    reasonChipActive: {
+        backgroundColor: '#FF6B35',
+        borderColor: '#FF6B35',
+    },
+    reasonChipText: {
+        fontSize: 12,
+        color: '#666',
+    },
+    reasonChipTextActive: {
+        color: '#fff',
+        fontWeight: '600',
+    },
+    reasonInput: {
+        minHeight: 80,
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+        borderRadius: 12,
+        padding: 12,
+        fontSize: 14,
+        color: '#333',
+        textAlignVertical: 'top',
+    },
+    evidenceRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    evidenceImage: {
+        width: 120,
+        height: 120,
+        borderRadius: 12,
+        backgroundColor: '#f0f0f0',
+    },
+    attachButton: {
+        borderWidth: 1,
+        borderColor: '#FF6B35',
+        borderStyle: 'dashed',
+        borderRadius: 12,
+        padding: 16,
+        alignItems: 'center',
+    },
+    attachText: {
+        color: '#FF6B35',
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    removeText: {
+        color: '#f44336',
+        fontSize: 13,
+        fontWeight: '500',
+    },
+    submitButton: {
+        backgroundColor: '#FF6B35',
+        padding: 16,
+        borderRadius: 12,
+        alignItems: 'center',
+        marginBottom: 16,
+    },
+    submitButtonDisabled: {
+        backgroundColor: '#999',
+    },
+    submittingRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+    },
+    submitText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: '600',
+    },
+    requestItem: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    requestInfo: {
+        flex: 1,
+        marginRight: 12,
+    },
+    requestTimes: {
+        fontSize: 14,
+        fontWeight: '500',
+        color: '#333',
+    },
+    requestReason: {
+        fontSize: 12,
+        color: '#999',
+        marginTop: 4,
+    },
+    reviewerNote: {
+        fontSize: 12,
+        color: '#1976d2',
+        marginTop: 4,
+    },
+    requestActions: {
+        alignItems: 'flex-end',
+        gap: 8,
+    },
+    statusBadge: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 10,
+    },
+    statusText: {
+        color: '#fff',
+        fontSize: 11,
+        fontWeight: '500',
+        textTransform: 'capitalize',
+    },
+    noRequests: {
+        color: '#999',
+        textAlign: 'center',
+        fontStyle: 'italic',
+        marginVertical: 12,
+    },
+});
+
+export default RegularizationScreen;
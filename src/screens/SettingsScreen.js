@@ -0,0 +1,386 @@
+/**
+ * Settings Screen - Attendance reminders, exit detection preferences and
+ * (for managers) kiosk mode setup
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    ScrollView,
+    Switch,
+    TextInput,
+    ActivityIndicator,
+    Alert,
+} from 'react-native';
+import {
+    getReminderSettings,
+    saveReminderSettings,
+    requestReminderPermission,
+    hasReminderPermission,
+    canScheduleExactAlarms,
+    openExactAlarmSettings,
+    cancelReminders,
+} from '../services/reminders';
+import { clearHistoryCache } from '../services/historyCache';
+import { formatShiftTime } from '../utils/shift';
+import { isGeofenceWatchEnabled, setGeofenceWatchEnabled } from '../utils/geofenceWatcher';
+import { getSavedEmployee, clearSession } from '../utils/session';
+import { isManager } from '../utils/team';
+import {
+    MIN_PIN_LENGTH,
+    MAX_PIN_LENGTH,
+    isValidPin,
+    enableKioskMode,
+} from '../utils/kiosk';
+
+const LEAD_OPTIONS = [5, 10, 15, 30]; // minutes before shift start
+const NUDGE_OPTIONS = [15, 30, 60, 120]; // minutes after shift end
+const END_OF_DAY_OPTIONS = ['20:00', '21:00', '22:00', '23:00'];
+
+const SettingsScreen = ({ navigation }) => {
+    const [settings, setSettings] = useState(null);
+    const [permissionGranted, setPermissionGranted] = useState(true);
+    const [exactAlarms, setExactAlarms] = useState(true);
+    const [exitDetection, setExitDetection] = useState(false);
+    const [employee, setEmployee] = useState(null);
+    const [kioskSetup, setKioskSetup] = useState(false);
+    const [kioskPin, setKioskPin] = useState('');
+    const [kioskPinConfirm, setKioskPinConfirm] = useState('');
+
+    useEffect(() => {
+        getReminderSettings().then(setSettings);
+        // Only prompt when a reminder is switched on
+        hasReminderPermission().then(setPermissionGranted);
+        canScheduleExactAlarms().then(setExactAlarms);
+        isGeofenceWatchEnabled().then(setExitDetection);
+        getSavedEmployee().then(setEmployee);
+    }, []);
+
+    const startKioskMode = () => {
+        if (!isValidPin(kioskPin)) {
+            Alert.alert('Invalid PIN', `The PIN must be ${MIN_PIN_LENGTH}-${MAX_PIN_LENGTH} digits.`);
+            return;
+        }
+        if (kioskPin !== kioskPinConfirm) {
+            Alert.alert('PINs Don\'t Match', 'Please enter the same PIN twice.');
+            return;
+        }
+
+        Alert.alert(
+            'Start Kiosk Mode',
+            'You will be signed out and this device will become a shared attendance tablet. The PIN is needed to exit.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Start Kiosk',
+                    onPress: async () => {
+                        try {
+                            await enableKioskMode(kioskPin, {
+                                branchId: employee?.branchId || null,
+                                enabledBy: employee?.employeeId || null,
+                            });
+                            // The manager's own session must not stay on a shared device
+                            await clearSession();
+                            await clearHistoryCache();
+                            await cancelReminders();
+                            navigation.reset({
+                                index: 0,
+                                routes: [{ name: 'Attendance' }],
+                            });
+                        } catch (error) {
+                            console.error('Error enabling kiosk mode:', error);
+                            Alert.alert('Error', 'Failed to start kiosk mode');
+                        }
+                    },
+                },
+            ],
+        );
+    };
+
+    const updateExitDetection = async (enabled) => {
+        setExitDetection(enabled);
+        await setGeofenceWatchEnabled(enabled);
+    };
+
+    const updateSettings = async (changes) => {
+        setSettings(current => ({ ...current, ...changes }));
+        if (Object.values(changes).includes(true)) {
+            setPermissionGranted(await requestReminderPermission());
+        }
+        setSettings(await saveReminderSettings(changes));
+    };
+
+    const renderOptions = (options, selected, key, formatLabel) => (
+        <View style={styles.options}>
+            {options.map(option => (
+                <TouchableOpacity
+                    key={option}
+                    style={[styles.optionChip, selected === option && styles.optionChipActive]}
+                    onPress={() => updateSettings({ [key]: option })}>
+                    <Text style={[styles.optionText, selected === option && styles.optionTextActive]}>
+                        {formatLabel(option)}
+                    </Text>
+                </TouchableOpacity>
+            ))}
+        </View>
+    );
+
+    const renderReminder = ({ title, description, enabledKey, children }) => (
+        <View style={styles.card}>
+            <View style={styles.cardHeader}>
+                <View style={styles.cardTitles}>
+                    <Text style={styles.cardTitle}>{title}</Text>
+                    <Text style={styles.cardDescription}>{description}</Text>
+                </View>
+                <Switch
+                    value={settings[enabledKey]}
+                    onValueChange={value => updateSettings({ [enabledKey]: value })}
+                    trackColor={{ true: '#FF6B35' }}
+                />
+            </View>
+            {settings[enabledKey] && children}
+        </View>
+    );
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Text style={styles.backText}>← Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.title}>Settings</Text>
+            </View>
+
+            {!settings ? (
+                <ActivityIndicator size="large" color="#FF6B35" style={styles.loader} />
+            ) : (
+                <ScrollView contentContainerStyle={styles.content}>
+                    {!permissionGranted && (
+                        <Text style={styles.permissionNotice}>
+                            Notifications are turned off for this app. Enable them in system settings to receive reminders.
+                        </Text>
+                    )}
+                    {permissionGranted && !exactAlarms && (
+                        <TouchableOpacity onPress={openExactAlarmSettings}>
+                            <Text style={styles.permissionNotice}>
+                                Reminders may arrive a few minutes late. Tap to allow alarms and reminders.
+                            </Text>
+                        </TouchableOpacity>
+                    )}
+
+                    {renderReminder({
+                        title: 'Before shift start',
+                        description: 'Reminds you to check in before your shift begins',
+                        enabledKey: 'shiftStartEnabled',
+                        children: renderOptions(
+                            LEAD_OPTIONS,
+                            settings.shiftStartLeadMinutes,
+                            'shiftStartLeadMinutes',
+                            minutes => `${minutes} min before`,
+                        ),
+                    })}
+
+                    {renderReminder({
+                        title: 'Still checked in?',
+                        description: 'Nudges you to check out after your shift ends',
+                        enabledKey: 'checkOutNudgeEnabled',
+                        children: renderOptions(
+                            NUDGE_OPTIONS,
+                            settings.checkOutNudgeDelayMinutes,
+                            'checkOutNudgeDelayMinutes',
+                            minutes => (minutes >= 60 ? `${minutes / 60}h after` : `${minutes} min after`),
+                        ),
+                    })}
+
+                    {renderReminder({
+                        title: 'End of day',
+                        description: 'Alerts you if your session is still open late in the day',
+                        enabledKey: 'endOfDayEnabled',
+                        children: renderOptions(
+                            END_OF_DAY_OPTIONS,
+                            settings.endOfDayTime,
+                            'endOfDayTime',
+                            formatShiftTime,
+                        ),
+                    })}
+
+                    <View style={styles.card}>
+                        <View style={styles.cardHeader}>
+                            <View style={styles.cardTitles}>
+                                <Text style={styles.cardTitle}>Leaving the premises</Text>
+                                <Text style={styles.cardDescription}>
+                                    While checked in, asks you to check out when you leave the branch. Uses GPS while the app is open.
+                                </Text>
+                            </View>
+                            <Switch
+                                value={exitDetection}
+                                onValueChange={updateExitDetection}
+                                trackColor={{ true: '#FF6B35' }}
+                            />
+                        </View>
+                    </View>
+
+                    {isManager(employee) && (
+                        <View style={styles.card}>
+                            <View style={styles.cardTitles}>
+                                <Text style={styles.cardTitle}>Kiosk mode</Text>
+                                <Text style={styles.cardDescription}>
+                                    Turns this device into a shared attendance tablet for the branch entrance. Nobody stays signed in and an admin PIN is needed to exit.
+                                </Text>
+                            </View>
+                            {kioskSetup ? (
+                                <>
+                                    <TextInput
+                                        style={styles.pinInput}
+                                        value={kioskPin}
+                                        onChangeText={value => setKioskPin(value.replace(/\D/g, ''))}
+                                        placeholder={`Admin PIN (${MIN_PIN_LENGTH}-${MAX_PIN_LENGTH} digits)`}
+                                        placeholderTextColor="#999"
+                                        keyboardType="number-pad"
+                                        secureTextEntry
+                                        maxLength={MAX_PIN_LENGTH}
+                                    />
+                                    <TextInput
+                                        style={styles.pinInput}
+                                        value={kioskPinConfirm}
+                                        onChangeText={value => setKioskPinConfirm(value.replace(/\D/g, ''))}
+                                        placeholder="Confirm PIN"
+                                        placeholderTextColor="#999"
+                                        keyboardType="number-pad"
+                                        secureTextEntry
+                                        maxLength={MAX_PIN_LENGTH}
+                                    />
+                                    <TouchableOpacity style={styles.kioskButton} onPress={startKioskMode}>
+                                        <Text style={styles.kioskButtonText}>Start Kiosk</Text>
+                                    </TouchableOpacity>
+                                </>
+                            ) : (
+                                <TouchableOpacity style={styles.kioskButton} onPress={() => setKioskSetup(true)}>
+                                    <Text style={styles.kioskButtonText}>Set Up Kiosk</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                    )}
+                </ScrollView>
+            )}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    header: {
+        backgroundColor: '#FF6B35',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomLeftRadius: 24,
+        borderBottomRightRadius: 24,
+    },
+    backButton: {
+        marginBottom: 8,
+    },
+    backText: {
+        color: '#fff',
+        fontSize: 16,
+    },
+    title: {
+        color: '#fff',
+        fontSize: 24,
+        fontWeight: 'bold',
+    },
+    loader: {
+        marginTop: 80,
+    },
+    content: {
+        padding: 16,
+    },
+    permissionNotice: {
+        fontSize: 13,
+        color: '#f44336',
+        textAlign: 'center',
+        marginBottom: 16,
+    },
+    card: {
+        backgroundColor: '#fff',
+        padding: 20,
+        borderRadius: 16,
+        marginBottom: 16,
+        elevation: 2,
+    },
+    cardHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    cardTitles: {
+        flex: 1,
+        marginRight: 12,
+    },
+    cardTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+    },
+    cardDescription: {
+        fontSize: 12,
+        color: '#999',
+        marginTop: 4,
+    },
+    options: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginTop: 16,
+    },
+    optionChip: {
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 16,
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+    },
+    optionChipActive: {
+        backgroundColor: '#FF6B35',
+        borderColor: '#FF6B35',
+    },
+    optionText: {
+        fontSize: 13,
+        color: '#666',
+    },
+    optionTextActive: {
+        color: '#fff',
+        fontWeight: '600',
+    },
+    pinInput: {
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+        borderRadius: 12,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        marginTop: 12,
+        fontSize: 14,
+        color: '#333',
+    },
+    kioskButton: {
+        backgroundColor: '#FF6B35',
+        padding: 14,
+        borderRadius: 12,
+        alignItems: 'center',
+        marginTop: 16,
+    },
+    kioskButtonText: {
+        color: '#fff',
+        fontSize: 15,
+        fontWeight: '600',
+    },
+});
+
+export default SettingsScreen;
@@ -0,0 +1,653 @@
+/**
+ * Team Screen - Manager mode: today's roster, late arrivals and pending
+ * leave/regularization approvals for the manager's team
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    ScrollView,
+    RefreshControl,
+    TextInput,
+    Image,
+    ActivityIndicator,
+    Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+    getTeamRoster,
+    getTeamLeaveRequests,
+    getTeamRegularizationRequests,
+    reviewLeaveRequest,
+    reviewRegularizationRequest,
+} from '../services/api';
+import { getSavedEmployee, formatMinutes } from '../utils/session';
+import { getBranchTimezone } from '../utils/datetime';
+import {
+    TEAM_STATUS,
+    isManager,
+    isCheckedInNow,
+    getLateMinutes,
+    summarizeTeam,
+    sortRoster,
+} from '../utils/team';
+
+const STATUS_LABELS = {
+    [TEAM_STATUS.CHECKED_IN]: 'In',
+    [TEAM_STATUS.ON_BREAK]: 'On break',
+    [TEAM_STATUS.CHECKED_OUT]: 'Out',
+    [TEAM_STATUS.NOT_CHECKED_IN]: 'Not in',
+    [TEAM_STATUS.ABSENT]: 'Absent',
+    [TEAM_STATUS.ON_LEAVE]: 'On leave',
+};
+
+const STATUS_COLORS = {
+    [TEAM_STATUS.CHECKED_IN]: '#4CAF50',
+    [TEAM_STATUS.ON_BREAK]: '#2196F3',
+    [TEAM_STATUS.CHECKED_OUT]: '#666',
+    [TEAM_STATUS.NOT_CHECKED_IN]: '#FF9800',
+    [TEAM_STATUS.ABSENT]: '#8E24AA',
+    [TEAM_STATUS.ON_LEAVE]: '#00897B',
+};
+
+const ROSTER_FILTERS = [
+    { key: 'all', label: 'All' },
+    { key: 'in', label: 'In Now' },
+    { key: 'late', label: 'Late' },
+    { key: 'not-in', label: 'Not In' },
+];
+
+const formatDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+    });
+};
+
+const TeamScreen = ({ route, navigation }) => {
+    const [employee, setEmployee] = useState(route.params?.employee || null);
+    const [tab, setTab] = useState(route.params?.tab || 'roster');
+    const [filter, setFilter] = useState('all');
+    const [team, setTeam] = useState([]);
+    const [leaveRequests, setLeaveRequests] = useState([]);
+    const [regularizations, setRegularizations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [error, setError] = useState(null);
+    const [reviewingId, setReviewingId] = useState(null);
+    // Request being rejected, waiting for the optional note
+    const [rejectingId, setRejectingId] = useState(null);
+    const [rejectNote, setRejectNote] = useState('');
+
+    const timeZone = getBranchTimezone(employee);
+
+    useEffect(() => {
+        if (!employee) {
+            getSavedEmployee().then(savedEmployee => {
+                if (savedEmployee) {
+                    setEmployee(savedEmployee);
+                } else {
+                    navigation.goBack();
+                }
+            });
+        } else if (!isManager(employee)) {
+            Alert.alert('Not Available', 'Team view is only available to managers.');
+            navigation.goBack();
+        }
+    }, [employee, navigation]);
+
+    const loadTeam = useCallback(async () => {
+        if (!employee?.employeeId || !isManager(employee)) return;
+
+        setError(null);
+        try {
+            const [rosterResponse, leaveResponse, regularizationResponse] = await Promise.all([
+                getTeamRoster(employee.employeeId),
+                getTeamLeaveRequests(employee.employeeId, { status: 'pending' }),
+                getTeamRegularizationRequests(employee.employeeId, { status: 'pending' }),
+            ]);
+            setTeam(rosterResponse.success ? rosterResponse.team || [] : []);
+            setLeaveRequests(leaveResponse.success ? leaveResponse.requests || [] : []);
+            setRegularizations(regularizationResponse.success ? regularizationResponse.requests || [] : []);
+        } catch (loadError) {
+            console.error('Error loading team:', loadError);
+            setError('Could not load your team');
+        } finally {
+            setLoading(false);
+        }
+    }, [employee]);
+
+    useFocusEffect(
+        useCallback(() => {
+            loadTeam();
+        }, [loadTeam]),
+    );
+
+    const onRefresh = async () => {
+        setRefreshing(true);
+        await loadTeam();
+        setRefreshing(false);
+    };
+
+    const formatTime = (isoString) => {
+        if (!isoString) return '--:--';
+        return new Date(isoString).toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZone,
+        });
+    };
+
+    const submitReview = async (kind, request, decision, note = '') => {
+        setReviewingId(request.requestId);
+        try {
+            const review = { decision, note: note.trim() || undefined };
+            const response = kind === 'leave'
+                ? await reviewLeaveRequest(employee.employeeId, request.requestId, review)
+                : await reviewRegularizationRequest(employee.employeeId, request.requestId, review);
+            if (!response.success) {
+                Alert.alert('Error', response.message || 'Failed to update the request');
+                return;
+            }
+            // Reviewed requests leave the pending list
+            const removeReviewed = list => list.filter(item => item.requestId !== request.requestId);
+            if (kind === 'leave') {
+                setLeaveRequests(removeReviewed);
+            } else {
+                setRegularizations(removeReviewed);
+            }
+            setRejectingId(null);
+            setRejectNote('');
+        } catch (reviewError) {
+            console.error('Error reviewing request:', reviewError);
+            Alert.alert('Error', reviewError.response?.data?.message || 'Failed to update the request');
+        } finally {
+            setReviewingId(null);
+        }
+    };
+
+    const handleApprove = (kind, request) => {
+        Alert.alert(
+            'Approve Request',
+            `Approve ${request.employeeName || request.employeeId}'s ${kind === 'leave' ? 'leave' : 'attendance correction'}?`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Approve', onPress: () => submitReview(kind, request, 'approved') },
+            ],
+        );
+    };
+
+    const summary = summarizeTeam(team, timeZone);
+    const pendingCount = leaveRequests.length + regularizations.length;
+    const roster = sortRoster(team).filter(member => {
+        switch (filter) {
+            case 'in':
+                return isCheckedInNow(member);
+            case 'late':
+                return getLateMinutes(member, timeZone) > 0;
+            case 'not-in':
+                return member.status === TEAM_STATUS.NOT_CHECKED_IN || member.status === TEAM_STATUS.ABSENT;
+            default:
+                return true;
+        }
+    });
+
+    const renderReviewActions = (kind, request) => {
+        const busy = reviewingId === request.requestId;
+        if (rejectingId === request.requestId) {
+            return (
+                <View style={styles.rejectBox}>
+                    <TextInput
+                        style={styles.noteInput}
+                        value={rejectNote}
+                        onChangeText={setRejectNote}
+                        placeholder="Reason for rejecting (optional)"
+                        placeholderTextColor="#999"
+                        maxLength={200}
+                    />
+                    <View style={styles.reviewButtons}>
+                        <TouchableOpacity
+                            style={[styles.reviewButton, styles.secondaryButton]}
+                            onPress={() => setRejectingId(null)}
+                            disabled={busy}>
+                            <Text style={styles.secondaryText}>Cancel</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.reviewButton, styles.rejectButton]}
+                            onPress={() => submitReview(kind, request, 'rejected', rejectNote)}
+                            disabled={busy}>
+                            {busy ? <ActivityIndicator color="#fff" /> : <Text style={styles.reviewText}>Confirm Reject</Text>}
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            );
+        }
+        return (
+            <View style={styles.reviewButtons}>
+                <TouchableOpacity
+                    style={[styles.reviewButton, styles.rejectButton]}
+                    onPress={() => {
+                        setRejectingId(request.requestId);
+                        setRejectNote('');
+                    }}
+                    disabled={busy}>
+                    <Text style={styles.reviewText}>Reject</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    style={[styles.reviewButton, styles.approveButton]}
+                    onPress={() => handleApprove(kind, request)}
+                    disabled={busy}>
+                    {busy ? <ActivityIndicator color="#fff" /> : <Text style={styles.reviewText}>Approve</Text>}
+                </TouchableOpacity>
+            </View>
+        );
+    };
+
+    const renderRoster = () => (
+        <>
+            {/* Summary */}
+            <View style={styles.summaryRow}>
+                <View style={styles.summaryBox}>
+                    <Text style={[styles.summaryValue, styles.inValue]}>{summary.checkedIn}</Text>
+                    <Text style={styles.summaryLabel}>In Now</Text>
+                </View>
+                <View style={styles.summaryBox}>
+                    <Text style={[styles.summaryValue, styles.lateValue]}>{summary.late}</Text>
+                    <Text style={styles.summaryLabel}>Late</Text>
+                </View>
+                <View style={styles.summaryBox}>
+                    <Text style={styles.summaryValue}>{summary.notIn}</Text>
+                    <Text style={styles.summaryLabel}>Not In</Text>
+                </View>
+                <View style={styles.summaryBox}>
+                    <Text style={[styles.summaryValue, styles.leaveValue]}>{summary.onLeave}</Text>
+                    <Text style={styles.summaryLabel}>On Leave</Text>
+                </View>
+            </View>
+
+            {/* Filters */}
+            <View style={styles.filters}>
+                {ROSTER_FILTERS.map(option => (
+                    <TouchableOpacity
+                        key={option.key}
+                        style={[styles.filterChip, filter === option.key && styles.filterChipActive]}
+                        onPress={() => setFilter(option.key)}>
+                        <Text style={[styles.filterText, filter === option.key && styles.filterTextActive]}>
+                            {option.label}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
+            <View style={styles.card}>
+                {roster.length > 0 ? (
+                    roster.map(member => {
+                        const lateMinutes = getLateMinutes(member, timeZone);
+                        return (
+                            <View key={member.employeeId} style={styles.memberItem}>
+                                <View style={styles.memberInfo}>
+                                    <Text style={styles.memberName}>{member.name || member.employeeId}</Text>
+                                    <Text style={styles.memberDetail}>
+                                        {member.checkInTime
+                                            ? `In ${formatTime(member.checkInTime)}${member.checkOutTime ? ` • Out ${formatTime(member.checkOutTime)}` : ''}`
+                                            : member.department || member.employeeId}
+                                    </Text>
+                                    {lateMinutes > 0 && (
+                                        <Text style={styles.lateText}>Late by {formatMinutes(lateMinutes)}</Text>
+                                    )}
+                                </View>
+                                <View style={[styles.statusBadge, { backgroundColor: STATUS_COLORS[member.status] || '#999' }]}>
+                                    <Text style={styles.statusText}>{STATUS_LABELS[member.status] || member.status}</Text>
+                                </View>
+                            </View>
+                        );
+                    })
+                ) : (
+                    <Text style={styles.emptyText}>
+                        {team.length > 0 ? 'Nobody matches this filter' : 'No team members found'}
+                    </Text>
+                )}
+            </View>
+        </>
+    );
+
+    const renderApprovals = () => (
+        <>
+            <View style={styles.card}>
+                <Text style={styles.sectionTitle}>Leave Requests</Text>
+                {leaveRequests.length > 0 ? (
+                    leaveRequests.map(request => (
+                        <View key={request.requestId} style={styles.requestItem}>
+                            <Text style={styles.memberName}>{request.employeeName || request.employeeId}</Text>
+                            <Text style={styles.requestDetail}>
+                                {request.typeLabel || request.type} • {formatDate(request.fromDate)}
+                                {request.toDate !== request.fromDate ? ` - ${formatDate(request.toDate)}` : ''}
+                                {request.halfDay ? ' (half day)' : ` • ${request.days} ${request.days === 1 ? 'day' : 'days'}`}
+                            </Text>
+                            {request.reason ? <Text style={styles.requestReason}>{request.reason}</Text> : null}
+                            {renderReviewActions('leave', request)}
+                        </View>
+                    ))
+                ) : (
+                    <Text style={styles.emptyText}>No pending leave requests</Text>
+                )}
+            </View>
+
+            <View style={styles.card}>
+                <Text style={styles.sectionTitle}>Attendance Corrections</Text>
+                {regularizations.length > 0 ? (
+                    regularizations.map(request => (
+                        <View key={request.requestId} style={styles.requestItem}>
+                            <Text style={styles.memberName}>{request.employeeName || request.employeeId}</Text>
+                            <Text style={styles.requestDetail}>
+                                {formatDate(request.date)}: {formatTime(request.originalCheckInTime)} - {formatTime(request.originalCheckOutTime)}
+                                {'  →  '}
+                                {formatTime(request.checkInTime)} - {formatTime(request.checkOutTime)}
+                            </Text>
+                            {request.reason ? <Text style={styles.requestReason}>{request.reason}</Text> : null}
+                            {request.evidenceUrl ? (
+                                <Image source={{ uri: request.evidenceUrl }} style={styles.evidenceImage} />
+                            ) : null}
+                            {renderReviewActions('regularization', request)}
+                        </View>
+                    ))
+                ) : (
+                    <Text style={styles.emptyText}>No pending corrections</Text>
+                )}
+            </View>
+        </>
+    );
+
+    return (
+        <View style={styles.container}>
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Text style={styles.backText}>← Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.title}>My Team</Text>
+                <View style={styles.tabs}>
+                    <TouchableOpacity
+                        style={[styles.tab, tab === 'roster' && styles.tabActive]}
+                        onPress={() => setTab('roster')}>
+                        <Text style={[styles.tabText, tab === 'roster' && styles.tabTextActive]}>
+                            Roster ({summary.total})
+                        </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.tab, tab === 'approvals' && styles.tabActive]}
+                        onPress={() => setTab('approvals')}>
+                        <Text style={[styles.tabText, tab === 'approvals' && styles.tabTextActive]}>
+                            Approvals{pendingCount > 0 ? ` (${pendingCount})` : ''}
+                        </Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+
+            {loading ? (
+                <ActivityIndicator size="large" color="#FF6B35" style={styles.loader} />
+            ) : (
+                <ScrollView
+                    contentContainerStyle={styles.content}
+                    keyboardShouldPersistTaps="handled"
+                    refreshControl={
+                        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+                    }>
+                    {error && <Text style={styles.errorText}>{error}</Text>}
+                    {tab === 'roster' ? renderRoster() : renderApprovals()}
+                </ScrollView>
+            )}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    header: {
+        backgroundColor: '#FF6B35',
+        padding: 20,
+        paddingTop: 50,
+        borderBottomLeftRadius: 24,
+        borderBottomRightRadius: 24,
+    },
+    backButton: {
+        marginBottom: 8,
+    },
+    backText: {
+        color: '#fff',
+        fontSize: 16,
+    },
+    title: {
+        color: '#fff',
+        fontSize: 24,
+        fontWeight: 'bold',
+    },
+    tabs: {
+        flexDirection: 'row',
+        marginTop: 16,
+        backgroundColor: 'rgba(255,255,255,0.2)',
+        borderRadius: 12,
+        padding: 4,
+    },
+    tab: {
+        flex: 1,
+        paddingVertical: 8,
+        borderRadius: 8,
+        alignItems: 'center',
+    },
+    tabActive: {
+        backgroundColor: '#fff',
+    },
+    tabText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: '500',
+    },
+    tabTextActive: {
+        color: '#FF6B35',
+        fontWeight: '600',
+    },
+    loader: {
+        marginTop: 80,
+    },
+    content: {
+        padding: 16,
+    },
+    errorText: {
+        fontSize: 13,
+        color: '#f44336',
+        textAlign: 'center',
+        marginBottom: 12,
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        gap: 8,
+        marginBottom: 16,
+    },
+    summaryBox: {
+        flex: 1,
+        backgroundColor: '#fff',
+        paddingVertical: 12,
+        borderRadius: 12,
+        alignItems: 'center',
+        elevation: 2,
+    },
+    summaryValue: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    inValue: {
+        color: '#4CAF50',
+    },
+    lateValue: {
+        color: '#f44336',
+    },
+    leaveValue: {
+        color: '#00897B',
+    },
+    summaryLabel: {
+        fontSize: 11,
+        color: '#666',
+        marginTop: 2,
+    },
+    filters: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 12,
+    },
+    filterChip: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+        backgroundColor: '#fff',
+    },
+    filterChipActive: {
+        backgroundColor: '#FF6B35',
+        borderColor: '#FF6B35',
+    },
+    filterText: {
+        fontSize: 13,
+        color: '#666',
+    },
+    filterTextActive: {
+        color: '#fff',
+        fontWeight: '600',
+    },
+    card: {
+        backgroundColor: '#fff',
+        padding: 20,
+        borderRadius: 16,
+        marginBottom: 16,
+        elevation: 2,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+        marginBottom: 8,
+    },
+    memberItem: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    memberInfo: {
+        flex: 1,
+        marginRight: 12,
+    },
+    memberName: {
+        fontSize: 14,
+        fontWeight: '500',
+        color: '#333',
+    },
+    memberDetail: {
+        fontSize: 12,
+        color: '#999',
+        marginTop: 2,
+    },
+    lateText: {
+        fontSize: 12,
+        color: '#f44336',
+        fontWeight: '500',
+        marginTop: 2,
+    },
+    statusBadge: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 10,
+    },
+    statusText: {
+        color: '#fff',
+        fontSize: 11,
+        fontWeight: '500',
+    },
+    emptyText: {
+        color: '#999',
+        textAlign: 'center',
+        fontStyle: 'italic',
+        marginVertical: 12,
+    },
+    requestItem: {
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    requestDetail: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 2,
+        textTransform: 'capitalize',
+    },
+    requestReason: {
+        fontSize: 12,
+        color: '#999',
+        marginTop: 4,
+    },
+    evidenceImage: {
+        width: 96,
+        height: 96,
+        borderRadius: 8,
+        marginTop: 8,
+        backgroundColor: '#f0f0f0',
+    },
+    reviewButtons: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+        gap: 8,
+        marginTop: 10,
+    },
+    reviewButton: {
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+        borderRadius: 8,
+        minWidth: 90,
+        alignItems: 'center',
+    },
+    approveButton: {
+        backgroundColor: '#4CAF50',
+    },
+    rejectButton: {
+        backgroundColor: '#f44336',
+    },
+    secondaryButton: {
+        backgroundColor: '#f5f5f5',
+    },
+    reviewText: {
+        color: '#fff',
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    secondaryText: {
+        color: '#666',
+        fontSize: 13,
+        fontWeight: '500',
+    },
+    rejectBox: {
+        marginTop: 10,
+    },
+    noteInput: {
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        fontSize: 13,
+        color: '#333',
+    },
+});
+
+export default TeamScreen;
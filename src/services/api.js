@@ -4,6 +4,13 @@
 
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import {
+    getAuthTokens,
+    saveAuthTokens,
+    isTokenExpired,
+    clearSession,
+} from '../utils/session';
 
 // API Base URL - Production Vercel deployment
 const API_BASE_URL = 'https://srm-backend-lake.vercel.app';
@@ -16,11 +23,79 @@ const api = axios.create({
     },
 });
 
+// Remembered face image upload mode ('multipart' or 'json' for older backends)
+const UPLOAD_MODE_KEY = '@srm_upload_mode';
+
+// Try multipart again after this long in case the backend has been upgraded
+const UPLOAD_MODE_RECHECK = 24 * 60 * 60 * 1000;
+
+const authExpiredListeners = new Set();
+let refreshPromise = null;
+let uploadMode = null;
+
+/**
+ * Subscribe to forced logouts (refresh token rejected)
+ * @param {Function} listener - Called when the user must verify their face again
+ * @returns {Function} Unsubscribe
+ */
+export const onAuthExpired = (listener) => {
+    authExpiredListeners.add(listener);
+    return () => authExpiredListeners.delete(listener);
+};
+
+const expireAuth = async () => {
+    await clearSession();
+    authExpiredListeners.forEach((listener) => listener());
+};
+
+/**
+ * Exchange the refresh token for a new access token
+ * Single-flight: concurrent callers share one refresh request
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAuthToken = () => {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const auth = await getAuthTokens();
+            if (!auth?.refreshToken) {
+                throw new Error('No refresh token');
+            }
+
+            // Plain axios so the refresh call skips our interceptors
+            const response = await axios.post(
+                `${API_BASE_URL}/api/auth/refresh`,
+                { refreshToken: auth.refreshToken },
+                { timeout: 30000 },
+            );
+
+            const { token, refreshToken, expiresIn, expiresAt } = response.data;
+            if (!token) {
+                throw new Error('Refresh response did not include a token');
+            }
+            await saveAuthTokens({
+                token,
+                refreshToken: refreshToken || auth.refreshToken,
+                expiresIn,
+                expiresAt,
+            });
+            return token;
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
 // Request interceptor for adding auth token
 api.interceptors.request.use(
     async (config) => {
-        const token = await AsyncStorage.getItem('authToken');
-        if (token) {
+        const auth = await getAuthTokens();
+        if (auth?.token) {
+            let token = auth.token;
+            // Refresh ahead of expiry; on failure send the old token and let the 401 path decide
+            if (isTokenExpired(auth) && auth.refreshToken) {
+                token = await refreshAuthToken().catch(() => auth.token);
+            }
             config.headers.Authorization = `Bearer ${token}`;
         }
         return config;
@@ -33,12 +108,205 @@ api.interceptors.request.use(
 // Response interceptor for error handling
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
+    async (error) => {
+        const { config, response } = error;
+
+        // Access token rejected - refresh once and replay the request
+        if (response?.status === 401 && config && !config._retry) {
+            const auth = await getAuthTokens();
+            if (auth?.refreshToken) {
+                config._retry = true;
+                try {
+                    const token = await refreshAuthToken();
+                    config.headers.Authorization = `Bearer ${token}`;
+                    return api(config);
+                } catch (refreshError) {
+                    // Only force re-verification when the server rejected the refresh,
+                    // not when the network dropped mid-refresh
+                    if (refreshError.response) {
+                        console.log('Token refresh rejected - re-verification required');
+                        await expireAuth();
+                    }
+                }
+            }
+        }
+
         console.error('API Error:', error.response?.data || error.message);
         return Promise.reject(error);
     }
 );
 
+// ==================== IMAGE UPLOAD ====================
+
+const getUploadMode = async () => {
+    if (!uploadMode) {
+        try {
+            const stored = await AsyncStorage.getItem(UPLOAD_MODE_KEY);
+            uploadMode = stored ? JSON.parse(stored) : { mode: 'multipart', checkedAt: 0 };
+        } catch (error) {
+            console.error('Error reading upload mode:', error);
+            uploadMode = { mode: 'multipart', checkedAt: 0 };
+        }
+    }
+    if (uploadMode.mode === 'json' && Date.now() - uploadMode.checkedAt > UPLOAD_MODE_RECHECK) {
+        return 'multipart';
+    }
+    return uploadMode.mode;
+};
+
+const setUploadMode = async (mode) => {
+    if (uploadMode?.mode === mode && mode === 'multipart') return;
+    uploadMode = { mode, checkedAt: Date.now() };
+    try {
+        await AsyncStorage.setItem(UPLOAD_MODE_KEY, JSON.stringify(uploadMode));
+    } catch (error) {
+        console.error('Error saving upload mode:', error);
+    }
+};
+
+/**
+ * Base64 data URI for an image given as a string or a capture ({ path }),
+ * read from disk only for the JSON upload
+ */
+const toImageBase64 = async (image) => {
+    if (typeof image === 'string') return image;
+    const base64Data = await RNFS.readFile(image.path, 'base64');
+    return `data:image/jpeg;base64,${base64Data}`;
+};
+
+const toProgressHandler = (onUploadProgress) => {
+    if (!onUploadProgress) return undefined;
+    return (event) => {
+        onUploadProgress(event.total ? Math.min(event.loaded / event.total, 1) : 0);
+    };
+};
+
+const appendFields = (formData, fields) => {
+    Object.keys(fields).forEach(key => {
+        const value = fields[key];
+        if (value === undefined || value === null) return;
+        formData.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    });
+};
+
+const postMultipart = (url, fields, images, options) => {
+    const formData = new FormData();
+    appendFields(formData, fields);
+
+    // Stream from disk - the image never passes through JS memory
+    images.forEach(({ image, pose }, index) => {
+        const file = {
+            uri: `file://${image.path.replace(/^file:\/\//, '')}`,
+            type: 'image/jpeg',
+            name: `${pose || 'face'}-${index}.jpg`,
+        };
+        formData.append(options.batch ? 'images' : 'image', file);
+    });
+    if (options.batch) {
+        formData.append('poses', JSON.stringify(images.map(({ pose }) => pose)));
+    }
+
+    return api.post(url, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        onUploadProgress: toProgressHandler(options.onUploadProgress),
+    });
+};
+
+const postJson = async (url, fields, images, options) => {
+    const body = { ...fields };
+    if (options.batch) {
+        body.images = await Promise.all(images.map(async ({ image, pose }) => ({
+            pose,
+            imageBase64: await toImageBase64(image),
+        })));
+    } else {
+        body.imageBase64 = await toImageBase64(images[0].image);
+    }
+
+    return api.post(url, body, {
+        onUploadProgress: toProgressHandler(options.onUploadProgress),
+    });
+};
+
+/**
+ * POST face images as multipart/form-data streamed from the photo files,
+ * falling back to base64 JSON for backends that don't accept multipart (HTTP 415)
+ * @param {string} url - Endpoint
+ * @param {Object} fields - Other body fields (objects are sent as JSON strings in multipart)
+ * @param {Array} images - [{ image, pose }]; image is a capture ({ path }) or a base64 string
+ * @param {Object} options - { batch, onUploadProgress(fraction 0-1) }
+ */
+const postFaceImages = async (url, fields, images, options = {}) => {
+    const canStream = images.every(({ image }) => typeof image === 'object' && image?.path);
+
+    if (canStream && (await getUploadMode()) === 'multipart') {
+        try {
+            const response = await postMultipart(url, fields, images, options);
+            await setUploadMode('multipart');
+            return response.data;
+        } catch (error) {
+            if (error.response?.status !== 415) {
+                throw error;
+            }
+            console.log('Backend does not accept multipart uploads - using JSON');
+            await setUploadMode('json');
+        }
+    }
+
+    const response = await postJson(url, fields, images, options);
+    return response.data;
+};
+
+/**
+ * POST fields with an optional evidence photo picked from the camera or gallery,
+ * using the same multipart/JSON negotiation as face uploads
+ * @param {string} url - Endpoint
+ * @param {Object} fields - Other body fields
+ * @param {Object|null} evidence - { uri, type, fileName } from the image picker
+ * @param {Object} options - { onUploadProgress(fraction 0-1) }
+ */
+const postWithEvidence = async (url, fields, evidence, options = {}) => {
+    const onUploadProgress = toProgressHandler(options.onUploadProgress);
+    if (!evidence) {
+        const response = await api.post(url, fields, { onUploadProgress });
+        return response.data;
+    }
+
+    const type = evidence.type || 'image/jpeg';
+    const path = evidence.uri.replace(/^file:\/\//, '');
+
+    if ((await getUploadMode()) === 'multipart') {
+        try {
+            const formData = new FormData();
+            appendFields(formData, fields);
+            formData.append('evidence', {
+                uri: `file://${path}`,
+                type,
+                name: evidence.fileName || 'evidence.jpg',
+            });
+            const response = await api.post(url, formData, {
+                headers: { 'Content-Type': 'multipart/form-data' },
+                onUploadProgress,
+            });
+            await setUploadMode('multipart');
+            return response.data;
+        } catch (error) {
+            if (error.response?.status !== 415) {
+                throw error;
+            }
+            console.log('Backend does not accept multipart uploads - using JSON');
+            await setUploadMode('json');
+        }
+    }
+
+    const base64Data = await RNFS.readFile(path, 'base64');
+    const response = await api.post(url, {
+        ...fields,
+        evidenceBase64: `data:${type};base64,${base64Data}`,
+    }, { onUploadProgress });
+    return response.data;
+};
+
 // ==================== EMPLOYEE ENDPOINTS ====================
 
 /**
@@ -59,6 +327,16 @@ export const getEmployee = async (employeeId) => {
     return response.data;
 };
 
+/**
+ * Get the employee's shift schedule
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Object>} { success, shift: { name, startTime, endTime, graceMinutes, breaks: [{ start, end, label }] } }
+ */
+export const getShiftSchedule = async (employeeId) => {
+    const response = await api.get(`/api/employees/${employeeId}/shift`);
+    return response.data;
+};
+
 // ==================== LOCATION ENDPOINTS ====================
 
 /**
@@ -87,70 +365,288 @@ export const getGeofenceSettings = async () => {
 /**
  * Register face for employee
  * @param {string} employeeId - Employee ID
- * @param {string} imageBase64 - Base64 encoded image
+ * @param {Object|string} image - Capture ({ path }) or base64 encoded image
  * @param {number} latitude - Current latitude
  * @param {number} longitude - Current longitude
+ * @param {Object} options - { onUploadProgress }
  */
-export const registerFace = async (employeeId, imageBase64, latitude, longitude) => {
-    const response = await api.post('/api/face/register', {
-        employeeId,
-        imageBase64,
-        latitude,
-        longitude,
-    });
-    return response.data;
+export const registerFace = async (employeeId, image, latitude, longitude, options = {}) => {
+    return postFaceImages(
+        '/api/face/register',
+        { employeeId, latitude, longitude },
+        [{ image }],
+        options,
+    );
+};
+
+/**
+ * Register several face angles for an employee in one call
+ * @param {string} employeeId - Employee ID
+ * @param {Array} images - [{ pose, image }] with image as for registerFace
+ * @param {number} latitude - Current latitude
+ * @param {number} longitude - Current longitude
+ * @param {Object} options - { onUploadProgress }
+ * @returns {Promise<Object>} { success, results: [{ pose, confidence, accepted, message }] }
+ */
+export const registerFaceBatch = async (employeeId, images, latitude, longitude, options = {}) => {
+    return postFaceImages(
+        '/api/face/register-batch',
+        { employeeId, latitude, longitude },
+        images,
+        { ...options, batch: true },
+    );
 };
 
 /**
  * Verify face for attendance
- * @param {string} imageBase64 - Base64 encoded image
+ * @param {Object|string} image - Capture ({ path }) or base64 encoded image
  * @param {number} latitude - Current latitude
  * @param {number} longitude - Current longitude
+ * @param {Object} options - { onUploadProgress }
  */
-export const verifyFace = async (imageBase64, latitude, longitude) => {
-    const response = await api.post('/api/face/verify', {
-        imageBase64,
-        latitude,
-        longitude,
-    });
-    return response.data;
+export const verifyFace = async (image, latitude, longitude, options = {}) => {
+    return postFaceImages(
+        '/api/face/verify',
+        { latitude, longitude },
+        [{ image }],
+        options,
+    );
 };
 
 // ==================== ATTENDANCE ENDPOINTS ====================
 
 /**
  * Check-in attendance with face verification
- * @param {string} imageBase64 - Base64 encoded image
+ * @param {Object|string} image - Capture ({ path }) or base64 encoded image
  * @param {number} latitude - Current latitude
  * @param {number} longitude - Current longitude
+ * @param {Object} details - Extra punch metadata (e.g. deviceTimestamp for offline punches)
+ * @param {Object} options - { onUploadProgress }
  */
-export const checkIn = async (imageBase64, latitude, longitude) => {
-    const response = await api.post('/api/attendance/check-in', {
-        imageBase64,
-        latitude,
-        longitude,
+export const checkIn = async (image, latitude, longitude, details = {}, options = {}) => {
+    return postFaceImages(
+        '/api/attendance/check-in',
+        { ...details, latitude, longitude },
+        [{ image }],
+        options,
+    );
+};
+
+/**
+ * Check-out attendance
+ * @param {Object|string} image - Capture ({ path }) or base64 encoded image
+ * @param {number} latitude - Current latitude
+ * @param {number} longitude - Current longitude
+ * @param {Object} details - Extra punch metadata (geo-fence verdict, outsidePremises, ...)
+ * @param {Object} options - { onUploadProgress }
+ */
+export const checkOut = async (image, latitude, longitude, details = {}, options = {}) => {
+    return postFaceImages(
+        '/api/attendance/check-out',
+        { ...details, latitude, longitude },
+        [{ image }],
+        options,
+    );
+};
+
+/**
+ * Start a break (lunch, tea, prayer) within the current session
+ * @param {Object|string} image - Capture ({ path }) or base64 encoded image
+ * @param {number} latitude - Current latitude
+ * @param {number} longitude - Current longitude
+ * @param {Object} details - Punch metadata including `breakType`
+ * @param {Object} options - { onUploadProgress }
+ */
+export const startBreak = async (image, latitude, longitude, details = {}, options = {}) => {
+    return postFaceImages(
+        '/api/attendance/break-start',
+        { ...details, latitude, longitude },
+        [{ image }],
+        options,
+    );
+};
+
+/**
+ * End the break in progress
+ * @param {Object|string} image - Capture ({ path }) or base64 encoded image
+ * @param {number} latitude - Current latitude
+ * @param {number} longitude - Current longitude
+ * @param {Object} details - Punch metadata (`breakType`, `breakMinutes`, `overrunMinutes`)
+ * @param {Object} options - { onUploadProgress }
+ */
+export const endBreak = async (image, latitude, longitude, details = {}, options = {}) => {
+    return postFaceImages(
+        '/api/attendance/break-end',
+        { ...details, latitude, longitude },
+        [{ image }],
+        options,
+    );
+};
+
+/**
+ * Get attendance history for employee
+ * @param {string} employeeId - Employee ID
+ * @param {number} limit - Number of records to fetch
+ * @param {Object} options - { from, to } date range (YYYY-MM-DD) and `cursor` for the next page
+ * @returns {Promise<Object>} { success, history, nextCursor }
+ */
+export const getAttendanceHistory = async (employeeId, limit = 30, options = {}) => {
+    const { from, to, cursor } = options;
+    const response = await api.get(`/api/attendance/${employeeId}`, {
+        params: { limit, from, to, cursor },
     });
     return response.data;
 };
 
 /**
- * Check-out attendance
- * @param {string} imageBase64 - Base64 encoded image
+ * Get leave balances by leave type
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Object>} { success, balances: [{ type, label, total, used, pending, remaining }] }
  */
-export const checkOut = async (imageBase64) => {
-    const response = await api.post('/api/attendance/check-out', {
-        imageBase64,
+export const getLeaveBalances = async (employeeId) => {
+    const response = await api.get(`/api/leave/${employeeId}/balances`);
+    return response.data;
+};
+
+/**
+ * Get leave requests for employee, newest first
+ * @param {string} employeeId - Employee ID
+ * @param {Object} options - { status, from, to } filters (YYYY-MM-DD dates)
+ * @returns {Promise<Object>} { success, requests: [{ requestId, type, fromDate, toDate, halfDay, days, reason, status, reviewerNote }] }
+ */
+export const getLeaveRequests = async (employeeId, options = {}) => {
+    const { status, from, to } = options;
+    const response = await api.get(`/api/leave/${employeeId}/requests`, {
+        params: { status, from, to },
     });
     return response.data;
 };
 
 /**
- * Get attendance history for employee
+ * Apply for leave
  * @param {string} employeeId - Employee ID
- * @param {number} limit - Number of records to fetch
+ * @param {Object} leave - { type, fromDate, toDate, halfDay, reason }
+ * @returns {Promise<Object>} { success, request, message }
+ */
+export const applyLeave = async (employeeId, leave) => {
+    const response = await api.post(`/api/leave/${employeeId}/requests`, leave);
+    return response.data;
+};
+
+/**
+ * Cancel a leave request that is still pending
+ * @param {string} employeeId - Employee ID
+ * @param {string} requestId - Leave request ID
+ */
+export const cancelLeaveRequest = async (employeeId, requestId) => {
+    const response = await api.post(`/api/leave/${employeeId}/requests/${requestId}/cancel`);
+    return response.data;
+};
+
+/**
+ * Get attendance regularization (correction) requests for employee, newest first
+ * @param {string} employeeId - Employee ID
+ * @param {Object} options - { status, from, to } filters (YYYY-MM-DD dates)
+ * @returns {Promise<Object>} { success, requests: [{ requestId, attendanceId, date, checkInTime, checkOutTime, originalCheckInTime, originalCheckOutTime, reason, evidenceUrl, status, reviewerNote }] }
+ */
+export const getRegularizationRequests = async (employeeId, options = {}) => {
+    const { status, from, to } = options;
+    const response = await api.get(`/api/attendance/${employeeId}/regularizations`, {
+        params: { status, from, to },
+    });
+    return response.data;
+};
+
+/**
+ * Request a corrected check-in/check-out time for an attendance record
+ * @param {string} employeeId - Employee ID
+ * @param {Object} correction - { attendanceId, date, checkInTime, checkOutTime, reason }
+ * @param {Object|null} evidence - Optional photo { uri, type, fileName } from the image picker
+ * @param {Object} options - { onUploadProgress }
+ * @returns {Promise<Object>} { success, request, message }
+ */
+export const requestRegularization = async (employeeId, correction, evidence = null, options = {}) => {
+    return postWithEvidence(
+        `/api/attendance/${employeeId}/regularizations`,
+        correction,
+        evidence,
+        options,
+    );
+};
+
+/**
+ * Cancel a regularization request that is still pending
+ * @param {string} employeeId - Employee ID
+ * @param {string} requestId - Regularization request ID
+ */
+export const cancelRegularizationRequest = async (employeeId, requestId) => {
+    const response = await api.post(`/api/attendance/${employeeId}/regularizations/${requestId}/cancel`);
+    return response.data;
+};
+
+// ==================== MANAGER ENDPOINTS ====================
+
+/**
+ * Today's roster for the manager's team
+ * @param {string} managerId - Employee ID of the manager
+ * @param {Object} options - { date } business date (YYYY-MM-DD), defaults to today on the server
+ * @returns {Promise<Object>} { success, team: [{ employeeId, name, department, status, checkInTime, checkOutTime, breakType, lateMinutes, shift }] }
+ */
+export const getTeamRoster = async (managerId, options = {}) => {
+    const { date } = options;
+    const response = await api.get(`/api/manager/${managerId}/team`, {
+        params: { date },
+    });
+    return response.data;
+};
+
+/**
+ * Leave requests from the manager's team
+ * @param {string} managerId - Employee ID of the manager
+ * @param {Object} options - { status } filter
+ * @returns {Promise<Object>} { success, requests: [{ requestId, employeeId, employeeName, type, fromDate, toDate, halfDay, days, reason, status }] }
+ */
+export const getTeamLeaveRequests = async (managerId, options = {}) => {
+    const { status } = options;
+    const response = await api.get(`/api/manager/${managerId}/leave-requests`, {
+        params: { status },
+    });
+    return response.data;
+};
+
+/**
+ * Regularization requests from the manager's team
+ * @param {string} managerId - Employee ID of the manager
+ * @param {Object} options - { status } filter
+ * @returns {Promise<Object>} { success, requests: [{ requestId, employeeId, employeeName, date, checkInTime, checkOutTime, originalCheckInTime, originalCheckOutTime, reason, evidenceUrl, status }] }
+ */
+export const getTeamRegularizationRequests = async (managerId, options = {}) => {
+    const { status } = options;
+    const response = await api.get(`/api/manager/${managerId}/regularizations`, {
+        params: { status },
+    });
+    return response.data;
+};
+
+/**
+ * Approve or reject a team member's leave request
+ * @param {string} managerId - Employee ID of the manager
+ * @param {string} requestId - Leave request ID
+ * @param {Object} review - { decision: 'approved' | 'rejected', note }
+ */
+export const reviewLeaveRequest = async (managerId, requestId, review) => {
+    const response = await api.post(`/api/manager/${managerId}/leave-requests/${requestId}/review`, review);
+    return response.data;
+};
+
+/**
+ * Approve or reject a team member's regularization request
+ * @param {string} managerId - Employee ID of the manager
+ * @param {string} requestId - Regularization request ID
+ * @param {Object} review - { decision: 'approved' | 'rejected', note }
  */
-export const getAttendanceHistory = async (employeeId, limit = 30) => {
-    const response = await api.get(`/api/attendance/${employeeId}?limit=${limit}`);
+export const reviewRegularizationRequest = async (managerId, requestId, review) => {
+    const response = await api.post(`/api/manager/${managerId}/regularizations/${requestId}/review`, review);
     return response.data;
 };
 
@@ -0,0 +1,158 @@
+/**
+ * Attendance History Cache for SRM Sweets Mobile App
+ * Keeps fetched history pages in AsyncStorage so paging back through past
+ * months doesn't refetch everything, and shows cached pages when offline
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getAttendanceHistory } from './api';
+import { toBusinessDateKey } from '../utils/datetime';
+
+// Storage key prefix (one entry per employee)
+const HISTORY_CACHE_PREFIX = '@srm_history_cache_';
+
+// Pages that can still change (no end date, or ending today or later)
+const RECENT_PAGE_TTL = 5 * 60 * 1000;
+
+// Pages entirely in the past only change through regularization
+const PAST_PAGE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Oldest pages are dropped beyond this many per employee
+const MAX_CACHED_PAGES = 60;
+
+// Page size when loading a whole date range
+const RANGE_PAGE_SIZE = 50;
+
+const memoryCache = {};
+
+const getStorageKey = (employeeId) => `${HISTORY_CACHE_PREFIX}${employeeId}`;
+
+const getPageKey = ({ limit, from, to, cursor }) => {
+    return [limit, from || '', to || '', cursor || ''].join('|');
+};
+
+const isFresh = (entry, query) => {
+    const isPast = !!query.to && query.to < toBusinessDateKey();
+    const ttl = isPast ? PAST_PAGE_TTL : RECENT_PAGE_TTL;
+    return Date.now() - entry.fetchedAt < ttl;
+};
+
+const loadCache = async (employeeId) => {
+    if (!memoryCache[employeeId]) {
+        try {
+            const cached = await AsyncStorage.getItem(getStorageKey(employeeId));
+            memoryCache[employeeId] = cached ? JSON.parse(cached) : {};
+        } catch (error) {
+            console.error('Error reading history cache:', error);
+            memoryCache[employeeId] = {};
+        }
+    }
+    return memoryCache[employeeId];
+};
+
+const saveCache = async (employeeId, pages) => {
+    // Keep the most recently fetched pages
+    const keys = Object.keys(pages).sort((a, b) => pages[b].fetchedAt - pages[a].fetchedAt);
+    keys.slice(MAX_CACHED_PAGES).forEach(key => delete pages[key]);
+
+    memoryCache[employeeId] = pages;
+    try {
+        await AsyncStorage.setItem(getStorageKey(employeeId), JSON.stringify(pages));
+    } catch (error) {
+        console.error('Error saving history cache:', error);
+    }
+};
+
+/**
+ * Fetch one page of attendance history, served from the cache while fresh
+ * @param {string} employeeId - Employee ID
+ * @param {Object} query - { limit, from, to, cursor } as for getAttendanceHistory
+ * @param {Object} options - { forceRefresh: skip the cache (pull to refresh) }
+ * @returns {Promise<Object>} { history, nextCursor, fromCache, stale }
+ */
+export const fetchHistoryPage = async (employeeId, query = {}, options = {}) => {
+    const { limit = 30, from, to, cursor } = query;
+    const pageQuery = { limit, from, to, cursor };
+    const pageKey = getPageKey(pageQuery);
+    const pages = await loadCache(employeeId);
+    const cached = pages[pageKey];
+
+    if (cached && !options.forceRefresh && isFresh(cached, pageQuery)) {
+        return { history: cached.history, nextCursor: cached.nextCursor, fromCache: true, stale: false };
+    }
+
+    try {
+        const response = await getAttendanceHistory(employeeId, limit, { from, to, cursor });
+        if (!response.success) {
+            throw new Error(response.message || 'Failed to load attendance history');
+        }
+
+        const entry = {
+            history: response.history || [],
+            nextCursor: response.nextCursor || null,
+            fetchedAt: Date.now(),
+        };
+        await saveCache(employeeId, { ...pages, [pageKey]: entry });
+        return { history: entry.history, nextCursor: entry.nextCursor, fromCache: false, stale: false };
+    } catch (error) {
+        // Offline or server error - an old page beats an empty screen
+        if (cached) {
+            console.log('History fetch failed, showing cached page');
+            return { history: cached.history, nextCursor: cached.nextCursor, fromCache: true, stale: true };
+        }
+        throw error;
+    }
+};
+
+/**
+ * Fetch every record in a date range by following the cursor to the end (pages are cached)
+ * @param {string} employeeId - Employee ID
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @param {Object} options - { forceRefresh }
+ * @returns {Promise<Array>} Records within the range
+ */
+export const fetchHistoryRange = async (employeeId, { from, to }, options = {}) => {
+    const records = [];
+    // Follow the cursor until the server reports no more; a cursor seen
+    // before would only loop over the same pages again
+    const seenCursors = new Set();
+    let cursor = null;
+    do {
+        const page = await fetchHistoryPage(
+            employeeId,
+            { limit: RANGE_PAGE_SIZE, from, to, cursor },
+            options,
+        );
+        records.push(...page.history);
+        seenCursors.add(cursor);
+        cursor = page.nextCursor;
+    } while (cursor && !seenCursors.has(cursor));
+
+    return records.filter(record => record.date >= from && record.date <= to);
+};
+
+/**
+ * Drop cached history (e.g. on logout, or after a punch changes today's records)
+ * @param {string} employeeId - Employee ID; omit to clear every employee
+ */
+export const clearHistoryCache = async (employeeId = null) => {
+    try {
+        if (employeeId) {
+            delete memoryCache[employeeId];
+            await AsyncStorage.removeItem(getStorageKey(employeeId));
+            return;
+        }
+
+        Object.keys(memoryCache).forEach(key => delete memoryCache[key]);
+        const keys = await AsyncStorage.getAllKeys();
+        await AsyncStorage.multiRemove(keys.filter(key => key.startsWith(HISTORY_CACHE_PREFIX)));
+    } catch (error) {
+        console.error('Error clearing history cache:', error);
+    }
+};
+
+export default {
+    fetchHistoryPage,
+    fetchHistoryRange,
+    clearHistoryCache,
+};
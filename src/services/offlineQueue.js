@@ -0,0 +1,345 @@
+/**
+ * Offline Attendance Outbox for SRM Sweets Mobile App
+ * Persists punches that could not reach the server and replays them in order
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import RNFS from 'react-native-fs';
+import { checkIn, checkOut, startBreak, endBreak } from './api';
+import { saveSession } from '../utils/session';
+import { isKioskMode } from '../utils/kiosk';
+
+// Storage keys
+const OUTBOX_KEY = '@srm_attendance_outbox';
+const FAILED_KEY = '@srm_attendance_failed';
+const OUTBOX_DIR = `${RNFS.DocumentDirectoryPath}/outbox`;
+
+// Retry backoff: 15s doubling up to 15 minutes
+const RETRY_BASE_DELAY = 15 * 1000;
+const RETRY_MAX_DELAY = 15 * 60 * 1000;
+
+// API call for each punch type
+const PUNCH_REQUESTS = {
+    'check-in': checkIn,
+    'check-out': checkOut,
+    'break-start': startBreak,
+    'break-end': endBreak,
+};
+
+const listeners = new Set();
+const failedListeners = new Set();
+let syncPromise = null;
+let retryTimer = null;
+let outboxLock = Promise.resolve();
+
+/**
+ * Whether an API error means the request never reached the server
+ * (no connectivity, DNS failure or timeout) rather than a rejection.
+ * Errors that didn't come from the HTTP client (e.g. a bug) are not retried.
+ */
+export const isNetworkError = (error) => {
+    return !!error?.isAxiosError && !error.response;
+};
+
+/**
+ * Whether a queued punch should stay in the outbox and be retried later:
+ * network errors, server errors (5xx) and rate limiting (429). Other 4xx
+ * responses are final rejections.
+ */
+export const isRetryableError = (error) => {
+    if (isNetworkError(error)) return true;
+    const status = error?.isAxiosError ? error.response?.status : null;
+    return status === 429 || status >= 500;
+};
+
+const readOutbox = async () => {
+    try {
+        const outbox = await AsyncStorage.getItem(OUTBOX_KEY);
+        return outbox ? JSON.parse(outbox) : [];
+    } catch (error) {
+        console.error('Error reading outbox:', error);
+        return [];
+    }
+};
+
+/**
+ * Read-modify-write the outbox, serialized so a punch queued mid-sync isn't lost
+ */
+const updateOutbox = (update) => {
+    const next = outboxLock.then(async () => {
+        const punches = update(await readOutbox());
+        await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(punches));
+        listeners.forEach((listener) => listener(punches));
+        return punches;
+    });
+    outboxLock = next.catch(() => {});
+    return next;
+};
+
+const readFailed = async () => {
+    try {
+        const failed = await AsyncStorage.getItem(FAILED_KEY);
+        return failed ? JSON.parse(failed) : [];
+    } catch (error) {
+        console.error('Error reading failed punches:', error);
+        return [];
+    }
+};
+
+const updateFailed = async (update) => {
+    const failed = update(await readFailed());
+    await AsyncStorage.setItem(FAILED_KEY, JSON.stringify(failed));
+    failedListeners.forEach((listener) => listener(failed));
+    return failed;
+};
+
+const removeOutboxFile = async (path) => {
+    try {
+        if (path && (await RNFS.exists(path))) {
+            await RNFS.unlink(path);
+        }
+    } catch (error) {
+        console.warn('Error removing outbox file:', error);
+    }
+};
+
+const readPunchDetails = async (punch) => {
+    try {
+        if (punch.detailsPath && (await RNFS.exists(punch.detailsPath))) {
+            return JSON.parse(await RNFS.readFile(punch.detailsPath, 'utf8'));
+        }
+    } catch (error) {
+        console.warn('Error reading outbox details:', error);
+    }
+    return {};
+};
+
+const getRetryDelay = (attempts) => {
+    return Math.min(RETRY_BASE_DELAY * 2 ** attempts, RETRY_MAX_DELAY);
+};
+
+/**
+ * Queue a punch for later delivery
+ * The photo is copied into the outbox and the details (which may carry liveness
+ * frames) are written to disk so AsyncStorage only holds small metadata
+ * @param {Object} punch - { type: 'check-in' | 'check-out' | 'break-start' | 'break-end', capture ({ path }), latitude, longitude, details }
+ * @returns {Promise<Object>} The queued punch
+ */
+export const enqueuePunch = async ({ type, capture, latitude, longitude, details = {} }) => {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const imagePath = `${OUTBOX_DIR}/${id}.jpg`;
+    const detailsPath = `${OUTBOX_DIR}/${id}.json`;
+
+    await RNFS.mkdir(OUTBOX_DIR);
+    await RNFS.copyFile(capture.path, imagePath);
+    await RNFS.writeFile(detailsPath, JSON.stringify(details), 'utf8');
+
+    const punch = {
+        id,
+        type,
+        breakType: details.breakType || null,
+        kiosk: !!details.kiosk,
+        imagePath,
+        detailsPath,
+        latitude: latitude ?? null,
+        longitude: longitude ?? null,
+        deviceTimestamp: new Date().toISOString(),
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+    };
+
+    const outbox = await updateOutbox((punches) => [...punches, punch]);
+    console.log(`Punch queued offline: ${type} (${outbox.length} pending)`);
+    return punch;
+};
+
+/**
+ * Get punches waiting to be synced (oldest first)
+ */
+export const getPendingPunches = async () => {
+    return readOutbox();
+};
+
+/**
+ * Subscribe to outbox changes
+ * @param {Function} listener - Called with the pending punches whenever they change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeOutbox = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Get queued punches the server rejected, kept until the employee dismisses them
+ */
+export const getFailedPunches = async () => {
+    return readFailed();
+};
+
+/**
+ * Subscribe to changes in the rejected punches
+ * @param {Function} listener - Called with the failed punches whenever they change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeFailedPunches = (listener) => {
+    failedListeners.add(listener);
+    return () => failedListeners.delete(listener);
+};
+
+/**
+ * Remove a rejected punch once the employee has seen it
+ * @param {string} id - Punch ID
+ */
+export const dismissFailedPunch = async (id) => {
+    return updateFailed((failed) => failed.filter((item) => item.id !== id));
+};
+
+const sendPunch = async (punch) => {
+    const request = PUNCH_REQUESTS[punch.type];
+    if (!request) {
+        throw new Error(`Unknown punch type: ${punch.type}`);
+    }
+    if (!(await RNFS.exists(punch.imagePath))) {
+        const error = new Error('Captured photo is no longer available');
+        error.imageMissing = true;
+        throw error;
+    }
+
+    // Uploaded straight from the outbox file
+    const image = { path: punch.imagePath };
+    const details = {
+        ...(await readPunchDetails(punch)),
+        deviceTimestamp: punch.deviceTimestamp,
+        queuedOffline: true,
+    };
+
+    return request(image, punch.latitude, punch.longitude, details);
+};
+
+const scheduleRetry = (punches) => {
+    if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+    }
+    if (punches.length === 0) return;
+
+    const delay = Math.max(punches[0].nextAttemptAt - Date.now(), 1000);
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        syncPendingPunches();
+    }, delay);
+};
+
+const runSync = async ({ force }) => {
+    const result = { synced: [], rejected: [] };
+    let outbox = await readOutbox();
+
+    // Replay strictly in order; stop at the first punch that still can't be delivered
+    while (outbox.length > 0) {
+        const punch = outbox[0];
+        if (!force && punch.nextAttemptAt > Date.now()) break;
+
+        try {
+            const response = await sendPunch(punch);
+
+            // Shared kiosk tablets never keep a personal session
+            if (
+                punch.type === 'check-in' && response.success && response.employee &&
+                !punch.kiosk && !(await isKioskMode())
+            ) {
+                await saveSession(response.employee, response.auth);
+            }
+            result.synced.push({ ...punch, response });
+        } catch (error) {
+            if (isRetryableError(error) && !error.imageMissing) {
+                const attempts = punch.attempts + 1;
+                outbox = await updateOutbox((punches) =>
+                    punches.map((item) =>
+                        item.id === punch.id
+                            ? {
+                                ...item,
+                                attempts,
+                                nextAttemptAt: Date.now() + getRetryDelay(attempts),
+                                lastError: error.message,
+                            }
+                            : item,
+                    ),
+                );
+                break;
+            }
+
+            // Server rejected the punch (e.g. face not recognized) - retrying won't help.
+            // Keep a record so the employee sees it even when no one pressed "Sync now".
+            const failed = {
+                id: punch.id,
+                type: punch.type,
+                breakType: punch.breakType,
+                deviceTimestamp: punch.deviceTimestamp,
+                failedAt: new Date().toISOString(),
+                message: error.response?.data?.message || error.message || 'Punch rejected by server',
+            };
+            result.rejected.push({ ...punch, message: failed.message });
+            await updateFailed((items) => [...items, failed]);
+        }
+
+        await removeOutboxFile(punch.imagePath);
+        await removeOutboxFile(punch.detailsPath);
+        outbox = await updateOutbox((punches) => punches.filter((item) => item.id !== punch.id));
+    }
+
+    scheduleRetry(outbox);
+    return { ...result, pending: outbox.length };
+};
+
+/**
+ * Replay queued punches in order with exponential backoff
+ * Concurrent calls share the same in-flight sync
+ * @param {Object} options - { force: ignore backoff (manual "Sync now") }
+ * @returns {Promise<Object>} { synced, rejected, pending }
+ */
+export const syncPendingPunches = (options = {}) => {
+    if (!syncPromise) {
+        syncPromise = runSync({ force: !!options.force }).finally(() => {
+            syncPromise = null;
+        });
+    }
+    return syncPromise;
+};
+
+/**
+ * Start background sync: replays the outbox now and whenever connectivity returns
+ * @returns {Function} Stop listening
+ */
+export const startOutboxSync = () => {
+    const unsubscribe = NetInfo.addEventListener((state) => {
+        if (state.isConnected && state.isInternetReachable !== false) {
+            syncPendingPunches({ force: true }).catch((error) =>
+                console.error('Outbox sync error:', error),
+            );
+        }
+    });
+
+    return () => {
+        unsubscribe();
+        if (retryTimer) {
+            clearTimeout(retryTimer);
+            retryTimer = null;
+        }
+    };
+};
+
+export default {
+    isNetworkError,
+    isRetryableError,
+    enqueuePunch,
+    getPendingPunches,
+    subscribeOutbox,
+    getFailedPunches,
+    subscribeFailedPunches,
+    dismissFailedPunch,
+    syncPendingPunches,
+    startOutboxSync,
+};
@@ -0,0 +1,311 @@
+/**
+ * Attendance Reminders for SRM Sweets Mobile App
+ * Schedules local notifications before shift start, after shift end while
+ * still checked in, and at the end of the day if a session is still open
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import notifee, {
+    AndroidImportance,
+    AndroidNotificationSetting,
+    AuthorizationStatus,
+    EventType,
+    TriggerType,
+} from '@notifee/react-native';
+import { getSavedEmployee, getLastPunch, determineNextAction } from '../utils/session';
+import {
+    getCachedShiftSchedule,
+    getShiftWindow,
+    getShiftStatus,
+    parseShiftTime,
+    formatShiftTime,
+} from '../utils/shift';
+import { getBranchTimezone, toBusinessDateKey, addDays } from '../utils/datetime';
+import { getPendingPunches } from './offlineQueue';
+
+const SETTINGS_KEY = '@srm_reminder_settings';
+
+const CHANNEL_ID = 'attendance-reminders';
+
+// One scheduled notification per reminder kind (rescheduling replaces it)
+const REMINDER_IDS = {
+    shiftStart: 'reminder-shift-start',
+    checkOutNudge: 'reminder-checkout-nudge',
+    endOfDay: 'reminder-end-of-day',
+};
+
+export const DEFAULT_REMINDER_SETTINGS = {
+    shiftStartEnabled: true,
+    shiftStartLeadMinutes: 15, // before shift start
+    checkOutNudgeEnabled: true,
+    checkOutNudgeDelayMinutes: 30, // after shift end
+    endOfDayEnabled: true,
+    endOfDayTime: '21:00',
+};
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Get reminder settings (defaults for anything not yet configured)
+ * @returns {Promise<Object>} Reminder settings
+ */
+export const getReminderSettings = async () => {
+    try {
+        const saved = await AsyncStorage.getItem(SETTINGS_KEY);
+        return saved
+            ? { ...DEFAULT_REMINDER_SETTINGS, ...JSON.parse(saved) }
+            : DEFAULT_REMINDER_SETTINGS;
+    } catch (error) {
+        console.error('Error reading reminder settings:', error);
+        return DEFAULT_REMINDER_SETTINGS;
+    }
+};
+
+/**
+ * Save reminder settings and reschedule reminders to match
+ * @param {Object} settings - Settings to change
+ * @returns {Promise<Object>} Saved settings
+ */
+export const saveReminderSettings = async (settings) => {
+    const merged = { ...(await getReminderSettings()), ...settings };
+    try {
+        await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(merged));
+    } catch (error) {
+        console.error('Error saving reminder settings:', error);
+    }
+    await refreshReminders();
+    return merged;
+};
+
+/**
+ * Ask for notification permission
+ * @returns {Promise<boolean>} Whether notifications can be shown
+ */
+export const requestReminderPermission = async () => {
+    try {
+        const { authorizationStatus } = await notifee.requestPermission();
+        return authorizationStatus >= AuthorizationStatus.AUTHORIZED;
+    } catch (error) {
+        console.error('Error requesting notification permission:', error);
+        return false;
+    }
+};
+
+/**
+ * Check notification permission without prompting
+ * @returns {Promise<boolean>} Whether notifications can be shown
+ */
+export const hasReminderPermission = async () => {
+    try {
+        const { authorizationStatus } = await notifee.getNotificationSettings();
+        return authorizationStatus >= AuthorizationStatus.AUTHORIZED;
+    } catch (error) {
+        console.error('Error reading notification permission:', error);
+        return false;
+    }
+};
+
+/**
+ * Cancel every scheduled reminder (e.g. on logout)
+ */
+export const cancelReminders = async () => {
+    try {
+        await notifee.cancelTriggerNotifications(Object.values(REMINDER_IDS));
+    } catch (error) {
+        console.error('Error cancelling reminders:', error);
+    }
+};
+
+// Next shift start far enough ahead for the reminder lead time
+const getNextShiftReminderTime = (shift, leadMinutes, now, timeZone) => {
+    const today = toBusinessDateKey(now, timeZone);
+    for (let dayOffset = 0; dayOffset <= 1; dayOffset++) {
+        const { start } = getShiftWindow(shift, addDays(today, dayOffset), timeZone);
+        const remindAt = new Date(start.getTime() - leadMinutes * MINUTE);
+        if (remindAt > now) {
+            return { remindAt, start };
+        }
+    }
+    return null;
+};
+
+/**
+ * Whether reminders can fire at the exact time; on Android 12+ this needs the
+ * alarms special access, without it reminders may arrive a few minutes late
+ * @returns {Promise<boolean>}
+ */
+export const canScheduleExactAlarms = async () => {
+    try {
+        const { android } = await notifee.getNotificationSettings();
+        return android?.alarm !== AndroidNotificationSetting.DISABLED;
+    } catch (error) {
+        console.error('Error reading alarm settings:', error);
+        return false;
+    }
+};
+
+/**
+ * Open the system screen that grants exact alarm access
+ */
+export const openExactAlarmSettings = async () => {
+    try {
+        await notifee.openAlarmPermissionSettings();
+    } catch (error) {
+        console.error('Error opening alarm settings:', error);
+    }
+};
+
+const scheduleReminder = async (id, timestamp, title, body, mode, exact) => {
+    await notifee.createTriggerNotification(
+        {
+            id,
+            title,
+            body,
+            data: { mode },
+            android: {
+                channelId: CHANNEL_ID,
+                pressAction: { id: 'default' },
+            },
+        },
+        {
+            type: TriggerType.TIMESTAMP,
+            timestamp: timestamp.getTime(),
+            ...(exact ? { alarmManager: { allowWhileIdle: true } } : {}),
+        },
+    );
+};
+
+/**
+ * Schedule reminders for the employee's current state, replacing earlier ones
+ * @param {Object} state - { shift, onShift, timeZone } where onShift means a session is open
+ * @param {Date} now - Current time
+ */
+export const scheduleReminders = async ({ shift = null, onShift = false, timeZone }, now = new Date()) => {
+    await cancelReminders();
+
+    const settings = await getReminderSettings();
+    if (!settings.shiftStartEnabled && !settings.checkOutNudgeEnabled && !settings.endOfDayEnabled) {
+        return;
+    }
+    try {
+        // Reminders are on by default, so ask the first time they are scheduled
+        // (POST_NOTIFICATIONS on Android 13+) rather than only from Settings
+        if (!(await requestReminderPermission())) {
+            console.log('Notification permission denied - reminders not scheduled');
+            return;
+        }
+        const exact = await canScheduleExactAlarms();
+
+        await notifee.createChannel({
+            id: CHANNEL_ID,
+            name: 'Attendance reminders',
+            importance: AndroidImportance.HIGH,
+        });
+
+        if (!onShift && shift && settings.shiftStartEnabled) {
+            const next = getNextShiftReminderTime(shift, settings.shiftStartLeadMinutes, now, timeZone);
+            if (next) {
+                await scheduleReminder(
+                    REMINDER_IDS.shiftStart,
+                    next.remindAt,
+                    '⏰ Shift starting soon',
+                    `${shift.name ? `Your ${shift.name} shift` : 'Your shift'} starts at ${formatShiftTime(shift.startTime)}. Don't forget to check in.`,
+                    'check-in',
+                    exact,
+                );
+            }
+        }
+
+        if (onShift && shift && settings.checkOutNudgeEnabled) {
+            const { window } = getShiftStatus(shift, now, true, timeZone);
+            const nudgeAt = new Date(window.end.getTime() + settings.checkOutNudgeDelayMinutes * MINUTE);
+            if (nudgeAt > now) {
+                await scheduleReminder(
+                    REMINDER_IDS.checkOutNudge,
+                    nudgeAt,
+                    'Still checked in?',
+                    `Your shift ended at ${formatShiftTime(shift.endTime)}. Check out if you have left work.`,
+                    'check-out',
+                    exact,
+                );
+            }
+        }
+
+        if (onShift && settings.endOfDayEnabled) {
+            const endOfDay = parseShiftTime(settings.endOfDayTime, now, timeZone);
+            if (endOfDay > now) {
+                await scheduleReminder(
+                    REMINDER_IDS.endOfDay,
+                    endOfDay,
+                    '🔔 You are still checked in',
+                    'Your attendance session is still open. Check out so your hours are recorded correctly.',
+                    'check-out',
+                    exact,
+                );
+            }
+        }
+    } catch (error) {
+        console.error('Error scheduling reminders:', error);
+    }
+};
+
+/**
+ * Reschedule reminders from the saved employee, cached shift and latest punches
+ * @param {Object} options - { records } recent attendance records when already loaded
+ */
+export const refreshReminders = async ({ records = [] } = {}) => {
+    const employee = await getSavedEmployee();
+    if (!employee?.employeeId) {
+        await cancelReminders();
+        return;
+    }
+
+    const [shift, lastPunch, pendingPunches] = await Promise.all([
+        getCachedShiftSchedule(employee.employeeId),
+        getLastPunch(),
+        getPendingPunches(),
+    ]);
+    const { onShift } = determineNextAction({
+        records,
+        lastPunch,
+        pendingPunches,
+        employeeId: employee.employeeId,
+    });
+    await scheduleReminders({ shift, onShift, timeZone: getBranchTimezone(employee) });
+};
+
+/**
+ * Open the punch screen when a reminder is tapped, including the tap that
+ * launched the app
+ * @param {Function} callback - Called with the suggested mode ('check-in' | 'check-out')
+ * @returns {Function} Unsubscribe function
+ */
+export const onReminderPress = (callback) => {
+    notifee.getInitialNotification()
+        .then(initial => {
+            if (initial?.notification?.data?.mode) {
+                callback(initial.notification.data.mode);
+            }
+        })
+        .catch(error => console.error('Error reading initial notification:', error));
+
+    return notifee.onForegroundEvent(({ type, detail }) => {
+        if (type === EventType.PRESS && detail.notification?.data?.mode) {
+            callback(detail.notification.data.mode);
+        }
+    });
+};
+
+export default {
+    DEFAULT_REMINDER_SETTINGS,
+    getReminderSettings,
+    saveReminderSettings,
+    requestReminderPermission,
+    hasReminderPermission,
+    canScheduleExactAlarms,
+    openExactAlarmSettings,
+    cancelReminders,
+    scheduleReminders,
+    refreshReminders,
+    onReminderPress,
+};
@@ -0,0 +1,70 @@
+/**
+ * Break tracking for SRM Sweets Mobile App
+ * Break types with their maximum lengths, and break time within a work session
+ */
+
+export const BREAK_TYPES = {
+    lunch: { label: 'Lunch', icon: '🍱', maxMinutes: 45 },
+    tea: { label: 'Tea', icon: '☕', maxMinutes: 15 },
+    prayer: { label: 'Prayer', icon: '🕌', maxMinutes: 20 },
+};
+
+// Total break time allowed per day across all break types
+export const DAILY_BREAK_LIMIT = 90; // minutes
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Minutes of break within a session; open breaks run until `now`
+ * and every break is clipped to the session window
+ * @param {Array} breaks - [{ type, startTime, endTime }]
+ * @param {Date} sessionStart - Check-in time
+ * @param {Date} sessionEnd - Check-out time (or now for an active session)
+ */
+export const calculateBreakMinutes = (breaks, sessionStart, sessionEnd, now = new Date()) => {
+    return (breaks || []).reduce((total, breakItem) => {
+        if (!breakItem.startTime) return total;
+        const start = Math.max(new Date(breakItem.startTime).getTime(), sessionStart.getTime());
+        const end = Math.min(
+            breakItem.endTime ? new Date(breakItem.endTime).getTime() : now.getTime(),
+            sessionEnd.getTime(),
+        );
+        return end > start ? total + Math.floor((end - start) / MINUTE) : total;
+    }, 0);
+};
+
+/**
+ * Elapsed time and limit for a break in progress
+ * @param {Object} activeBreak - { type, startTime }
+ * @returns {Object} { elapsedMinutes, maxMinutes, remainingMinutes, exceeded, overrunMinutes }
+ */
+export const getBreakStatus = (activeBreak, now = new Date()) => {
+    const elapsedMinutes = Math.max(0, Math.floor((now - new Date(activeBreak.startTime)) / MINUTE));
+    const maxMinutes = BREAK_TYPES[activeBreak.type]?.maxMinutes ?? null;
+
+    if (maxMinutes === null) {
+        return { elapsedMinutes, maxMinutes, remainingMinutes: null, exceeded: false, overrunMinutes: 0 };
+    }
+    return {
+        elapsedMinutes,
+        maxMinutes,
+        remainingMinutes: Math.max(0, maxMinutes - elapsedMinutes),
+        exceeded: elapsedMinutes > maxMinutes,
+        overrunMinutes: Math.max(0, elapsedMinutes - maxMinutes),
+    };
+};
+
+/**
+ * Display label for a break type ("Lunch break")
+ */
+export const getBreakLabel = (type) => {
+    return `${BREAK_TYPES[type]?.label || 'Break'}${BREAK_TYPES[type] ? ' break' : ''}`;
+};
+
+export default {
+    BREAK_TYPES,
+    DAILY_BREAK_LIMIT,
+    calculateBreakMinutes,
+    getBreakStatus,
+    getBreakLabel,
+};
@@ -2,13 +2,26 @@
  * Camera utility functions
  */
 
-import { Platform, PermissionsAndroid } from 'react-native';
+import { Platform, PermissionsAndroid, Dimensions } from 'react-native';
 import {
     PERMISSIONS,
     request,
     check,
     RESULTS,
 } from 'react-native-permissions';
+import ImageEditor from '@react-native-community/image-editor';
+import RNFS from 'react-native-fs';
+
+// Output size and JPEG quality per use; the server only needs the face,
+// so small images keep punches working on 2G connections
+export const CAPTURE_PRESETS = {
+    punch: { width: 480, height: 576, quality: 0.7 },
+    enrollment: { width: 720, height: 864, quality: 0.85 },
+    liveness: { width: 240, height: 288, quality: 0.5 },
+};
+
+// Extra margin kept around the face guide so hair and chin aren't clipped
+const GUIDE_PADDING = 0.15;
 
 /**
  * Request camera permission
@@ -68,7 +81,6 @@ export const checkCameraPermission = async () => {
  */
 export const imageToBase64 = async (uri) => {
     // For react-native-vision-camera, the photo is already in a format we can use
-    const RNFS = require('react-native-fs');
     try {
         const base64 = await RNFS.readFile(uri, 'base64');
         return `data:image/jpeg;base64,${base64}`;
@@ -78,8 +90,137 @@ export const imageToBase64 = async (uri) => {
     }
 };
 
+const removeTempFile = async (path) => {
+    try {
+        if (path && (await RNFS.exists(path))) {
+            await RNFS.unlink(path);
+        }
+    } catch (error) {
+        console.warn('Error removing temp photo:', error);
+    }
+};
+
+/**
+ * Map the face guide (window coordinates) onto the photo
+ * The preview fills the window with "cover" scaling and is mirrored for the front camera
+ * @returns {Object|null} { offset, size } crop rectangle in photo pixels
+ */
+const getGuideCropRect = (photo, guide) => {
+    if (!guide) return null;
+
+    // Sensor photos are landscape; the upright image swaps the dimensions
+    const rotated = photo.orientation === 'landscape-left' || photo.orientation === 'landscape-right';
+    const imageWidth = rotated ? photo.height : photo.width;
+    const imageHeight = rotated ? photo.width : photo.height;
+
+    const window = Dimensions.get('window');
+    const scale = Math.max(window.width / imageWidth, window.height / imageHeight);
+    const hiddenX = (imageWidth * scale - window.width) / 2;
+    const hiddenY = (imageHeight * scale - window.height) / 2;
+
+    const padX = guide.width * GUIDE_PADDING;
+    const padY = guide.height * GUIDE_PADDING;
+    let x = (guide.x - padX + hiddenX) / scale;
+    const y = (guide.y - padY + hiddenY) / scale;
+    const width = (guide.width + padX * 2) / scale;
+    const height = (guide.height + padY * 2) / scale;
+
+    // The preview is mirrored; flip when the saved photo isn't
+    if (photo.isMirrored === false) {
+        x = imageWidth - x - width;
+    }
+
+    const left = Math.max(0, Math.round(x));
+    const top = Math.max(0, Math.round(y));
+    return {
+        offset: { x: left, y: top },
+        size: {
+            width: Math.min(imageWidth - left, Math.round(width)),
+            height: Math.min(imageHeight - top, Math.round(height)),
+        },
+    };
+};
+
+/**
+ * Crop a captured photo to the face guide, downsize and re-encode it
+ * The original file is always deleted; the compressed file is kept for upload
+ * and must be released with discardCapture. The image stays on disk - use
+ * imageToBase64(capture.path) only where base64 is really needed.
+ * @param {Object} photo - PhotoFile / Snapshot from react-native-vision-camera
+ * @param {Object} options - { guide: face guide in window coordinates, preset: key of CAPTURE_PRESETS }
+ * @returns {Promise<Object>} { path, uri, width, height, bytes }
+ */
+export const processCapture = async (photo, { guide = null, preset = 'punch' } = {}) => {
+    const target = CAPTURE_PRESETS[preset] || CAPTURE_PRESETS.punch;
+    const crop = getGuideCropRect(photo, guide) || {
+        offset: { x: 0, y: 0 },
+        size: { width: photo.width, height: photo.height },
+    };
+
+    try {
+        const result = await ImageEditor.cropImage(`file://${photo.path}`, {
+            ...crop,
+            displaySize: { width: target.width, height: target.height },
+            resizeMode: 'cover',
+            quality: target.quality,
+            format: 'jpeg',
+        });
+
+        const path = result.path || result.uri.replace(/^file:\/\//, '');
+        const bytes = result.size || (await RNFS.stat(path)).size;
+        console.log(`Capture compressed (${preset}): ${result.width}x${result.height}, ${Math.round(bytes / 1024)} KB`);
+
+        return {
+            path,
+            uri: `file://${path}`,
+            width: result.width,
+            height: result.height,
+            bytes,
+        };
+    } catch (error) {
+        // Fall back to the original photo rather than losing the punch
+        console.warn('Image compression failed, using original photo:', error);
+        const copyPath = `${RNFS.CachesDirectoryPath}/capture-${Date.now()}.jpg`;
+        await RNFS.copyFile(photo.path, copyPath);
+
+        return {
+            path: copyPath,
+            uri: `file://${copyPath}`,
+            width: photo.width,
+            height: photo.height,
+            bytes: (await RNFS.stat(copyPath)).size,
+        };
+    } finally {
+        await removeTempFile(photo.path);
+    }
+};
+
+/**
+ * Take a photo and run it through the capture pipeline
+ * @param {Object} camera - react-native-vision-camera Camera ref value
+ * @param {Object} options - { guide, preset } as for processCapture
+ */
+export const captureFacePhoto = async (camera, options = {}) => {
+    const photo = await camera.takePhoto({
+        qualityPrioritization: 'balanced',
+        flash: 'off',
+    });
+    return processCapture(photo, options);
+};
+
+/**
+ * Delete the compressed file of a capture once it has been uploaded or queued
+ */
+export const discardCapture = async (capture) => {
+    await removeTempFile(capture?.path);
+};
+
 export default {
+    CAPTURE_PRESETS,
     requestCameraPermission,
     checkCameraPermission,
     imageToBase64,
+    processCapture,
+    captureFacePhoto,
+    discardCapture,
 };
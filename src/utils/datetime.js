@@ -0,0 +1,118 @@
+/**
+ * Date/time helpers for SRM Sweets Mobile App
+ * Business days follow the branch timezone, not the device clock or UTC, so
+ * a 4 AM check-in in IST belongs to that day and not the previous UTC date
+ */
+
+// Branches run on Indian Standard Time unless configured otherwise
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const MINUTE = 60 * 1000;
+
+const formatters = {};
+
+// Intl formatters are slow to create, keep one per timezone
+const getFormatter = (timeZone) => {
+    if (!formatters[timeZone]) {
+        formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        });
+    }
+    return formatters[timeZone];
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Timezone for an employee's branch
+ * @param {Object} employee - Employee with an optional branch `timezone`
+ */
+export const getBranchTimezone = (employee) => {
+    return employee?.timezone || employee?.branch?.timezone || DEFAULT_TIMEZONE;
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+export const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    });
+    return parts;
+};
+
+/**
+ * Minutes the timezone is ahead of UTC at the given instant (IST is +330)
+ */
+export const getTimezoneOffset = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    const instant = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((asUtc - instant) / MINUTE);
+};
+
+/**
+ * Business date (YYYY-MM-DD) of an instant in the branch timezone
+ */
+export const toBusinessDateKey = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Shift a YYYY-MM-DD date by whole days
+ */
+export const addDays = (dateKey, days) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1, day + days));
+    return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}`;
+};
+
+/**
+ * Instant for a wall-clock time on a business date in the timezone
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} time - HH:mm
+ */
+export const zonedDateTime = (dateKey, time = '00:00', timeZone = DEFAULT_TIMEZONE) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hours, minutes || 0);
+
+    // Correct by the offset at the guess, then again in case that crossed a DST change
+    let instant = asUtc - getTimezoneOffset(new Date(asUtc), timeZone) * MINUTE;
+    instant = asUtc - getTimezoneOffset(new Date(instant), timeZone) * MINUTE;
+    return new Date(instant);
+};
+
+/**
+ * Start and end (exclusive) of a business day
+ * @returns {Object} { start, end } as Dates
+ */
+export const getBusinessDayBounds = (dateKey, timeZone = DEFAULT_TIMEZONE) => {
+    return {
+        start: zonedDateTime(dateKey, '00:00', timeZone),
+        end: zonedDateTime(addDays(dateKey, 1), '00:00', timeZone),
+    };
+};
+
+export default {
+    DEFAULT_TIMEZONE,
+    getBranchTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    toBusinessDateKey,
+    addDays,
+    zonedDateTime,
+    getBusinessDayBounds,
+};
@@ -0,0 +1,224 @@
+/**
+ * On-device face detection and capture quality gating
+ * Runs a frame processor on the camera preview and only lets the user capture
+ * when exactly one well-lit, centered, sufficiently large face is in the guide
+ */
+
+import { useState, useRef, useMemo, useCallback } from 'react';
+import { useWindowDimensions } from 'react-native';
+import { useFrameProcessor, runAtTargetFps } from 'react-native-vision-camera';
+import { useFaceDetector } from 'react-native-vision-camera-face-detector';
+import { useRunOnJS } from 'react-native-worklets-core';
+
+// Frames analysed per second - enough for live hints without draining battery
+const DETECTION_FPS = 5;
+
+// Average luma (0-255) bounds for a usable exposure
+const MIN_BRIGHTNESS = 60;
+const MAX_BRIGHTNESS = 220;
+
+// Mean luma difference between neighbouring pixels; lower means a blurry frame
+const MIN_SHARPNESS = 3;
+
+// Face size relative to the face guide width
+const MIN_FACE_RATIO = 0.45;
+const MAX_FACE_RATIO = 1.15;
+
+// Max offset of the face center from the guide center (fraction of guide size)
+const MAX_CENTER_OFFSET = 0.2;
+
+// Max head rotation (degrees) for a frontal shot
+const MAX_HEAD_ANGLE = 15;
+
+// Default head yaw range (user's perspective, degrees) for a frontal shot
+const FRONTAL_YAW_RANGE = [-MAX_HEAD_ANGLE, MAX_HEAD_ANGLE];
+
+// ML Kit reports positive yaw when the face turns to the camera's right,
+// which is the user's left on the front camera
+const USER_LEFT_YAW_SIGN = 1;
+
+// Sample every Nth pixel when measuring lighting
+const LIGHTING_SAMPLE_STEP = 8;
+
+/**
+ * Measure brightness and sharpness from the luma plane of a YUV frame
+ * Samples the central half of the frame where the face guide sits
+ * @returns {Object|null} { brightness, sharpness } or null if unsupported
+ */
+export const measureFrameLighting = (frame) => {
+    'worklet';
+    if (frame.pixelFormat !== 'yuv') return null;
+
+    try {
+        const data = new Uint8Array(frame.toArrayBuffer());
+        const stride = frame.bytesPerRow || frame.width;
+        const startX = Math.floor(frame.width / 4);
+        const endX = Math.floor((frame.width * 3) / 4) - 1;
+        const startY = Math.floor(frame.height / 4);
+        const endY = Math.floor((frame.height * 3) / 4);
+
+        let lumaSum = 0;
+        let gradientSum = 0;
+        let samples = 0;
+
+        for (let y = startY; y < endY; y += LIGHTING_SAMPLE_STEP) {
+            for (let x = startX; x < endX; x += LIGHTING_SAMPLE_STEP) {
+                const index = y * stride + x;
+                lumaSum += data[index];
+                gradientSum += Math.abs(data[index] - data[index + 1]);
+                samples++;
+            }
+        }
+
+        if (samples === 0) return null;
+
+        return {
+            brightness: lumaSum / samples,
+            sharpness: gradientSum / samples,
+        };
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Head yaw from the user's perspective: positive = turned to their left
+ */
+export const getUserYaw = (face) => {
+    return face.yawAngle * USER_LEFT_YAW_SIGN;
+};
+
+/**
+ * Decide whether the current frame is good enough to capture
+ * @param {Object} input - { faces, lighting, guide, yawRange } with face bounds and guide
+ * in window coordinates; yawRange is the [min, max] user yaw expected for the shot
+ * @returns {Object} { ok, code, hint }
+ */
+export const evaluateFaceQuality = ({ faces, lighting, guide, yawRange = FRONTAL_YAW_RANGE }) => {
+    if (!guide) {
+        return { ok: false, code: 'initializing', hint: 'Starting camera...' };
+    }
+    if (!faces || faces.length === 0) {
+        return { ok: false, code: 'no_face', hint: 'Position your face in the frame' };
+    }
+    if (faces.length > 1) {
+        return { ok: false, code: 'multiple_faces', hint: 'One person only' };
+    }
+
+    if (lighting && lighting.brightness < MIN_BRIGHTNESS) {
+        return { ok: false, code: 'too_dark', hint: 'Too dark - move to better lighting' };
+    }
+    if (lighting && lighting.brightness > MAX_BRIGHTNESS) {
+        return { ok: false, code: 'too_bright', hint: 'Too bright - avoid direct light' };
+    }
+
+    const { bounds, rollAngle } = faces[0];
+    const faceCenterX = bounds.x + bounds.width / 2;
+    const faceCenterY = bounds.y + bounds.height / 2;
+    const guideCenterX = guide.x + guide.width / 2;
+    const guideCenterY = guide.y + guide.height / 2;
+
+    if (
+        Math.abs(faceCenterX - guideCenterX) > guide.width * MAX_CENTER_OFFSET ||
+        Math.abs(faceCenterY - guideCenterY) > guide.height * MAX_CENTER_OFFSET
+    ) {
+        return { ok: false, code: 'not_centered', hint: 'Center your face in the frame' };
+    }
+
+    const faceRatio = bounds.width / guide.width;
+    if (faceRatio < MIN_FACE_RATIO) {
+        return { ok: false, code: 'too_small', hint: 'Move closer' };
+    }
+    if (faceRatio > MAX_FACE_RATIO) {
+        return { ok: false, code: 'too_large', hint: 'Move back a little' };
+    }
+
+    if (Math.abs(rollAngle) > MAX_HEAD_ANGLE) {
+        return { ok: false, code: 'tilted', hint: 'Keep your head upright' };
+    }
+
+    const userYaw = getUserYaw(faces[0]);
+    const [minYaw, maxYaw] = yawRange;
+    if (userYaw < minYaw || userYaw > maxYaw) {
+        if (minYaw > 0 && userYaw < minYaw) {
+            return { ok: false, code: 'turn_left', hint: 'Turn your head slightly left' };
+        }
+        if (maxYaw < 0 && userYaw > maxYaw) {
+            return { ok: false, code: 'turn_right', hint: 'Turn your head slightly right' };
+        }
+        return { ok: false, code: 'not_frontal', hint: 'Look straight at the camera' };
+    }
+
+    if (lighting && lighting.sharpness < MIN_SHARPNESS) {
+        return { ok: false, code: 'blurry', hint: 'Hold still' };
+    }
+
+    return { ok: true, code: 'ok', hint: 'Looking good - hold still' };
+};
+
+/**
+ * Hook wiring the face detector frame processor to the face guide
+ * Attach `guideRef` / `onGuideLayout` to the face guide view and pass
+ * `frameProcessor` to the Camera (with pixelFormat="yuv")
+ * @param {Object} options - { yawRange } expected head pose, defaults to frontal
+ * @returns {Object} { frameProcessor, quality, face, guide, guideRef, onGuideLayout }
+ */
+export const useFaceQualityGate = ({ yawRange } = {}) => {
+    const guideRef = useRef(null);
+    const [guide, setGuide] = useState(null);
+    const [detection, setDetection] = useState({ faces: [], lighting: null });
+    const { width, height } = useWindowDimensions();
+
+    // autoMode maps face bounds to window coordinates for the front camera
+    const detectorOptions = useMemo(() => ({
+        performanceMode: 'fast',
+        classificationMode: 'all',
+        minFaceSize: 0.15,
+        autoMode: true,
+        windowWidth: width,
+        windowHeight: height,
+        cameraFacing: 'front',
+    }), [width, height]);
+    const { detectFaces } = useFaceDetector(detectorOptions);
+
+    const handleDetection = useRunOnJS((faces, lighting) => {
+        setDetection({ faces, lighting });
+    }, []);
+
+    const frameProcessor = useFrameProcessor((frame) => {
+        'worklet';
+        runAtTargetFps(DETECTION_FPS, () => {
+            'worklet';
+            const faces = detectFaces(frame);
+            const lighting = measureFrameLighting(frame);
+            handleDetection(faces, lighting);
+        });
+    }, [detectFaces, handleDetection]);
+
+    const onGuideLayout = useCallback(() => {
+        guideRef.current?.measureInWindow((x, y, guideWidth, guideHeight) => {
+            setGuide({ x, y, width: guideWidth, height: guideHeight });
+        });
+    }, []);
+
+    const quality = useMemo(
+        () => evaluateFaceQuality({ ...detection, guide, yawRange }),
+        [detection, guide, yawRange],
+    );
+
+    return {
+        frameProcessor,
+        quality,
+        face: detection.faces.length === 1 ? detection.faces[0] : null,
+        guide,
+        guideRef,
+        onGuideLayout,
+    };
+};
+
+export default {
+    measureFrameLighting,
+    getUserYaw,
+    evaluateFaceQuality,
+    useFaceQualityGate,
+};
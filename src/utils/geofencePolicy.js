@@ -0,0 +1,132 @@
+/**
+ * Geo-fence policy engine
+ * Decides whether a punch is allowed, denied or allowed-but-flagged when the
+ * location can't be fully verified. Rules come from the server geo-fence
+ * settings and default to failing closed.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const POLICY_KEY = '@srm_geofence_policy';
+
+export const POLICY_ACTIONS = {
+    ALLOW: 'allow',
+    DENY: 'deny',
+    FLAG: 'flag', // allow, but mark the punch for HR review
+};
+
+// Applied when the server hasn't sent a policy yet
+export const DEFAULT_GEOFENCE_POLICY = {
+    validationUnavailable: POLICY_ACTIONS.DENY, // no cached settings and API unreachable
+    locationUnavailable: POLICY_ACTIONS.DENY, // GPS gave no fix at all
+    notConfigured: POLICY_ACTIONS.ALLOW, // server confirms no geo-fence is set up
+    suspiciousLocation: POLICY_ACTIONS.FLAG, // integrity check raised flags
+    spoofedLocation: POLICY_ACTIONS.DENY, // mock location provider detected
+    outsidePremisesCheckout: POLICY_ACTIONS.FLAG, // check-out away from the branch (field work, early departure)
+};
+
+const REASON_MESSAGES = {
+    within_range: 'Within range',
+    out_of_range: 'Outside the allowed area',
+    validation_unavailable: 'Location could not be verified',
+    location_unavailable: 'Location unavailable',
+    not_configured: 'Geo-fence not configured',
+    suspicious_location: 'Location looks unreliable',
+    spoofed_location: 'Mock location detected',
+    outside_premises: 'Checking out outside premises',
+};
+
+const isValidAction = (action) => {
+    return Object.values(POLICY_ACTIONS).includes(action);
+};
+
+/**
+ * Cache the server policy; kept without expiry so the last known rules
+ * still apply when the device is offline
+ */
+export const cacheGeofencePolicy = async (policy) => {
+    try {
+        await AsyncStorage.setItem(POLICY_KEY, JSON.stringify(policy));
+    } catch (error) {
+        console.error('Error caching geo-fence policy:', error);
+    }
+};
+
+/**
+ * Get the effective policy (cached server rules over the fail-closed defaults)
+ */
+export const getGeofencePolicy = async () => {
+    try {
+        const cached = await AsyncStorage.getItem(POLICY_KEY);
+        if (cached) {
+            const policy = JSON.parse(cached);
+            const effective = { ...DEFAULT_GEOFENCE_POLICY };
+            Object.keys(policy).forEach(rule => {
+                if (isValidAction(policy[rule])) {
+                    effective[rule] = policy[rule];
+                }
+            });
+            return effective;
+        }
+    } catch (error) {
+        console.error('Error reading geo-fence policy:', error);
+    }
+    return DEFAULT_GEOFENCE_POLICY;
+};
+
+/**
+ * Resolve the policy decision for a location check
+ * @param {Object} input - { validation, integrity, locationError, punchType }
+ * @param {Object} policy - Effective policy from getGeofencePolicy
+ * @returns {Object} { decision, reason, reasons, message }
+ */
+export const resolveGeofenceDecision = ({ validation, integrity, locationError, punchType }, policy = DEFAULT_GEOFENCE_POLICY) => {
+    const checks = [];
+
+    if (locationError || !validation) {
+        checks.push({ action: policy.locationUnavailable, reason: 'location_unavailable' });
+    } else if (validation.unavailable) {
+        checks.push({ action: policy.validationUnavailable, reason: 'validation_unavailable' });
+    } else if (!validation.isConfigured) {
+        checks.push({ action: policy.notConfigured, reason: 'not_configured' });
+    } else if (!validation.withinRange && punchType === 'check-out') {
+        checks.push({ action: policy.outsidePremisesCheckout, reason: 'outside_premises' });
+    } else if (!validation.withinRange) {
+        checks.push({ action: POLICY_ACTIONS.DENY, reason: 'out_of_range' });
+    }
+
+    if (integrity?.verdict === 'spoofed') {
+        checks.push({ action: policy.spoofedLocation, reason: 'spoofed_location' });
+    } else if (integrity?.verdict === 'suspicious') {
+        checks.push({ action: policy.suspiciousLocation, reason: 'suspicious_location' });
+    }
+
+    const denied = checks.find(check => check.action === POLICY_ACTIONS.DENY);
+    const flagged = checks.filter(check => check.action === POLICY_ACTIONS.FLAG);
+
+    let decision = POLICY_ACTIONS.ALLOW;
+    let reasons = checks.map(check => check.reason);
+    if (denied) {
+        decision = POLICY_ACTIONS.DENY;
+        reasons = [denied.reason];
+    } else if (flagged.length > 0) {
+        decision = POLICY_ACTIONS.FLAG;
+        reasons = flagged.map(check => check.reason);
+    }
+
+    const reason = reasons[0] || 'within_range';
+    return {
+        decision,
+        reason,
+        reasons,
+        message: REASON_MESSAGES[reason],
+    };
+};
+
+export default {
+    POLICY_ACTIONS,
+    DEFAULT_GEOFENCE_POLICY,
+    cacheGeofencePolicy,
+    getGeofencePolicy,
+    resolveGeofenceDecision,
+};
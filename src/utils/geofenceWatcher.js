@@ -0,0 +1,251 @@
+/**
+ * Geo-fence exit detection for SRM Sweets Mobile App
+ * Watches position while a session is open and reports when the employee has
+ * stayed outside the branch geo-fence long enough to have really left.
+ * Battery use is kept low with a distance filter and a slow update interval
+ * while well inside the premises.
+ */
+
+import Geolocation from '@react-native-community/geolocation';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+    getCachedGeofenceSettings,
+    normalizeGeofenceSettings,
+    findNearestBranch,
+    distanceToPolygonEdge,
+} from './location';
+
+// Storage keys
+const WATCH_ENABLED_KEY = '@srm_geofence_watch_enabled';
+const LEFT_PREMISES_KEY = '@srm_left_premises_events';
+
+// Number of left-premises events kept on the device
+const LEFT_PREMISES_HISTORY_SIZE = 20;
+
+// Ignore movement smaller than this between updates (meters)
+export const WATCH_DISTANCE_FILTER = 25;
+
+// Update intervals: frequent near the edge or outside, slow well inside
+export const ACTIVE_INTERVAL = 30 * 1000;
+export const IDLE_INTERVAL = 5 * 60 * 1000;
+
+// Within this distance of the edge counts as near it (meters)
+export const NEAR_EDGE_DISTANCE = 100;
+
+// Time outside the geo-fence before the exit counts as sustained
+export const EXIT_CONFIRM_DURATION = 5 * 60 * 1000;
+
+// Fixes less accurate than this say nothing about the edge (meters)
+export const MAX_FIX_ACCURACY = 100;
+
+/**
+ * Whether exit detection is turned on (off by default to save battery)
+ */
+export const isGeofenceWatchEnabled = async () => {
+    try {
+        return (await AsyncStorage.getItem(WATCH_ENABLED_KEY)) === 'true';
+    } catch (error) {
+        console.error('Error reading geo-fence watch setting:', error);
+        return false;
+    }
+};
+
+/**
+ * Turn exit detection on or off
+ */
+export const setGeofenceWatchEnabled = async (enabled) => {
+    try {
+        await AsyncStorage.setItem(WATCH_ENABLED_KEY, String(!!enabled));
+    } catch (error) {
+        console.error('Error saving geo-fence watch setting:', error);
+    }
+};
+
+/**
+ * Keep a "left premises" event until it is sent with the next punch
+ * @param {Object} event - { branchId, branchName, distance, leftAt, confirmedAt }
+ */
+export const recordLeftPremisesEvent = async (event) => {
+    try {
+        const events = await getLeftPremisesEvents();
+        const updated = [...events, event].slice(-LEFT_PREMISES_HISTORY_SIZE);
+        await AsyncStorage.setItem(LEFT_PREMISES_KEY, JSON.stringify(updated));
+    } catch (error) {
+        console.error('Error saving left premises event:', error);
+    }
+};
+
+/**
+ * Get recorded left-premises events (oldest first)
+ */
+export const getLeftPremisesEvents = async () => {
+    try {
+        const events = await AsyncStorage.getItem(LEFT_PREMISES_KEY);
+        return events ? JSON.parse(events) : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Forget left-premises events once a punch carrying them has been sent or queued
+ * @param {Array} sent - Events that were attached to the punch
+ */
+export const clearLeftPremisesEvents = async (sent) => {
+    try {
+        // Keep any exit confirmed while the punch was in flight
+        const sentAt = new Set(sent.map(event => event.confirmedAt));
+        const remaining = (await getLeftPremisesEvents()).filter(event => !sentAt.has(event.confirmedAt));
+        await AsyncStorage.setItem(LEFT_PREMISES_KEY, JSON.stringify(remaining));
+    } catch (error) {
+        console.error('Error clearing left premises events:', error);
+    }
+};
+
+/**
+ * Meters between the point and the geo-fence edge: positive inside, negative outside
+ */
+export const getEdgeMargin = (latitude, longitude, match) => {
+    if (match.shape === 'polygon' && match.distanceToEdge === 0) {
+        return distanceToPolygonEdge(latitude, longitude, match.branch.polygon) + match.allowedRadius;
+    }
+    return match.allowedRadius - match.distance;
+};
+
+/**
+ * Watch position against the given branches
+ * @param {Array} branches - Normalized geo-fence branches
+ * @param {Object} callbacks - { onExit(event) }
+ * @returns {Function} Stops watching
+ */
+export const watchGeofence = (branches, { onExit } = {}) => {
+    let watchId = null;
+    let interval = null;
+    let exitTimer = null;
+    let pendingExit = null;
+    let exited = false;
+
+    const startWatch = (nextInterval) => {
+        if (watchId !== null) {
+            Geolocation.clearWatch(watchId);
+        }
+        interval = nextInterval;
+        watchId = Geolocation.watchPosition(
+            handlePosition,
+            (error) => console.warn('Geo-fence watch error:', error.message),
+            {
+                enableHighAccuracy: nextInterval === ACTIVE_INTERVAL,
+                distanceFilter: WATCH_DISTANCE_FILTER,
+                interval: nextInterval,
+                fastestInterval: Math.min(nextInterval, ACTIVE_INTERVAL),
+                maximumAge: nextInterval,
+            },
+        );
+    };
+
+    const cancelPendingExit = () => {
+        clearTimeout(exitTimer);
+        exitTimer = null;
+        pendingExit = null;
+    };
+
+    // Still outside once the confirm duration has passed - the exit is real
+    const confirmExit = async () => {
+        const event = { ...pendingExit, confirmedAt: new Date().toISOString() };
+        cancelPendingExit();
+        exited = true;
+        await recordLeftPremisesEvent(event);
+        onExit?.(event);
+    };
+
+    function handlePosition(position) {
+        const { latitude, longitude, accuracy } = position.coords;
+        if (accuracy > MAX_FIX_ACCURACY) return;
+
+        const match = findNearestBranch(latitude, longitude, branches);
+        if (!match) return;
+
+        // Only count as outside when the fix is clearly past the edge
+        const margin = getEdgeMargin(latitude, longitude, match);
+        const outside = margin < -(accuracy || 0);
+
+        if (outside && !exited && !pendingExit) {
+            pendingExit = {
+                branchId: match.branch.branchId || null,
+                branchName: match.branch.name,
+                distance: match.distance,
+                leftAt: new Date(position.timestamp || Date.now()).toISOString(),
+            };
+            // With a distance filter no further fixes arrive while standing
+            // still, so confirm on a timer rather than on the next fix
+            exitTimer = setTimeout(confirmExit, EXIT_CONFIRM_DURATION);
+        } else if (!outside && margin > 0) {
+            // Back inside - a later exit is reported again
+            cancelPendingExit();
+            exited = false;
+        }
+
+        const nextInterval = outside || margin < NEAR_EDGE_DISTANCE ? ACTIVE_INTERVAL : IDLE_INTERVAL;
+        if (nextInterval !== interval) {
+            startWatch(nextInterval);
+        }
+    }
+
+    startWatch(ACTIVE_INTERVAL);
+
+    return () => {
+        cancelPendingExit();
+        if (watchId !== null) {
+            Geolocation.clearWatch(watchId);
+            watchId = null;
+        }
+    };
+};
+
+/**
+ * Start exit detection with the cached geo-fence settings, if turned on
+ * @param {Object} callbacks - { onExit(event) }
+ * @returns {Function} Stops watching
+ */
+export const startGeofenceWatch = (callbacks = {}) => {
+    let stopWatch = null;
+    let stopped = false;
+
+    const start = async () => {
+        if (!(await isGeofenceWatchEnabled())) return;
+
+        // Branches rarely move, so an expired cache is still good enough for
+        // exit detection late in a shift (punches refresh it)
+        const branches = normalizeGeofenceSettings(await getCachedGeofenceSettings({ allowExpired: true }));
+        if (branches.length === 0) {
+            console.log('No cached geo-fence, exit detection not started');
+            return;
+        }
+        if (!stopped) {
+            stopWatch = watchGeofence(branches, callbacks);
+        }
+    };
+    start();
+
+    return () => {
+        stopped = true;
+        stopWatch?.();
+    };
+};
+
+export default {
+    WATCH_DISTANCE_FILTER,
+    ACTIVE_INTERVAL,
+    IDLE_INTERVAL,
+    NEAR_EDGE_DISTANCE,
+    EXIT_CONFIRM_DURATION,
+    MAX_FIX_ACCURACY,
+    isGeofenceWatchEnabled,
+    setGeofenceWatchEnabled,
+    recordLeftPremisesEvent,
+    getLeftPremisesEvents,
+    clearLeftPremisesEvents,
+    getEdgeMargin,
+    watchGeofence,
+    startGeofenceWatch,
+};
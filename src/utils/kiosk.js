@@ -0,0 +1,132 @@
+/**
+ * Kiosk Mode for SRM Sweets Mobile App
+ * A shared branch tablet at the entrance: anyone can punch, no personal
+ * session is kept, and leaving kiosk mode needs the admin PIN
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const KIOSK_KEY = '@srm_kiosk';
+
+export const MIN_PIN_LENGTH = 4;
+export const MAX_PIN_LENGTH = 6;
+
+// Wrong PIN entries allowed before exit is locked for a while
+export const MAX_PIN_ATTEMPTS = 5;
+export const PIN_LOCKOUT_DURATION = 60 * 1000;
+
+// How long the confirmation card stays up before returning to the camera
+export const KIOSK_CONFIRMATION_DURATION = 5 * 1000;
+
+// Keeps the PIN from being stored as plain text. This is only obfuscation, not
+// a hash that protects the PIN: with 4-6 digits anyone who can read AsyncStorage
+// can try every PIN in moments. Exit is protected by the attempt lockout.
+const obscurePin = (pin, salt) => {
+    const input = `${salt}:${pin}`;
+    let value = 7;
+    for (let i = 0; i < input.length; i++) {
+        value = (value * 131 + input.charCodeAt(i)) % 2147483647;
+    }
+    return value.toString(16);
+};
+
+const readKiosk = async () => {
+    try {
+        const kiosk = await AsyncStorage.getItem(KIOSK_KEY);
+        return kiosk ? JSON.parse(kiosk) : null;
+    } catch (error) {
+        console.error('Error reading kiosk settings:', error);
+        return null;
+    }
+};
+
+const writeKiosk = async (kiosk) => {
+    await AsyncStorage.setItem(KIOSK_KEY, JSON.stringify(kiosk));
+};
+
+/**
+ * Whether a PIN has the right shape (digits only, 4-6 long)
+ */
+export const isValidPin = (pin) => {
+    return new RegExp(`^\\d{${MIN_PIN_LENGTH},${MAX_PIN_LENGTH}}$`).test(pin || '');
+};
+
+/**
+ * Whether this device is running as a shared kiosk
+ */
+export const isKioskMode = async () => {
+    const kiosk = await readKiosk();
+    return !!kiosk?.enabled;
+};
+
+/**
+ * Turn kiosk mode on with an admin PIN
+ * @param {string} pin - 4-6 digit PIN needed to exit
+ * @param {Object} details - { branchId, enabledBy } of the manager setting it up
+ */
+export const enableKioskMode = async (pin, { branchId = null, enabledBy = null } = {}) => {
+    if (!isValidPin(pin)) {
+        throw new Error(`PIN must be ${MIN_PIN_LENGTH}-${MAX_PIN_LENGTH} digits`);
+    }
+    const salt = Math.random().toString(36).slice(2, 10);
+    await writeKiosk({
+        enabled: true,
+        branchId,
+        enabledBy,
+        enabledAt: new Date().toISOString(),
+        salt,
+        pinCheck: obscurePin(pin, salt),
+        failedAttempts: 0,
+        lockedUntil: null,
+    });
+};
+
+/**
+ * Check the admin PIN, locking exit after too many wrong attempts
+ * @returns {Promise<Object>} { ok, attemptsLeft, lockedUntil (ms timestamp or null) }
+ */
+export const verifyKioskPin = async (pin, now = Date.now()) => {
+    const kiosk = await readKiosk();
+    if (!kiosk?.enabled) return { ok: true, attemptsLeft: MAX_PIN_ATTEMPTS, lockedUntil: null };
+
+    if (kiosk.lockedUntil && kiosk.lockedUntil > now) {
+        return { ok: false, attemptsLeft: 0, lockedUntil: kiosk.lockedUntil };
+    }
+
+    if (obscurePin(pin, kiosk.salt) === kiosk.pinCheck) {
+        await writeKiosk({ ...kiosk, failedAttempts: 0, lockedUntil: null });
+        return { ok: true, attemptsLeft: MAX_PIN_ATTEMPTS, lockedUntil: null };
+    }
+
+    // A lockout that has run out starts a fresh set of attempts
+    const failedAttempts = (kiosk.lockedUntil ? 0 : kiosk.failedAttempts || 0) + 1;
+    const lockedUntil = failedAttempts >= MAX_PIN_ATTEMPTS ? now + PIN_LOCKOUT_DURATION : null;
+    await writeKiosk({ ...kiosk, failedAttempts, lockedUntil });
+    return { ok: false, attemptsLeft: Math.max(0, MAX_PIN_ATTEMPTS - failedAttempts), lockedUntil };
+};
+
+/**
+ * Leave kiosk mode after the PIN has been verified
+ */
+export const disableKioskMode = async () => {
+    try {
+        await AsyncStorage.removeItem(KIOSK_KEY);
+        return true;
+    } catch (error) {
+        console.error('Error disabling kiosk mode:', error);
+        return false;
+    }
+};
+
+export default {
+    MIN_PIN_LENGTH,
+    MAX_PIN_LENGTH,
+    MAX_PIN_ATTEMPTS,
+    PIN_LOCKOUT_DURATION,
+    KIOSK_CONFIRMATION_DURATION,
+    isValidPin,
+    isKioskMode,
+    enableKioskMode,
+    verifyKioskPin,
+    disableKioskMode,
+};
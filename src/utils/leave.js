@@ -0,0 +1,76 @@
+/**
+ * Leave helpers for SRM Sweets Mobile App
+ * Turns approved leave requests into "on-leave" days for the dashboard
+ * history and the attendance calendar
+ */
+
+import { addDays } from './datetime';
+
+export const LEAVE_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled',
+};
+
+/**
+ * Leave days in a request (inclusive date range, half a day for half-day leave)
+ */
+export const countLeaveDays = (fromDate, toDate, halfDay = false) => {
+    if (!fromDate || !toDate || toDate < fromDate) return 0;
+    if (halfDay) return 0.5;
+
+    let days = 0;
+    for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+        days++;
+    }
+    return days;
+};
+
+/**
+ * Approved leave by date
+ * @param {Array} requests - Leave requests
+ * @param {Object} range - Optional { from, to } bounds as YYYY-MM-DD
+ * @returns {Object} { 'YYYY-MM-DD': request }
+ */
+export const getLeaveDays = (requests, { from, to } = {}) => {
+    const days = {};
+    (requests || [])
+        .filter(request => request.status === LEAVE_STATUS.APPROVED)
+        .forEach(request => {
+            for (let date = request.fromDate; date <= request.toDate; date = addDays(date, 1)) {
+                if ((!from || date >= from) && (!to || date <= to)) {
+                    days[date] = request;
+                }
+            }
+        });
+    return days;
+};
+
+/**
+ * Attendance records plus an "on-leave" entry for each leave day without one,
+ * newest first
+ * @param {Array} records - Attendance records
+ * @param {Object} leaveDays - From getLeaveDays
+ */
+export const mergeLeaveRecords = (records, leaveDays) => {
+    const recordedDates = new Set((records || []).map(record => record.date));
+    const leaveRecords = Object.entries(leaveDays || {})
+        .filter(([date]) => !recordedDates.has(date))
+        .map(([date, request]) => ({
+            attendanceId: `leave-${request.requestId}-${date}`,
+            date,
+            status: 'on-leave',
+            leaveType: request.typeLabel || request.type,
+            halfDay: !!request.halfDay,
+        }));
+
+    return [...(records || []), ...leaveRecords].sort((a, b) => b.date.localeCompare(a.date));
+};
+
+export default {
+    LEAVE_STATUS,
+    countLeaveDays,
+    getLeaveDays,
+    mergeLeaveRecords,
+};
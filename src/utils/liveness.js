@@ -0,0 +1,156 @@
+/**
+ * Active liveness challenge for attendance
+ * A random blink / head-turn sequence verified on device from face detector
+ * frames, so a printed photo or phone screen can't be used to punch
+ */
+
+import { getUserYaw } from './faceDetection';
+
+export const LIVENESS_STEPS = {
+    BLINK: 'blink',
+    TURN_LEFT: 'turn-left',
+    TURN_RIGHT: 'turn-right',
+};
+
+export const LIVENESS_PROMPTS = {
+    [LIVENESS_STEPS.BLINK]: 'Blink your eyes',
+    [LIVENESS_STEPS.TURN_LEFT]: 'Slowly turn your head left',
+    [LIVENESS_STEPS.TURN_RIGHT]: 'Slowly turn your head right',
+};
+
+// Number of steps in a challenge
+const CHALLENGE_LENGTH = 3;
+
+// Time allowed for each step (ms)
+const STEP_TIMEOUT = 8000;
+
+// Eye open probability thresholds for a blink (closed, then open again)
+const EYE_CLOSED_THRESHOLD = 0.25;
+const EYE_OPEN_THRESHOLD = 0.7;
+
+// Head yaw (degrees) that counts as a turn, and as looking straight again
+const TURN_ANGLE = 20;
+const CENTER_ANGLE = 10;
+
+/**
+ * Create a random challenge (no step repeated back to back)
+ */
+export const createLivenessChallenge = (length = CHALLENGE_LENGTH) => {
+    const options = Object.values(LIVENESS_STEPS);
+    const steps = [];
+
+    while (steps.length < length) {
+        const step = options[Math.floor(Math.random() * options.length)];
+        if (step !== steps[steps.length - 1]) {
+            steps.push(step);
+        }
+    }
+
+    const now = Date.now();
+    return {
+        steps,
+        index: 0,
+        phase: 'waiting', // waiting -> ready -> (eyes-closed) -> next step
+        status: 'in-progress',
+        startedAt: now,
+        stepStartedAt: now,
+        failureReason: null,
+    };
+};
+
+const completeStep = (challenge, now) => {
+    const index = challenge.index + 1;
+    return {
+        ...challenge,
+        index,
+        phase: 'waiting',
+        stepStartedAt: now,
+        status: index >= challenge.steps.length ? 'passed' : 'in-progress',
+    };
+};
+
+/**
+ * Time (ms timestamp) by which the current step must be completed
+ */
+export const getStepDeadline = (challenge) => challenge.stepStartedAt + STEP_TIMEOUT;
+
+/**
+ * Advance the challenge with the latest detected face
+ * @param {Object} challenge - State from createLivenessChallenge
+ * @param {Object|null} face - Single face from the detector (null if none / several)
+ * @param {number} now - Current timestamp
+ * @returns {Object} Next challenge state (same object if nothing changed)
+ */
+export const advanceLiveness = (challenge, face, now = Date.now()) => {
+    if (challenge.status !== 'in-progress') return challenge;
+
+    if (now > getStepDeadline(challenge)) {
+        return { ...challenge, status: 'failed', failureReason: 'timeout' };
+    }
+    if (!face) return challenge;
+
+    const step = challenge.steps[challenge.index];
+    const userYaw = getUserYaw(face);
+    // Both eyes must agree: the less open eye for "open", the more open eye for "closed"
+    const minEyeOpen = Math.min(face.leftEyeOpenProbability, face.rightEyeOpenProbability);
+    const maxEyeOpen = Math.max(face.leftEyeOpenProbability, face.rightEyeOpenProbability);
+
+    // Every step starts from a straight, eyes-open pose
+    if (challenge.phase === 'waiting') {
+        if (Math.abs(userYaw) < CENTER_ANGLE && minEyeOpen > EYE_OPEN_THRESHOLD) {
+            return { ...challenge, phase: 'ready' };
+        }
+        return challenge;
+    }
+
+    switch (step) {
+        case LIVENESS_STEPS.BLINK:
+            if (challenge.phase === 'ready' && maxEyeOpen < EYE_CLOSED_THRESHOLD) {
+                return { ...challenge, phase: 'eyes-closed' };
+            }
+            if (challenge.phase === 'eyes-closed' && minEyeOpen > EYE_OPEN_THRESHOLD) {
+                return completeStep(challenge, now);
+            }
+            return challenge;
+        case LIVENESS_STEPS.TURN_LEFT:
+            return userYaw > TURN_ANGLE ? completeStep(challenge, now) : challenge;
+        case LIVENESS_STEPS.TURN_RIGHT:
+            return userYaw < -TURN_ANGLE ? completeStep(challenge, now) : challenge;
+        default:
+            return challenge;
+    }
+};
+
+/**
+ * Prompt for the current step
+ */
+export const getLivenessPrompt = (challenge) => {
+    if (challenge.status === 'passed' || challenge.phase === 'waiting') {
+        return 'Look straight at the camera';
+    }
+    return LIVENESS_PROMPTS[challenge.steps[challenge.index]];
+};
+
+/**
+ * Summary attached to the punch request
+ * @param {Object} challenge - Finished challenge
+ * @param {Array} frames - Base64 frames captured as each step completed
+ */
+export const getLivenessResult = (challenge, frames = []) => ({
+    passed: challenge.status === 'passed',
+    challenge: challenge.steps,
+    completedSteps: challenge.index,
+    failureReason: challenge.failureReason,
+    durationMs: Date.now() - challenge.startedAt,
+    frames,
+});
+
+export default {
+    LIVENESS_STEPS,
+    LIVENESS_PROMPTS,
+    createLivenessChallenge,
+    getStepDeadline,
+    advanceLiveness,
+    getLivenessPrompt,
+    getLivenessResult,
+};
@@ -6,15 +6,25 @@
 import { Platform, PermissionsAndroid, Alert, Linking } from 'react-native';
 import Geolocation from '@react-native-community/geolocation';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { cacheGeofencePolicy } from './geofencePolicy';
 
 // Storage keys
 const GEOFENCE_CACHE_KEY = '@srm_geofence_settings';
 const GEOFENCE_CACHE_EXPIRY = '@srm_geofence_expiry';
 const LAST_LOCATION_KEY = '@srm_last_location';
+const LOCATION_HISTORY_KEY = '@srm_location_history';
+
+// Number of fresh fixes kept for integrity checks
+const LOCATION_HISTORY_SIZE = 10;
 
 // Cache duration: 1 hour (in milliseconds)
 const CACHE_DURATION = 60 * 60 * 1000;
 
+// Default tolerance around polygon geo-fences to absorb GPS drift (meters)
+const DEFAULT_POLYGON_BUFFER = 10;
+
+const EARTH_RADIUS = 6371e3; // meters
+
 // Configure geolocation for faster response
 Geolocation.setRNConfiguration({
     skipPermissionRequests: false,
@@ -54,9 +64,39 @@ export const requestLocationPermission = async () => {
     }
 };
 
+/**
+ * Append a fresh fix to the location history used for integrity checks
+ */
+const recordLocationHistory = async (location) => {
+    try {
+        const history = await getLocationHistory();
+        // The OS hands back the same cached fix within maximumAge - keep it once
+        const last = history[history.length - 1];
+        if (last && last.positionTimestamp === location.positionTimestamp) return;
+        const updated = [...history, location].slice(-LOCATION_HISTORY_SIZE);
+        await AsyncStorage.setItem(LOCATION_HISTORY_KEY, JSON.stringify(updated));
+    } catch (e) {
+        // Ignore cache errors
+    }
+};
+
+/**
+ * Get recent fresh location fixes (oldest first)
+ */
+export const getLocationHistory = async () => {
+    try {
+        const history = await AsyncStorage.getItem(LOCATION_HISTORY_KEY);
+        return history ? JSON.parse(history) : [];
+    } catch (e) {
+        return [];
+    }
+};
+
 /**
  * Get current location - optimized for speed
  * Uses shorter timeout and caches last known location
+ * The result's `source` tells integrity checks where it came from:
+ * 'fresh' (OS fix), 'cache' (< 2 min old) or 'stale_cache' (fallback on error)
  */
 export const getCurrentLocation = () => {
     return new Promise(async (resolve, reject) => {
@@ -69,7 +109,7 @@ export const getCurrentLocation = () => {
                 // Use cached if less than 2 minutes old
                 if (age < 2 * 60 * 1000) {
                     console.log('Using cached location (< 2 min old)');
-                    resolve(cached);
+                    resolve({ ...cached, source: 'cache' });
                     return;
                 }
             }
@@ -85,6 +125,9 @@ export const getCurrentLocation = () => {
                     longitude: position.coords.longitude,
                     accuracy: position.coords.accuracy,
                     timestamp: Date.now(),
+                    positionTimestamp: position.timestamp,
+                    // Android reports fixes from mock location providers
+                    mocked: position.mocked === true,
                 };
 
                 // Cache the location
@@ -93,8 +136,9 @@ export const getCurrentLocation = () => {
                 } catch (e) {
                     // Ignore cache errors
                 }
+                await recordLocationHistory(location);
 
-                resolve(location);
+                resolve({ ...location, source: 'fresh' });
             },
             (error) => {
                 console.warn('Location error:', error.message);
@@ -104,7 +148,7 @@ export const getCurrentLocation = () => {
                     .then(cached => {
                         if (cached) {
                             console.log('Using older cached location as fallback');
-                            resolve(JSON.parse(cached));
+                            resolve({ ...JSON.parse(cached), source: 'stale_cache' });
                         } else {
                             reject(error);
                         }
@@ -135,11 +179,12 @@ export const cacheGeofenceSettings = async (settings) => {
 
 /**
  * Get cached geo-fence settings (if valid)
+ * @param {Object} options - { allowExpired: also return settings past the cache duration }
  */
-export const getCachedGeofenceSettings = async () => {
+export const getCachedGeofenceSettings = async ({ allowExpired = false } = {}) => {
     try {
         const expiry = await AsyncStorage.getItem(GEOFENCE_CACHE_EXPIRY);
-        if (!expiry || Date.now() > parseInt(expiry, 10)) {
+        if (!allowExpired && (!expiry || Date.now() > parseInt(expiry, 10))) {
             return null; // Cache expired
         }
 
@@ -157,7 +202,7 @@ export const getCachedGeofenceSettings = async () => {
  * Calculate distance between two coordinates (Haversine formula)
  */
 export const calculateDistance = (lat1, lng1, lat2, lng2) => {
-    const R = 6371e3; // Earth's radius in meters
+    const R = EARTH_RADIUS;
     const φ1 = (lat1 * Math.PI) / 180;
     const φ2 = (lat2 * Math.PI) / 180;
     const Δφ = ((lat2 - lat1) * Math.PI) / 180;
@@ -172,56 +217,230 @@ export const calculateDistance = (lat1, lng1, lat2, lng2) => {
 };
 
 /**
- * Fast geo-fence validation using cached settings
- * Falls back to API if cache is empty/expired
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {Array} polygon - Vertices as [{ lat, lng }], open or closed ring
  */
-export const validateLocationFast = async (latitude, longitude, apiValidateFn) => {
-    // Try cached settings first (instant)
-    const cachedSettings = await getCachedGeofenceSettings();
-
-    if (cachedSettings && cachedSettings.officeLat && cachedSettings.officeLng) {
-        const distance = calculateDistance(
-            latitude,
-            longitude,
-            cachedSettings.officeLat,
-            cachedSettings.officeLng
-        );
+export const isPointInPolygon = (latitude, longitude, polygon) => {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const { lat: latI, lng: lngI } = polygon[i];
+        const { lat: latJ, lng: lngJ } = polygon[j];
 
-        const withinRange = distance <= cachedSettings.radiusMeters;
+        const crosses =
+            latI > latitude !== latJ > latitude &&
+            longitude < ((lngJ - lngI) * (latitude - latI)) / (latJ - latI) + lngI;
+        if (crosses) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
 
-        console.log(`Fast validation: ${distance}m from office (max: ${cachedSettings.radiusMeters}m)`);
+/**
+ * Distance in meters from a point to the nearest polygon edge
+ * Uses a local flat projection around the point, accurate at premises scale
+ */
+export const distanceToPolygonEdge = (latitude, longitude, polygon) => {
+    const cosLat = Math.cos((latitude * Math.PI) / 180);
+    const toLocal = ({ lat, lng }) => ({
+        x: (((lng - longitude) * Math.PI) / 180) * EARTH_RADIUS * cosLat,
+        y: (((lat - latitude) * Math.PI) / 180) * EARTH_RADIUS,
+    });
+
+    let minDistance = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = toLocal(polygon[j]);
+        const b = toLocal(polygon[i]);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+
+        // Closest point on segment AB to the origin (our point)
+        const t = lengthSq === 0
+            ? 0
+            : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+        const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+
+        minDistance = Math.min(minDistance, distance);
+    }
+    return Math.round(minDistance);
+};
+
+const isPolygonBranch = (branch) => {
+    return Array.isArray(branch.polygon) && branch.polygon.length >= 3;
+};
+
+/**
+ * Evaluate a point against a single branch geo-fence (circle or polygon)
+ * @returns {Object} { distance, allowedRadius, withinRange, shape, distanceToEdge }
+ */
+export const evaluateBranchGeofence = (latitude, longitude, branch) => {
+    if (isPolygonBranch(branch)) {
+        const buffer = branch.bufferMeters ?? DEFAULT_POLYGON_BUFFER;
+        const inside = isPointInPolygon(latitude, longitude, branch.polygon);
+        const distanceToEdge = inside
+            ? 0
+            : distanceToPolygonEdge(latitude, longitude, branch.polygon);
 
         return {
-            withinRange,
-            distance,
-            allowedRadius: cachedSettings.radiusMeters,
-            isConfigured: true,
-            fromCache: true,
+            distance: distanceToEdge,
+            allowedRadius: buffer,
+            withinRange: inside || distanceToEdge <= buffer,
+            shape: 'polygon',
+            distanceToEdge,
         };
     }
 
-    // No cache - call API and cache the result
+    const distance = calculateDistance(latitude, longitude, branch.lat, branch.lng);
+    return {
+        distance,
+        allowedRadius: branch.radiusMeters,
+        withinRange: distance <= branch.radiusMeters,
+        shape: 'circle',
+        distanceToEdge: Math.max(0, distance - branch.radiusMeters),
+    };
+};
+
+/**
+ * Normalize geo-fence settings into a list of branches
+ * Accepts { branches: [...] } where each branch is either a circle
+ * ({ branchId, name, lat, lng, radiusMeters }) or a polygon
+ * ({ branchId, name, polygon: [{ lat, lng }], bufferMeters }), and the
+ * legacy single office format ({ officeLat, officeLng, radiusMeters })
+ */
+export const normalizeGeofenceSettings = (settings) => {
+    if (!settings) return [];
+
+    if (Array.isArray(settings.branches)) {
+        return settings.branches.filter(
+            branch =>
+                isPolygonBranch(branch) ||
+                (Number.isFinite(branch.lat) && Number.isFinite(branch.lng)),
+        );
+    }
+
+    if (settings.officeLat && settings.officeLng) {
+        return [{
+            branchId: settings.branchId || null,
+            name: settings.branchName || 'Office',
+            lat: settings.officeLat,
+            lng: settings.officeLng,
+            radiusMeters: settings.radiusMeters,
+        }];
+    }
+
+    return [];
+};
+
+/**
+ * Find the branch the user is closest to
+ * Prefers a branch whose geo-fence contains the point, otherwise the one with the
+ * smallest distance beyond its allowed radius / buffer
+ * @returns {Object|null} { branch, ...evaluateBranchGeofence result }
+ */
+export const findNearestBranch = (latitude, longitude, branches) => {
+    let nearest = null;
+
+    branches.forEach(branch => {
+        const result = evaluateBranchGeofence(latitude, longitude, branch);
+        const excess = Math.max(0, result.distance - result.allowedRadius);
+
+        if (
+            !nearest ||
+            excess < nearest.excess ||
+            (excess === nearest.excess && result.distance < nearest.result.distance)
+        ) {
+            nearest = { branch, excess, result };
+        }
+    });
+
+    return nearest ? { branch: nearest.branch, ...nearest.result } : null;
+};
+
+const validateAgainstBranches = (latitude, longitude, branches, fromCache) => {
+    const { branch, ...match } = findNearestBranch(latitude, longitude, branches);
+
+    console.log(`Fast validation: ${match.distance}m from ${branch.name} ${match.shape} (max: ${match.allowedRadius}m)`);
+
+    return {
+        ...match,
+        isConfigured: true,
+        fromCache,
+        branch: { branchId: branch.branchId, name: branch.name },
+    };
+};
+
+/**
+ * Human readable explanation for an out-of-range validation result
+ */
+export const describeOutOfRange = (validation) => {
+    const place = validation.branch ? validation.branch.name : 'the office';
+
+    if (validation.shape === 'polygon') {
+        return `You are ${validation.distanceToEdge}m outside ${place} premises.\nAllowed: ${validation.allowedRadius}m`;
+    }
+    return `You are ${validation.distance}m away from ${place}.\nAllowed: ${validation.allowedRadius}m`;
+};
+
+/**
+ * Fast geo-fence validation using cached settings
+ * Falls back to the settings API (all branches), then the validate API,
+ * if cache is empty/expired
+ * @param {Function} apiValidateFn - Server-side validation fallback
+ * @param {Function} apiSettingsFn - Fetches geo-fence settings for every branch
+ */
+export const validateLocationFast = async (latitude, longitude, apiValidateFn, apiSettingsFn) => {
+    // Try cached settings first (instant)
+    const cachedBranches = normalizeGeofenceSettings(await getCachedGeofenceSettings());
+
+    if (cachedBranches.length > 0) {
+        return validateAgainstBranches(latitude, longitude, cachedBranches, true);
+    }
+
+    // No cache - fetch every branch so staff can punch at any outlet
+    if (apiSettingsFn) {
+        try {
+            const settings = await apiSettingsFn();
+            const branches = normalizeGeofenceSettings(settings);
+
+            if (settings?.policy) {
+                await cacheGeofencePolicy(settings.policy);
+            }
+
+            if (branches.length > 0) {
+                await cacheGeofenceSettings({ branches });
+                return validateAgainstBranches(latitude, longitude, branches, false);
+            }
+        } catch (error) {
+            console.log('Geo-fence settings fetch failed, using validate API');
+        }
+    }
+
     try {
         const result = await apiValidateFn(latitude, longitude);
 
-        // Cache the settings for next time
-        if (result.officeLocation) {
-            await cacheGeofenceSettings({
-                officeLat: result.officeLocation.lat,
-                officeLng: result.officeLocation.lng,
-                radiusMeters: result.allowedRadius,
-            });
+        if (result.policy) {
+            await cacheGeofencePolicy(result.policy);
+        }
+
+        // Cache the settings for next time - only when the full branch list came back,
+        // caching the one matched office would reject staff at every other outlet
+        const branches = normalizeGeofenceSettings({ branches: result.branches });
+        if (branches.length > 0) {
+            await cacheGeofenceSettings({ branches });
         }
 
-        return result;
+        return { ...result, branch: result.branch || null };
     } catch (error) {
-        // If API fails and no cache, allow access
-        console.log('API failed, no cache - allowing access');
+        // API failed and no cache - let the geo-fence policy decide
+        console.log('API failed, no cache - location unverified');
         return {
-            withinRange: true,
-            distance: 0,
+            withinRange: false,
+            distance: null,
             allowedRadius: 0,
             isConfigured: false,
+            unavailable: true,
+            branch: null,
         };
     }
 };
@@ -235,6 +454,7 @@ export const clearLocationCache = async () => {
             GEOFENCE_CACHE_KEY,
             GEOFENCE_CACHE_EXPIRY,
             LAST_LOCATION_KEY,
+            LOCATION_HISTORY_KEY,
         ]);
     } catch (error) {
         console.error('Error clearing cache:', error);
@@ -244,9 +464,16 @@ export const clearLocationCache = async () => {
 export default {
     requestLocationPermission,
     getCurrentLocation,
+    getLocationHistory,
     calculateDistance,
+    isPointInPolygon,
+    distanceToPolygonEdge,
+    evaluateBranchGeofence,
+    describeOutOfRange,
     cacheGeofenceSettings,
     getCachedGeofenceSettings,
+    normalizeGeofenceSettings,
+    findNearestBranch,
     validateLocationFast,
     clearLocationCache,
 };
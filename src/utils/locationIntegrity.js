@@ -0,0 +1,123 @@
+/**
+ * Location integrity checks for attendance punches
+ * Flags mock providers, impossible jumps, implausible accuracy and stale fixes
+ * so HR can audit suspicious punches
+ */
+
+import { getLocationHistory, calculateDistance } from './location';
+
+// Faster than any road vehicle between two punches (~250 km/h)
+const MAX_PLAUSIBLE_SPEED = 70; // meters per second
+
+// Ignore jumps smaller than typical GPS / network location error
+const MIN_JUMP_DISTANCE = 500; // meters
+
+// Fixes older than this are not proof of where the employee is now
+const MAX_LOCATION_AGE = 2 * 60 * 1000;
+
+// Consumer GPS never reports sub-meter accuracy
+const MIN_PLAUSIBLE_ACCURACY = 1; // meters
+
+// Identical coordinates and accuracy across this many distinct fixes means a frozen/fed location
+const FROZEN_FIX_COUNT = 3;
+
+export const INTEGRITY_FLAGS = {
+    MOCK_PROVIDER: 'mock_provider',
+    IMPOSSIBLE_JUMP: 'impossible_jump',
+    PERFECT_ACCURACY: 'perfect_accuracy',
+    MISSING_ACCURACY: 'missing_accuracy',
+    FROZEN_LOCATION: 'frozen_location',
+    STALE_LOCATION: 'stale_location',
+    STALE_FALLBACK: 'stale_fallback',
+};
+
+const isSameFix = (a, b) => {
+    return a.latitude === b.latitude &&
+        a.longitude === b.longitude &&
+        a.accuracy === b.accuracy;
+};
+
+/**
+ * Assess how trustworthy a location from getCurrentLocation is
+ * @param {Object} location - Location with source, mocked, accuracy and timestamps
+ * @returns {Promise<Object>} { verdict: 'clean' | 'suspicious' | 'spoofed', flags, ... }
+ */
+export const assessLocationIntegrity = async (location) => {
+    const flags = [];
+    const fixTime = location.positionTimestamp || location.timestamp;
+    const ageMs = Date.now() - fixTime;
+
+    if (location.mocked) {
+        flags.push(INTEGRITY_FLAGS.MOCK_PROVIDER);
+    }
+
+    if (location.source === 'stale_cache') {
+        flags.push(INTEGRITY_FLAGS.STALE_FALLBACK);
+    } else if (ageMs > MAX_LOCATION_AGE) {
+        flags.push(INTEGRITY_FLAGS.STALE_LOCATION);
+    }
+
+    if (location.accuracy == null) {
+        flags.push(INTEGRITY_FLAGS.MISSING_ACCURACY);
+    } else if (location.accuracy < MIN_PLAUSIBLE_ACCURACY) {
+        flags.push(INTEGRITY_FLAGS.PERFECT_ACCURACY);
+    }
+
+    const history = await getLocationHistory();
+
+    // Compare against the last fix taken before this one
+    const previous = [...history]
+        .reverse()
+        .find(fix => fix.timestamp < location.timestamp);
+    if (previous) {
+        const distance = calculateDistance(
+            previous.latitude,
+            previous.longitude,
+            location.latitude,
+            location.longitude,
+        );
+        const elapsedSeconds = Math.max((location.timestamp - previous.timestamp) / 1000, 1);
+
+        if (distance > MIN_JUMP_DISTANCE && distance / elapsedSeconds > MAX_PLAUSIBLE_SPEED) {
+            flags.push(INTEGRITY_FLAGS.IMPOSSIBLE_JUMP);
+        }
+    }
+
+    // Real GPS jitters; a run of byte-identical fixes is being fed. A cached fix
+    // handed back again (same positionTimestamp) only counts once
+    const distinct = history.filter((fix, i) =>
+        i === 0 || fix.positionTimestamp !== history[i - 1].positionTimestamp);
+    const recent = distinct.slice(-FROZEN_FIX_COUNT);
+    if (
+        location.source === 'fresh' &&
+        recent.length === FROZEN_FIX_COUNT &&
+        recent.every(fix => isSameFix(fix, recent[0]))
+    ) {
+        flags.push(INTEGRITY_FLAGS.FROZEN_LOCATION);
+    }
+
+    let verdict = 'clean';
+    if (flags.includes(INTEGRITY_FLAGS.MOCK_PROVIDER)) {
+        verdict = 'spoofed';
+    } else if (flags.length > 0) {
+        verdict = 'suspicious';
+    }
+
+    if (verdict !== 'clean') {
+        console.warn(`Location integrity ${verdict}: ${flags.join(', ')}`);
+    }
+
+    return {
+        verdict,
+        flags,
+        source: location.source || 'unknown',
+        accuracy: location.accuracy ?? null,
+        ageMs,
+        checkedAt: new Date().toISOString(),
+    };
+};
+
+export default {
+    INTEGRITY_FLAGS,
+    assessLocationIntegrity,
+};
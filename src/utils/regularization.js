@@ -0,0 +1,125 @@
+/**
+ * Attendance regularization helpers for SRM Sweets Mobile App
+ * Employees request corrected check-in/check-out times for missed or wrong
+ * punches; a manager approves or rejects the request
+ */
+
+import { DEFAULT_TIMEZONE, addDays, toBusinessDateKey } from './datetime';
+
+export const REGULARIZATION_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled',
+};
+
+// Corrections can only be requested for this many days back
+export const REGULARIZATION_WINDOW_DAYS = 30;
+
+// Longest session a correction can create
+const MAX_SESSION_HOURS = 16;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Key linking a request to its attendance record (records without punches only have a date)
+ */
+export const getRecordKey = (record) => record?.attendanceId || record?.date;
+
+/**
+ * Newest request for each attendance record
+ * @param {Array} requests - Regularization requests, newest first
+ * @returns {Object} { [attendanceId or date]: request }
+ */
+export const getLatestRegularizations = (requests) => {
+    const latest = {};
+    (requests || []).forEach(request => {
+        const key = request.attendanceId || request.date;
+        if (key && !latest[key]) {
+            latest[key] = request;
+        }
+    });
+    return latest;
+};
+
+/**
+ * Correction state of a record for the history lists
+ * @returns {string|null} 'regularized', 'pending', 'rejected' or null
+ */
+export const getCorrectionStatus = (record, latestRequests = {}) => {
+    if (record?.regularized) return 'regularized';
+
+    const request = latestRequests[getRecordKey(record)];
+    switch (request?.status) {
+        case REGULARIZATION_STATUS.APPROVED:
+            return 'regularized';
+        case REGULARIZATION_STATUS.PENDING:
+            return 'pending';
+        case REGULARIZATION_STATUS.REJECTED:
+            return 'rejected';
+        default:
+            return null;
+    }
+};
+
+/**
+ * Whether a correction can be requested for a history record
+ * @param {Object} record - Attendance record
+ * @param {Object} latestRequests - From getLatestRegularizations
+ * @param {string} today - Business date (YYYY-MM-DD)
+ */
+export const canRequestRegularization = (record, latestRequests = {}, today) => {
+    if (!record?.date || record.status === 'on-leave') return false;
+    if (record.date > today || record.date < addDays(today, -REGULARIZATION_WINDOW_DAYS)) return false;
+    return latestRequests[getRecordKey(record)]?.status !== REGULARIZATION_STATUS.PENDING;
+};
+
+/**
+ * Check corrected times before sending them
+ * @param {Object} correction - { checkInTime, checkOutTime } as Dates (checkOutTime may be null)
+ * @param {Object} record - Attendance record being corrected
+ * @param {Object} options - { timeZone, now }
+ * @returns {string|null} Problem with the times, or null when they are valid
+ */
+export const validateCorrection = (
+    { checkInTime, checkOutTime },
+    record,
+    { timeZone = DEFAULT_TIMEZONE, now = new Date() } = {},
+) => {
+    if (!checkInTime) {
+        return 'Please enter a check-in time.';
+    }
+    if (toBusinessDateKey(checkInTime, timeZone) !== record.date) {
+        return 'Check-in must be on the day being corrected.';
+    }
+    if (checkInTime > now || (checkOutTime && checkOutTime > now)) {
+        return 'Times cannot be in the future.';
+    }
+    if (checkOutTime) {
+        if (checkOutTime <= checkInTime) {
+            return 'Check-out must be after check-in.';
+        }
+        if (checkOutTime - checkInTime > MAX_SESSION_HOURS * 60 * MINUTE) {
+            return `A session cannot be longer than ${MAX_SESSION_HOURS} hours.`;
+        }
+    }
+
+    const sameTime = (value, original) => {
+        if (!value || !original) return !value && !original;
+        return Math.abs(value - new Date(original)) < MINUTE;
+    };
+    if (sameTime(checkInTime, record.checkInTime) && sameTime(checkOutTime, record.checkOutTime)) {
+        return 'The times are the same as the current record.';
+    }
+    return null;
+};
+
+export default {
+    REGULARIZATION_STATUS,
+    REGULARIZATION_WINDOW_DAYS,
+    getRecordKey,
+    getLatestRegularizations,
+    getCorrectionStatus,
+    canRequestRegularization,
+    validateCorrection,
+};
@@ -4,14 +4,20 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { calculateBreakMinutes } from './breaks';
+import { DEFAULT_TIMEZONE, getBusinessDayBounds } from './datetime';
 
 const SESSION_KEY = '@srm_session';
 const EMPLOYEE_KEY = '@srm_employee';
+const AUTH_KEY = '@srm_auth';
+const LAST_PUNCH_KEY = '@srm_last_punch';
 
 /**
  * Save employee session after successful check-in
+ * @param {Object} employee - Employee returned by the server
+ * @param {Object} auth - Optional tokens issued with the response ({ token, refreshToken, expiresIn })
  */
-export const saveSession = async (employee) => {
+export const saveSession = async (employee, auth = null) => {
     try {
         const session = {
             employeeId: employee.employeeId,
@@ -22,6 +28,9 @@ export const saveSession = async (employee) => {
         };
         await AsyncStorage.setItem(SESSION_KEY, JSON.stringify(session));
         await AsyncStorage.setItem(EMPLOYEE_KEY, JSON.stringify(employee));
+        if (auth?.token) {
+            await saveAuthTokens(auth);
+        }
         return true;
     } catch (error) {
         console.error('Error saving session:', error);
@@ -29,6 +38,46 @@ export const saveSession = async (employee) => {
     }
 };
 
+/**
+ * Persist auth tokens issued by the server
+ * @param {Object} auth - { token, refreshToken, expiresIn (seconds) or expiresAt (ISO/ms) }
+ */
+export const saveAuthTokens = async ({ token, refreshToken, expiresIn, expiresAt }) => {
+    let expiry = null;
+    if (expiresAt) {
+        expiry = new Date(expiresAt).getTime();
+    } else if (expiresIn) {
+        expiry = Date.now() + expiresIn * 1000;
+    }
+
+    await AsyncStorage.setItem(
+        AUTH_KEY,
+        JSON.stringify({ token, refreshToken: refreshToken || null, expiresAt: expiry }),
+    );
+};
+
+/**
+ * Get stored auth tokens (if any)
+ * @returns {Promise<Object|null>} { token, refreshToken, expiresAt }
+ */
+export const getAuthTokens = async () => {
+    try {
+        const auth = await AsyncStorage.getItem(AUTH_KEY);
+        return auth ? JSON.parse(auth) : null;
+    } catch (error) {
+        console.error('Error getting auth tokens:', error);
+        return null;
+    }
+};
+
+/**
+ * Whether the access token is expired (or about to, within 30 seconds)
+ */
+export const isTokenExpired = (auth) => {
+    if (!auth?.expiresAt) return false;
+    return Date.now() > auth.expiresAt - 30 * 1000;
+};
+
 /**
  * Get current session (if exists)
  */
@@ -55,6 +104,20 @@ export const getSavedEmployee = async () => {
     }
 };
 
+/**
+ * Replace the saved employee with fresh details from the server (e.g. a changed role)
+ * @param {Object} employee - Employee returned by getEmployee
+ */
+export const updateSavedEmployee = async (employee) => {
+    try {
+        await AsyncStorage.setItem(EMPLOYEE_KEY, JSON.stringify(employee));
+        return true;
+    } catch (error) {
+        console.error('Error updating employee:', error);
+        return false;
+    }
+};
+
 /**
  * Check if user is logged in (has valid session)
  */
@@ -68,8 +131,7 @@ export const isLoggedIn = async () => {
  */
 export const clearSession = async () => {
     try {
-        await AsyncStorage.removeItem(SESSION_KEY);
-        await AsyncStorage.removeItem(EMPLOYEE_KEY);
+        await AsyncStorage.multiRemove([SESSION_KEY, EMPLOYEE_KEY, AUTH_KEY, LAST_PUNCH_KEY]);
         return true;
     } catch (error) {
         console.error('Error clearing session:', error);
@@ -77,38 +139,188 @@ export const clearSession = async () => {
     }
 };
 
+/**
+ * Remember the last punch made on this device (including punches queued offline)
+ * @param {Object} punch - { employeeId, type: 'check-in' | 'check-out' | 'break-start' | 'break-end', breakType, timestamp }
+ */
+export const saveLastPunch = async ({ employeeId, type, breakType = null, timestamp = new Date().toISOString() }) => {
+    try {
+        await AsyncStorage.setItem(
+            LAST_PUNCH_KEY,
+            JSON.stringify({ employeeId, type, breakType, timestamp }),
+        );
+    } catch (error) {
+        console.error('Error saving last punch:', error);
+    }
+};
+
+/**
+ * Get the last punch made on this device
+ * @returns {Promise<Object|null>} { employeeId, type, breakType, timestamp }
+ */
+export const getLastPunch = async () => {
+    try {
+        const punch = await AsyncStorage.getItem(LAST_PUNCH_KEY);
+        return punch ? JSON.parse(punch) : null;
+    } catch (error) {
+        console.error('Error getting last punch:', error);
+        return null;
+    }
+};
+
+// Expected punch after each punch type
+const NEXT_ACTIONS = {
+    'check-in': 'check-out',
+    'break-start': 'break-end',
+    'break-end': 'check-out',
+    'check-out': 'check-in',
+};
+
+/**
+ * Work out the employee's next punch (check-in, check-out or ending a break)
+ * Uses the newest of: the latest attendance record, the last punch on this
+ * device and punches still waiting in the offline outbox
+ * @param {Object} state - { records, lastPunch, pendingPunches, employeeId }
+ * @returns {Object} { action, lastAction, lastPunchTime, source, onShift, activeBreak }
+ */
+export const determineNextAction = ({ records = [], lastPunch = null, pendingPunches = [], employeeId = null }) => {
+    const events = [];
+
+    records.forEach((record) => {
+        if (record.checkInTime) {
+            events.push({ type: 'check-in', time: record.checkInTime, source: 'history' });
+        }
+        if (record.checkOutTime) {
+            events.push({ type: 'check-out', time: record.checkOutTime, source: 'history' });
+        }
+        (record.breaks || []).forEach((breakItem) => {
+            events.push({ type: 'break-start', breakType: breakItem.type, time: breakItem.startTime, source: 'history' });
+            if (breakItem.endTime) {
+                events.push({ type: 'break-end', breakType: breakItem.type, time: breakItem.endTime, source: 'history' });
+            }
+        });
+    });
+
+    if (lastPunch && (!employeeId || lastPunch.employeeId === employeeId)) {
+        events.push({
+            type: lastPunch.type,
+            breakType: lastPunch.breakType,
+            time: lastPunch.timestamp,
+            source: 'device',
+        });
+    }
+
+    pendingPunches.forEach((punch) => {
+        events.push({
+            type: punch.type,
+            breakType: punch.breakType,
+            time: punch.deviceTimestamp,
+            source: 'outbox',
+        });
+    });
+
+    const latest = events.reduce((newest, event) => {
+        return !newest || new Date(event.time) > new Date(newest.time) ? event : newest;
+    }, null);
+
+    if (!latest) {
+        return {
+            action: 'check-in',
+            lastAction: null,
+            lastPunchTime: null,
+            source: null,
+            onShift: false,
+            activeBreak: null,
+        };
+    }
+
+    return {
+        action: NEXT_ACTIONS[latest.type] || 'check-in',
+        lastAction: latest.type,
+        lastPunchTime: latest.time,
+        source: latest.source,
+        onShift: latest.type !== 'check-out',
+        activeBreak: latest.type === 'break-start'
+            ? { type: latest.breakType || null, startTime: latest.time }
+            : null,
+    };
+};
+
+/**
+ * Attendance records that fall on a business day: records dated that day plus
+ * night shifts from the day before that run past midnight into it
+ * @param {Array} attendanceRecords - Attendance records (any days)
+ * @param {string} date - Business date as YYYY-MM-DD
+ * @param {Object} options - { timeZone, now }
+ */
+export const getRecordsForDay = (attendanceRecords, date, { timeZone = DEFAULT_TIMEZONE, now = new Date() } = {}) => {
+    const { start, end } = getBusinessDayBounds(date, timeZone);
+    return (attendanceRecords || []).filter((record) => {
+        if (record.date === date) return true;
+        if (!record.checkInTime) return false;
+        const checkOut = record.checkOutTime ? new Date(record.checkOutTime) : now;
+        return new Date(record.checkInTime) < end && checkOut > start;
+    });
+};
+
 /**
  * Calculate total work duration for today (handles multiple check-ins/outs)
+ * Break time inside a session is reported separately and not counted as work
+ * With a `date`, sessions crossing midnight only count their part within that
+ * business day, so a night shift is split across the two days
  * @param {Array} attendanceRecords - Array of attendance records for today
- * @returns {Object} { totalMinutes, formattedDuration, sessions }
+ * @param {Object} options - { date: YYYY-MM-DD business day, timeZone, now }
+ * @returns {Object} { totalMinutes, formattedDuration, breakMinutes, formattedBreakDuration, sessions }
  */
-export const calculateTodayDuration = (attendanceRecords) => {
+export const calculateTodayDuration = (attendanceRecords, { date = null, timeZone, now = new Date() } = {}) => {
     if (!attendanceRecords || attendanceRecords.length === 0) {
-        return { totalMinutes: 0, formattedDuration: '0h 0m', sessions: [] };
+        return {
+            totalMinutes: 0,
+            formattedDuration: '0h 0m',
+            breakMinutes: 0,
+            formattedBreakDuration: '0h 0m',
+            sessions: [],
+        };
     }
 
     let totalMinutes = 0;
+    let breakMinutes = 0;
     const sessions = [];
+    const day = date ? getBusinessDayBounds(date, timeZone || DEFAULT_TIMEZONE) : null;
+    const timeFormat = { hour: '2-digit', minute: '2-digit', timeZone };
 
     attendanceRecords.forEach((record) => {
         if (record.checkInTime) {
             const checkIn = new Date(record.checkInTime);
             const checkOut = record.checkOutTime
                 ? new Date(record.checkOutTime)
-                : new Date(); // Use current time if not checked out
+                : now; // Use current time if not checked out
 
-            const diffMs = checkOut - checkIn;
+            // Clip to the business day when one is given
+            const start = day && checkIn < day.start ? day.start : checkIn;
+            const end = day && checkOut > day.end ? day.end : checkOut;
+
+            const diffMs = end - start;
             const diffMins = Math.floor(diffMs / (1000 * 60));
 
             if (diffMins > 0) {
-                totalMinutes += diffMins;
+                const sessionBreakMins = calculateBreakMinutes(record.breaks, start, end, now);
+                const workedMins = Math.max(0, diffMins - sessionBreakMins);
+
+                totalMinutes += workedMins;
+                breakMinutes += sessionBreakMins;
                 sessions.push({
-                    checkIn: checkIn.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+                    checkIn: checkIn.toLocaleTimeString('en-US', timeFormat),
                     checkOut: record.checkOutTime
-                        ? checkOut.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
+                        ? checkOut.toLocaleTimeString('en-US', timeFormat)
                         : 'Active',
-                    duration: formatMinutes(diffMins),
+                    duration: formatMinutes(workedMins),
+                    breakDuration: sessionBreakMins > 0 ? formatMinutes(sessionBreakMins) : null,
                     isActive: !record.checkOutTime,
+                    isOnBreak: !record.checkOutTime &&
+                        (record.breaks || []).some((breakItem) => !breakItem.endTime),
+                    startsPreviousDay: start > checkIn,
+                    endsNextDay: end < checkOut,
                 });
             }
         }
@@ -117,6 +329,8 @@ export const calculateTodayDuration = (attendanceRecords) => {
     return {
         totalMinutes,
         formattedDuration: formatMinutes(totalMinutes),
+        breakMinutes,
+        formattedBreakDuration: formatMinutes(breakMinutes),
         sessions,
     };
 };
@@ -132,10 +346,18 @@ export const formatMinutes = (totalMinutes) => {
 
 export default {
     saveSession,
+    saveAuthTokens,
+    getAuthTokens,
+    isTokenExpired,
     getSession,
     getSavedEmployee,
+    updateSavedEmployee,
     isLoggedIn,
     clearSession,
+    saveLastPunch,
+    getLastPunch,
+    determineNextAction,
+    getRecordsForDay,
     calculateTodayDuration,
     formatMinutes,
 };
@@ -0,0 +1,172 @@
+/**
+ * Shift schedule helpers for SRM Sweets Mobile App
+ * Works out shift windows, the late-arrival cutoff and countdowns from the
+ * employee's schedule ({ name, startTime, endTime, graceMinutes, breaks }).
+ * Shift times are wall-clock times in the branch timezone.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_TIMEZONE, toBusinessDateKey, addDays, zonedDateTime } from './datetime';
+
+const SHIFT_KEY = '@srm_shift_schedule';
+
+// Start warning about a late mark this long before the cutoff
+export const LATE_WARNING_WINDOW = 60; // minutes
+
+const MINUTE = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+};
+
+// Minutes from one "HH:mm" to the next, wrapping past midnight
+const spanMinutes = (startTime, endTime) => {
+    const span = (toMinutes(endTime) - toMinutes(startTime) + DAY_MINUTES) % DAY_MINUTES;
+    return span === 0 ? DAY_MINUTES : span;
+};
+
+// Business date of a day given as a Date or a YYYY-MM-DD key
+const toDayKey = (day, timeZone) => {
+    return typeof day === 'string' ? day : toBusinessDateKey(day, timeZone);
+};
+
+/**
+ * Cache the employee's shift so the dashboard works offline
+ */
+export const cacheShiftSchedule = async (employeeId, shift) => {
+    try {
+        await AsyncStorage.setItem(SHIFT_KEY, JSON.stringify({ employeeId, shift }));
+    } catch (error) {
+        console.error('Error caching shift schedule:', error);
+    }
+};
+
+/**
+ * Get the cached shift for an employee
+ * @returns {Promise<Object|null>} Shift schedule
+ */
+export const getCachedShiftSchedule = async (employeeId) => {
+    try {
+        const cached = await AsyncStorage.getItem(SHIFT_KEY);
+        if (cached) {
+            const parsed = JSON.parse(cached);
+            return parsed.employeeId === employeeId ? parsed.shift : null;
+        }
+    } catch (error) {
+        console.error('Error reading shift schedule:', error);
+    }
+    return null;
+};
+
+/**
+ * Instant for an "HH:mm" time on the given business day
+ * @param {string} time - HH:mm in the branch timezone
+ * @param {Date|string} day - Instant within the day, or its YYYY-MM-DD key
+ * @param {string} timeZone - Branch timezone
+ */
+export const parseShiftTime = (time, day = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+    return zonedDateTime(toDayKey(day, timeZone), time, timeZone);
+};
+
+/**
+ * Shift window for the given business day; overnight shifts end the next day
+ * @param {Date|string} day - Instant within the day, or its YYYY-MM-DD key
+ * @returns {Object} { start, end, lateAt } as Dates
+ */
+export const getShiftWindow = (shift, day = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+    const dateKey = toDayKey(day, timeZone);
+    const start = zonedDateTime(dateKey, shift.startTime, timeZone);
+    let end = zonedDateTime(dateKey, shift.endTime, timeZone);
+    if (end <= start) {
+        end = zonedDateTime(addDays(dateKey, 1), shift.endTime, timeZone);
+    }
+    const lateAt = new Date(start.getTime() + (shift.graceMinutes || 0) * MINUTE);
+    return { start, end, lateAt };
+};
+
+/**
+ * Scheduled working minutes: the shift span minus its break windows
+ */
+export const getShiftLengthMinutes = (shift) => {
+    const breakMinutes = (shift.breaks || []).reduce((total, breakWindow) => {
+        return total + spanMinutes(breakWindow.start, breakWindow.end);
+    }, 0);
+    return Math.max(0, spanMinutes(shift.startTime, shift.endTime) - breakMinutes);
+};
+
+/**
+ * Where the employee stands against today's shift
+ * @param {Object} shift - Shift schedule
+ * @param {Date} now - Current time
+ * @param {boolean} checkedIn - Whether the employee has checked in for this shift
+ * @param {string} timeZone - Branch timezone
+ * @returns {Object} { phase, msToStart, msToLate, window }
+ * phase: 'upcoming' | 'late-warning' | 'grace' | 'late' | 'on-shift' | 'ended'
+ */
+export const getShiftStatus = (shift, now = new Date(), checkedIn = false, timeZone = DEFAULT_TIMEZONE) => {
+    // An overnight shift that started yesterday may still be running
+    const today = toBusinessDateKey(now, timeZone);
+    const previous = getShiftWindow(shift, addDays(today, -1), timeZone);
+    const window = now < previous.end ? previous : getShiftWindow(shift, today, timeZone);
+
+    const msToStart = window.start - now;
+    const msToLate = window.lateAt - now;
+
+    let phase;
+    if (now >= window.end) {
+        phase = 'ended';
+    } else if (checkedIn) {
+        phase = now >= window.start ? 'on-shift' : 'upcoming';
+    } else if (msToLate <= 0) {
+        phase = 'late';
+    } else if (msToStart <= 0) {
+        phase = 'grace';
+    } else if (msToLate <= LATE_WARNING_WINDOW * MINUTE) {
+        phase = 'late-warning';
+    } else {
+        phase = 'upcoming';
+    }
+
+    return { phase, msToStart, msToLate, window };
+};
+
+/**
+ * Countdown text such as "2h 05m" or "4m 30s"
+ */
+export const formatCountdown = (ms) => {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) {
+        return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+};
+
+/**
+ * "09:00 AM" style label for an "HH:mm" shift time
+ */
+export const formatShiftTime = (time) => {
+    const minutes = toMinutes(time);
+    return new Date(Date.UTC(2000, 0, 1, Math.floor(minutes / 60), minutes % 60)).toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: 'UTC',
+    });
+};
+
+export default {
+    LATE_WARNING_WINDOW,
+    cacheShiftSchedule,
+    getCachedShiftSchedule,
+    parseShiftTime,
+    getShiftWindow,
+    getShiftLengthMinutes,
+    getShiftStatus,
+    formatCountdown,
+    formatShiftTime,
+};
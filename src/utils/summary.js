@@ -0,0 +1,146 @@
+/**
+ * Work-hour summaries for SRM Sweets Mobile App
+ * Aggregates attendance records per week and month with overtime,
+ * late arrival and half-day counts. Weeks, months and days follow the
+ * branch timezone.
+ */
+
+import { calculateTodayDuration, getRecordsForDay, formatMinutes } from './session';
+import { getShiftLengthMinutes } from './shift';
+import { DEFAULT_TIMEZONE, toBusinessDateKey, addDays } from './datetime';
+
+// Standard shift length used when the employee has none configured
+export const DEFAULT_SHIFT_MINUTES = 8 * 60;
+
+/**
+ * Shift length for overtime: the scheduled shift, the employee's configured
+ * shift length, else the default
+ */
+export const getShiftMinutes = (employee, shift = null) => {
+    if (shift?.startTime && shift?.endTime) return getShiftLengthMinutes(shift);
+    if (employee?.shiftMinutes) return employee.shiftMinutes;
+    if (employee?.shiftHours) return Math.round(employee.shiftHours * 60);
+    return DEFAULT_SHIFT_MINUTES;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Monday-to-Sunday business week containing the instant
+ * @returns {Object} { from, to } as YYYY-MM-DD
+ */
+export const getWeekRange = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+    const today = toBusinessDateKey(date, timeZone);
+    const [year, month, day] = today.split('-').map(Number);
+    const daysSinceMonday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+    const from = addDays(today, -daysSinceMonday);
+    return { from, to: addDays(from, 6) };
+};
+
+/**
+ * Calendar month containing the instant's business day
+ * @returns {Object} { from, to } as YYYY-MM-DD
+ */
+export const getMonthRange = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+    const [year, month] = toBusinessDateKey(date, timeZone).split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return { from: `${year}-${pad(month)}-01`, to: `${year}-${pad(month)}-${pad(lastDay)}` };
+};
+
+// Business days a record's session touches; a night shift runs into the next day
+const getSessionDays = (record, timeZone, now) => {
+    const days = [record.date];
+    if (!record.date || !record.checkInTime) return days;
+
+    const lastDay = toBusinessDateKey(record.checkOutTime ? new Date(record.checkOutTime) : now, timeZone);
+    for (let day = addDays(record.date, 1); day <= lastDay; day = addDays(day, 1)) {
+        days.push(day);
+    }
+    return days;
+};
+
+/**
+ * Summarize attendance records within a date range
+ * Sessions crossing midnight are split between the two business days; a day
+ * counts as worked, and its status comes from its first session (the one that
+ * decides lateness), only when a record is dated that day
+ * @param {Array} records - Attendance records (any order, may span several days)
+ * @param {Object} options - { from, to } YYYY-MM-DD bounds, shiftMinutes for overtime, timeZone, now
+ * @returns {Object} { daysWorked, totalMinutes, overtimeMinutes, lateCount, halfDayCount, averageMinutes, ... }
+ */
+export const summarizeAttendance = (records, {
+    from,
+    to,
+    shiftMinutes = DEFAULT_SHIFT_MINUTES,
+    timeZone = DEFAULT_TIMEZONE,
+    now = new Date(),
+} = {}) => {
+    const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+    const dates = new Set();
+    (records || []).forEach(record => {
+        getSessionDays(record, timeZone, now).filter(inRange).forEach(date => dates.add(date));
+    });
+
+    let totalMinutes = 0;
+    let overtimeMinutes = 0;
+    let lateCount = 0;
+    let halfDayCount = 0;
+    let daysWorked = 0;
+
+    dates.forEach(date => {
+        const dayRecords = getRecordsForDay(records, date, { timeZone, now });
+        const { totalMinutes: dayMinutes } = calculateTodayDuration(dayRecords, { date, timeZone, now });
+        totalMinutes += dayMinutes;
+        overtimeMinutes += Math.max(0, dayMinutes - shiftMinutes);
+
+        const ownRecords = dayRecords.filter(record => record.date === date);
+        if (ownRecords.length === 0) return;
+
+        daysWorked++;
+        const first = [...ownRecords].sort(
+            (a, b) => new Date(a.checkInTime) - new Date(b.checkInTime),
+        )[0];
+        if (first.status === 'late') lateCount++;
+        if (first.status === 'half-day') halfDayCount++;
+    });
+
+    const averageMinutes = daysWorked > 0 ? Math.round(totalMinutes / daysWorked) : 0;
+
+    return {
+        daysWorked,
+        totalMinutes,
+        overtimeMinutes,
+        lateCount,
+        halfDayCount,
+        averageMinutes,
+        formattedTotal: formatMinutes(totalMinutes),
+        formattedOvertime: formatMinutes(overtimeMinutes),
+        formattedAverage: formatMinutes(averageMinutes),
+    };
+};
+
+/**
+ * Summary for the business week containing the date
+ * @param {Object} options - { shiftMinutes, timeZone }
+ */
+export const summarizeWeek = (records, date = new Date(), options = {}) => {
+    return summarizeAttendance(records, { ...getWeekRange(date, options.timeZone), now: date, ...options });
+};
+
+/**
+ * Summary for the month containing the date
+ * @param {Object} options - { shiftMinutes, timeZone }
+ */
+export const summarizeMonth = (records, date = new Date(), options = {}) => {
+    return summarizeAttendance(records, { ...getMonthRange(date, options.timeZone), now: date, ...options });
+};
+
+export default {
+    DEFAULT_SHIFT_MINUTES,
+    getShiftMinutes,
+    getWeekRange,
+    getMonthRange,
+    summarizeAttendance,
+    summarizeWeek,
+    summarizeMonth,
+};
@@ -0,0 +1,103 @@
+/**
+ * Team helpers for SRM Sweets Mobile App
+ * Manager mode is shown to supervisors based on the `role` field returned by
+ * getEmployee; the roster counts who is in now and who arrived late
+ */
+
+import { DEFAULT_TIMEZONE, toBusinessDateKey, zonedDateTime } from './datetime';
+
+export const ROLES = {
+    EMPLOYEE: 'employee',
+    SUPERVISOR: 'supervisor',
+    MANAGER: 'manager',
+    ADMIN: 'admin',
+};
+
+// Roles that see the team roster and approve requests
+const MANAGER_ROLES = [ROLES.SUPERVISOR, ROLES.MANAGER, ROLES.ADMIN];
+
+export const TEAM_STATUS = {
+    CHECKED_IN: 'checked-in',
+    ON_BREAK: 'on-break',
+    CHECKED_OUT: 'checked-out',
+    NOT_CHECKED_IN: 'not-checked-in',
+    ABSENT: 'absent',
+    ON_LEAVE: 'on-leave',
+};
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Role of an employee, lower-cased; employees without one are regular employees
+ */
+export const getRole = (employee) => String(employee?.role || ROLES.EMPLOYEE).toLowerCase();
+
+/**
+ * Whether the employee can use manager mode
+ */
+export const isManager = (employee) => MANAGER_ROLES.includes(getRole(employee));
+
+/**
+ * Whether a team member is at work right now (on a break counts as in)
+ */
+export const isCheckedInNow = (member) => {
+    return member.status === TEAM_STATUS.CHECKED_IN || member.status === TEAM_STATUS.ON_BREAK;
+};
+
+/**
+ * Minutes a team member checked in after their shift start, 0 when on time or
+ * within the grace period. Uses the server's `lateMinutes` when it sends one.
+ * @param {Object} member - Roster entry with `checkInTime` and `shift` ({ startTime, graceMinutes })
+ * @param {string} timeZone - Branch timezone
+ */
+export const getLateMinutes = (member, timeZone = DEFAULT_TIMEZONE) => {
+    if (typeof member.lateMinutes === 'number') return Math.max(0, member.lateMinutes);
+    if (!member.checkInTime || !member.shift?.startTime) return 0;
+
+    const checkIn = new Date(member.checkInTime);
+    const start = zonedDateTime(toBusinessDateKey(checkIn, timeZone), member.shift.startTime, timeZone);
+    const lateAt = start.getTime() + (member.shift.graceMinutes || 0) * MINUTE;
+    return checkIn > lateAt ? Math.round((checkIn - start) / MINUTE) : 0;
+};
+
+/**
+ * Head counts for the roster summary
+ * @returns {Object} { total, checkedIn, onBreak, late, notIn, onLeave }
+ */
+export const summarizeTeam = (team, timeZone = DEFAULT_TIMEZONE) => {
+    const summary = { total: 0, checkedIn: 0, onBreak: 0, late: 0, notIn: 0, onLeave: 0 };
+    (team || []).forEach(member => {
+        summary.total++;
+        if (isCheckedInNow(member)) summary.checkedIn++;
+        if (member.status === TEAM_STATUS.ON_BREAK) summary.onBreak++;
+        if (member.status === TEAM_STATUS.ON_LEAVE) summary.onLeave++;
+        if (member.status === TEAM_STATUS.NOT_CHECKED_IN || member.status === TEAM_STATUS.ABSENT) {
+            summary.notIn++;
+        }
+        if (getLateMinutes(member, timeZone) > 0) summary.late++;
+    });
+    return summary;
+};
+
+/**
+ * Roster order: in now first, then checked out, then everyone else; by name within each
+ */
+export const sortRoster = (team) => {
+    const rank = (member) => {
+        if (isCheckedInNow(member)) return 0;
+        if (member.status === TEAM_STATUS.CHECKED_OUT) return 1;
+        return 2;
+    };
+    return [...(team || [])].sort((a, b) => rank(a) - rank(b) || (a.name || '').localeCompare(b.name || ''));
+};
+
+export default {
+    ROLES,
+    TEAM_STATUS,
+    getRole,
+    isManager,
+    isCheckedInNow,
+    getLateMinutes,
+    summarizeTeam,
+    sortRoster,
+};
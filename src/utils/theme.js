@@ -17,6 +17,8 @@ export const COLORS = {
     warningLight: 'rgba(255,193,7,0.9)',
     danger: '#f44336',
     dangerLight: 'rgba(244,67,54,0.9)',
+    absent: '#8E24AA',
+    onLeave: '#00897B',
 
     // Neutral Colors
     white: '#fff',
@@ -83,6 +85,10 @@ export const getStatusColor = (status) => {
             return COLORS.warning;
         case 'half-day':
             return COLORS.danger;
+        case 'absent':
+            return COLORS.absent;
+        case 'on-leave':
+            return COLORS.onLeave;
         default:
             return COLORS.textLight;
     }